@@ -0,0 +1,266 @@
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SANDBOX } = require('./sandboxConfig');
+const { SUBMISSION_STATUS } = require('../../src/utils/constants');
+
+// Address space allowed on top of the memory limit for shared libraries and the runtime itself
+const ADDRESS_SPACE_SLACK = 64 * 1024; // KB
+
+// CPU time a program may run past its limit before isolate kills it, so overruns can be measured
+const EXTRA_TIME = 0.5; // seconds
+
+// How long after the wall time limit the worker gives up on isolate itself
+const WALL_TIME_GRACE = 5000; // milliseconds
+
+// Box IDs not in use by a running program
+const freeBoxes = Array.from({ length: SANDBOX.boxCount }, (_, i) => SANDBOX.firstBoxId + i);
+
+/**
+ * Take a box for one run
+ */
+function acquireBox() {
+  if (freeBoxes.length === 0) {
+    throw new Error('No free sandbox box');
+  }
+  return freeBoxes.shift();
+}
+
+/**
+ * Read isolate's meta file (`key:value` lines) into an object
+ */
+function readMeta(metaFile) {
+  try {
+    return Object.fromEntries(
+      fs.readFileSync(metaFile, 'utf8')
+        .split('\n')
+        .filter(line => line.includes(':'))
+        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)])
+    );
+  } catch (error) {
+    // isolate did not get as far as running the program
+    return null;
+  }
+}
+
+/**
+ * Wipe a box and put it back in the pool
+ */
+function releaseBox(boxId, metaFile) {
+  return new Promise((resolve) => {
+    const args = [`--box-id=${boxId}`, ...(SANDBOX.useCgroups ? ['--cg'] : []), '--cleanup'];
+    execFile(SANDBOX.isolatePath, args, () => {
+      fs.rm(metaFile, { force: true }, () => {
+        freeBoxes.push(boxId);
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Arguments of `isolate --run` applying the limits of one run. The box sees
+ * `cwd` as /box, read-only unless `writable`, the system directories
+ * read-only, a private /tmp and /proc, no network and no environment but
+ * SANDBOX.env and `env`.
+ */
+function buildRunArgs(boxId, { cwd, timeLimit, memoryLimit, limitAddressSpace, outputLimit, env, writable, metaFile }) {
+  const args = [
+    `--box-id=${boxId}`,
+    `--meta=${metaFile}`,
+    '--silent',
+    `--time=${timeLimit / 1000}`,
+    `--extra-time=${EXTRA_TIME}`,
+    `--wall-time=${(timeLimit * SANDBOX.wallTimeMultiplier) / 1000}`,
+    `--fsize=${Math.ceil(outputLimit / 1024)}`,
+    `--processes=${SANDBOX.processLimit}`,
+    `--dir=/box=${cwd}${writable ? ':rw' : ''}`,
+    ...SANDBOX.extraDirs.map(dir => `--dir=${dir}`),
+    ...Object.entries({ ...SANDBOX.env, ...env }).map(([name, value]) => `--env=${name}=${value}`)
+  ];
+
+  if (SANDBOX.useCgroups) {
+    args.push('--cg', `--cg-mem=${memoryLimit * 1024}`);
+  } else if (limitAddressSpace) {
+    args.push(`--mem=${memoryLimit * 1024 + ADDRESS_SPACE_SLACK}`);
+  }
+
+  return [...args, '--run', '--'];
+}
+
+/**
+ * Start a command in an isolate box with time, memory and output limits.
+ *
+ * Each run gets a box of its own: a separate unprivileged uid with its own
+ * PID, mount and network namespaces, so the program cannot see the worker,
+ * its environment, other submissions or the network. Time limits apply to
+ * CPU time, with a wall clock limit against programs that just wait. Peak
+ * memory comes from isolate; stdout size is watched from here. With
+ * `captureStdout` off the caller owns the child's stdin/stdout pipes, e.g.
+ * to wire two processes together.
+ *
+ * @param {Object} options
+ * @param {string[]} options.command - argv of the program to run, relative to `cwd`
+ * @param {string} options.cwd - directory the program runs in, mounted as /box
+ * @param {number} options.timeLimit - milliseconds of CPU time
+ * @param {number} options.memoryLimit - MB
+ * @param {boolean} [options.limitAddressSpace] - also apply an address-space rlimit
+ * @param {number} [options.outputLimit] - bytes of stdout to accept
+ * @param {Object} [options.env] - extra environment variables
+ * @param {boolean} [options.writable] - let the program write to `cwd`, e.g. a compiler
+ * @param {boolean} [options.captureStdout] - collect stdout into the result
+ * @returns {{ child: ChildProcess, done: Promise<Object>, kill: Function }} `done` resolves to
+ *   stdout, stderr, exitCode, signal, time (CPU ms), wallTime (ms), memory (KB) and limit flags
+ */
+function start({
+  command,
+  cwd,
+  timeLimit,
+  memoryLimit,
+  limitAddressSpace = true,
+  outputLimit = SANDBOX.outputLimit,
+  env = {},
+  writable = false,
+  captureStdout = true
+}) {
+  const boxId = acquireBox();
+  const metaFile = path.join(SANDBOX.workDir, `box-${boxId}.meta`);
+  const boxArgs = [`--box-id=${boxId}`, ...(SANDBOX.useCgroups ? ['--cg'] : [])].join(' ');
+  const runArgs = buildRunArgs(boxId, {
+    cwd: path.resolve(cwd),
+    timeLimit,
+    memoryLimit,
+    limitAddressSpace,
+    outputLimit,
+    env,
+    writable,
+    metaFile
+  });
+
+  // Set the box up, then become the isolate process that runs the program
+  const script = 'box="$1"; shift; "$0" $box --init >/dev/null && exec "$0" "$@"';
+  const child = spawn('/bin/sh', ['-c', script, SANDBOX.isolatePath, boxArgs, ...runArgs, ...command], {
+    env: { PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin' },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  const stdoutChunks = [];
+  const stderrChunks = [];
+  let stdoutSize = 0;
+  let stderrSize = 0;
+  let outputExceeded = false;
+  let killed = false;
+
+  // isolate kills the box when interrupted
+  const kill = () => {
+    killed = true;
+    child.kill('SIGTERM');
+  };
+
+  // The program may exit without reading all of its input
+  child.stdin.on('error', () => {});
+
+  const done = new Promise((resolve) => {
+    const backstop = setTimeout(kill, timeLimit * SANDBOX.wallTimeMultiplier + WALL_TIME_GRACE);
+
+    if (captureStdout) {
+      child.stdout.on('data', (chunk) => {
+        stdoutSize += chunk.length;
+        if (stdoutSize > outputLimit) {
+          outputExceeded = true;
+          kill();
+          return;
+        }
+        stdoutChunks.push(chunk);
+      });
+    }
+
+    child.stderr.on('data', (chunk) => {
+      if (stderrSize < SANDBOX.stderrLimit) {
+        stderrChunks.push(chunk);
+        stderrSize += chunk.length;
+      }
+    });
+
+    let finished = false;
+    const finish = async (spawnError) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(backstop);
+
+      const meta = readMeta(metaFile);
+      await releaseBox(boxId, metaFile);
+
+      const time = meta ? Math.round(parseFloat(meta.time || 0) * 1000) : 0;
+      const memory = meta ? parseInt(SANDBOX.useCgroups ? meta['cg-mem'] : meta['max-rss']) || 0 : 0;
+      const signal = meta && meta.exitsig ? signalName(parseInt(meta.exitsig)) : null;
+      let error = spawnError ? spawnError.message : null;
+      if (!error && (!meta || meta.status === 'XX') && !killed) {
+        error = meta ? `Sandbox error: ${meta.message}` : 'Sandbox failed to start';
+      }
+
+      resolve({
+        stdout: Buffer.concat(stdoutChunks).toString('utf8'),
+        stderr: Buffer.concat(stderrChunks).toString('utf8').slice(0, SANDBOX.stderrLimit),
+        exitCode: meta && meta.exitcode !== undefined ? parseInt(meta.exitcode) : meta && !signal ? 0 : null,
+        signal,
+        time,
+        wallTime: meta ? Math.round(parseFloat(meta['time-wall'] || 0) * 1000) : 0,
+        memory,
+        timedOut: time > timeLimit || (meta !== null && meta.status === 'TO'),
+        memoryExceeded: meta !== null && meta['cg-oom-killed'] === '1' || memory > memoryLimit * 1024,
+        outputExceeded: outputExceeded || signal === 'SIGXFSZ',
+        error
+      });
+    };
+
+    child.on('error', (error) => finish(error));
+    child.on('close', () => finish());
+  });
+
+  return {
+    child,
+    done,
+    kill
+  };
+}
+
+/**
+ * Name of a signal number, e.g. SIGSEGV
+ */
+function signalName(number) {
+  return Object.keys(os.constants.signals).find(name => os.constants.signals[name] === number) || `SIG${number}`;
+}
+
+/**
+ * Run a command to completion, feeding it `stdin` and collecting its output.
+ * Takes the same options as start().
+ *
+ * @returns {Promise<Object>} the finished run
+ */
+function execute({ stdin = '', ...options }) {
+  const { child, done } = start(options);
+  child.stdin.end(stdin);
+  return done;
+}
+
+/**
+ * Map a finished run onto a submission status, or null when it ran cleanly
+ */
+function getRunStatus(run) {
+  if (run.error) return SUBMISSION_STATUS.INTERNAL_ERROR;
+  if (run.memoryExceeded) return SUBMISSION_STATUS.MEMORY_LIMIT_EXCEEDED;
+  if (run.timedOut) return SUBMISSION_STATUS.TIME_LIMIT_EXCEEDED;
+  if (run.outputExceeded) return SUBMISSION_STATUS.OUTPUT_LIMIT_EXCEEDED;
+  if (run.exitCode !== 0 || run.signal) return SUBMISSION_STATUS.RUNTIME_ERROR;
+  return null;
+}
+
+module.exports = {
+  start,
+  execute,
+  getRunStatus
+};
@@ -1 +1,76 @@
-// sandboxConfig.js - Generated file
+const os = require('os');
+const path = require('path');
+const { JUDGE_DEFAULTS } = require('../../src/utils/constants');
+const { getLanguage } = require('../../src/config/languages');
+
+/**
+ * Sandbox-wide settings
+ */
+const SANDBOX = {
+  workDir: process.env.JUDGE_WORK_DIR || path.join(os.tmpdir(), 'judge'),
+  compileTimeLimit: parseInt(process.env.JUDGE_TIMEOUT) || JUDGE_DEFAULTS.COMPILE_TIME_LIMIT,
+  compileMemoryLimit: JUDGE_DEFAULTS.COMPILE_MEMORY_LIMIT,
+  checkerTimeLimit: JUDGE_DEFAULTS.CHECKER_TIME_LIMIT,
+  checkerMemoryLimit: JUDGE_DEFAULTS.CHECKER_MEMORY_LIMIT,
+  interactorTimeLimit: JUDGE_DEFAULTS.INTERACTOR_TIME_LIMIT,
+  // Directory holding testlib.h, put on the include path when building checkers and interactors
+  testlibDir: process.env.TESTLIB_DIR || '/usr/local/include/testlib',
+  outputLimit: JUDGE_DEFAULTS.OUTPUT_LIMIT,
+  stderrLimit: JUDGE_DEFAULTS.STDERR_LIMIT,
+  // Wall clock may exceed CPU time when the worker is busy or the program waits; give it some slack
+  wallTimeMultiplier: 2,
+  // isolate (https://github.com/ioi/isolate) runs every program in a box of its own
+  isolatePath: process.env.ISOLATE_PATH || 'isolate',
+  // Box IDs this worker may use; each box runs as its own uid (isolate's first_uid + ID)
+  firstBoxId: parseInt(process.env.JUDGE_FIRST_BOX_ID) || 0,
+  boxCount: parseInt(process.env.JUDGE_BOX_COUNT) || 64,
+  // Enforce memory with cgroups (needs isolate's cgroup setup); otherwise with rlimits
+  useCgroups: process.env.JUDGE_ISOLATE_CG === 'true',
+  // Processes and threads a program may start, e.g. compiler stages and JVM threads
+  processLimit: 64,
+  // Host directories visible read-only in every box besides isolate's defaults (/bin, /lib, /usr)
+  extraDirs: ['/etc'],
+  // The whole environment of a sandboxed process
+  env: {
+    PATH: '/usr/local/bin:/usr/bin:/bin',
+    LANG: 'C.UTF-8',
+    HOME: '/box'
+  }
+};
+
+/**
+ * Get language settings from the language registry
+ */
+function getLanguageConfig(language) {
+  const config = getLanguage(language);
+  if (!config) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+  return config;
+}
+
+/**
+ * Time (ms) and memory (MB) limits a program in `language` runs with:
+ * the problem limits adjusted by the language's multiplier and overhead
+ */
+function getRunLimits(language, { timeLimit, memoryLimit }) {
+  const config = getLanguageConfig(language);
+  return {
+    timeLimit: Math.round(timeLimit * config.timeMultiplier),
+    memoryLimit: memoryLimit + config.memoryOverhead
+  };
+}
+
+/**
+ * Substitute `{memory}` placeholders in a command
+ */
+function buildCommand(command, { memoryLimit }) {
+  return command.map(part => part.replace('{memory}', String(memoryLimit)));
+}
+
+module.exports = {
+  SANDBOX,
+  getLanguageConfig,
+  getRunLimits,
+  buildCommand
+};
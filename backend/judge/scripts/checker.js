@@ -0,0 +1,224 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sandbox = require('../sandbox/sandbox');
+const { SANDBOX } = require('../sandbox/sandboxConfig');
+const { buildProgram } = require('./compiler');
+const { CHECKER_TYPES, FLOAT_CHECKER_DEFAULTS } = require('../../src/utils/constants');
+
+/**
+ * Checker outcomes
+ */
+const CHECKER_VERDICTS = {
+  OK: 'ok',
+  WRONG_ANSWER: 'wa',
+  FAIL: 'fail' // the checker itself failed; the judge is at fault, not the contestant
+};
+
+// testlib exit codes
+const TESTLIB_EXIT_CODES = {
+  0: CHECKER_VERDICTS.OK,
+  1: CHECKER_VERDICTS.WRONG_ANSWER,
+  2: CHECKER_VERDICTS.WRONG_ANSWER, // presentation error
+  3: CHECKER_VERDICTS.FAIL
+};
+
+const MAX_TOKEN_IN_MESSAGE = 64;
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * 1 -> "1st", 2 -> "2nd", 11 -> "11th", ...
+ */
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+/**
+ * Shorten a token for display in a checker message
+ */
+function quote(token) {
+  return token.length > MAX_TOKEN_IN_MESSAGE ? `${token.slice(0, MAX_TOKEN_IN_MESSAGE)}...` : token;
+}
+
+function tokenize(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+function splitLines(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trimEnd());
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compare two sequences element by element with the given equality test
+ */
+function compareSequences(expected, found, { noun, equals, describe }) {
+  for (let i = 0; i < Math.min(expected.length, found.length); i++) {
+    if (!equals(expected[i], found[i])) {
+      const detail = describe ? describe(expected[i], found[i]) : '';
+      return {
+        verdict: CHECKER_VERDICTS.WRONG_ANSWER,
+        message: `wrong answer ${ordinal(i + 1)} ${noun} differ - expected: '${quote(expected[i])}', found: '${quote(found[i])}'${detail}`
+      };
+    }
+  }
+
+  if (expected.length !== found.length) {
+    return {
+      verdict: CHECKER_VERDICTS.WRONG_ANSWER,
+      message: `wrong answer expected ${expected.length} ${noun}, found ${found.length}`
+    };
+  }
+
+  return {
+    verdict: CHECKER_VERDICTS.OK,
+    message: `ok ${expected.length} ${noun}`
+  };
+}
+
+/**
+ * Line-by-line comparison ignoring trailing whitespace and trailing blank lines
+ */
+function checkExact(output, answer) {
+  return compareSequences(splitLines(answer), splitLines(output), {
+    noun: 'lines',
+    equals: (a, b) => a === b
+  });
+}
+
+/**
+ * Whitespace-insensitive token comparison
+ */
+function checkTokens(output, answer) {
+  return compareSequences(tokenize(answer), tokenize(output), {
+    noun: 'tokens',
+    equals: (a, b) => a === b
+  });
+}
+
+/**
+ * Token comparison where numeric tokens of the answer match if the output is
+ * within the absolute or the relative tolerance
+ */
+function checkFloats(output, answer, config = {}) {
+  const absoluteError = config.absoluteError ?? FLOAT_CHECKER_DEFAULTS.absoluteError;
+  const relativeError = config.relativeError ?? FLOAT_CHECKER_DEFAULTS.relativeError;
+
+  const numbersEqual = (expected, found) => {
+    if (!NUMBER_PATTERN.test(expected)) {
+      return expected === found;
+    }
+    if (!NUMBER_PATTERN.test(found)) {
+      return false;
+    }
+    const diff = Math.abs(parseFloat(expected) - parseFloat(found));
+    return diff <= absoluteError || diff <= relativeError * Math.abs(parseFloat(expected));
+  };
+
+  return compareSequences(tokenize(answer), tokenize(output), {
+    noun: 'numbers',
+    equals: numbersEqual,
+    describe: (expected, found) => {
+      if (!NUMBER_PATTERN.test(expected) || !NUMBER_PATTERN.test(found)) {
+        return '';
+      }
+      return `, error = '${Math.abs(parseFloat(expected) - parseFloat(found))}'`;
+    }
+  });
+}
+
+/**
+ * Compile a custom checker into its own directory under the work directory
+ */
+async function buildCustomChecker({ source, language }, workDir) {
+  const checkerDir = path.join(workDir, 'checker');
+
+  const program = await buildProgram({
+    source,
+    language,
+    dir: checkerDir,
+    memoryLimit: SANDBOX.checkerMemoryLimit,
+    env: { CPATH: SANDBOX.testlibDir }
+  });
+
+  if (program.compileError) {
+    throw new Error(`Checker compilation failed: ${program.compileError}`);
+  }
+
+  return async (input, output, answer) => {
+    await Promise.all([
+      fs.writeFile(path.join(checkerDir, 'input.txt'), input),
+      fs.writeFile(path.join(checkerDir, 'output.txt'), output),
+      fs.writeFile(path.join(checkerDir, 'answer.txt'), answer)
+    ]);
+
+    const run = await sandbox.execute({
+      command: [...program.command, 'input.txt', 'output.txt', 'answer.txt'],
+      cwd: checkerDir,
+      timeLimit: SANDBOX.checkerTimeLimit,
+      memoryLimit: SANDBOX.checkerMemoryLimit,
+      limitAddressSpace: false
+    });
+
+    return parseTestlibResult(run);
+  };
+}
+
+/**
+ * Turn a finished testlib-style program (checker or interactor) into a checker outcome
+ */
+function parseTestlibResult(run) {
+  const message = (run.stderr || run.stdout).trim();
+
+  if (run.timedOut || run.memoryExceeded || run.signal || run.error) {
+    return {
+      verdict: CHECKER_VERDICTS.FAIL,
+      message: `judge program crashed or exceeded its limits${message ? `: ${message}` : ''}`
+    };
+  }
+
+  return {
+    verdict: TESTLIB_EXIT_CODES[run.exitCode] || CHECKER_VERDICTS.FAIL,
+    message
+  };
+}
+
+/**
+ * Create the check function for a problem.
+ *
+ * @param {Object} settings - from Problem#getChecker()
+ * @param {string} workDir - judging work directory, used to build custom checkers
+ * @returns {Promise<Function>} async (input, output, answer) => { verdict, message }
+ */
+async function createChecker(settings = {}, workDir) {
+  switch (settings.type || CHECKER_TYPES.EXACT) {
+    case CHECKER_TYPES.EXACT:
+      return async (input, output, answer) => checkExact(output, answer);
+    case CHECKER_TYPES.TOKEN:
+      return async (input, output, answer) => checkTokens(output, answer);
+    case CHECKER_TYPES.FLOAT:
+      return async (input, output, answer) => checkFloats(output, answer, settings.config);
+    case CHECKER_TYPES.CUSTOM:
+      if (!settings.source || !settings.language) {
+        throw new Error('Custom checker source or language missing');
+      }
+      return buildCustomChecker(settings, workDir);
+    default:
+      throw new Error(`Unknown checker type: ${settings.type}`);
+  }
+}
+
+module.exports = {
+  CHECKER_VERDICTS,
+  createChecker,
+  parseTestlibResult,
+  checkExact,
+  checkTokens,
+  checkFloats
+};
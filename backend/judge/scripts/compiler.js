@@ -0,0 +1,110 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sandbox = require('../sandbox/sandbox');
+const { SANDBOX, getLanguageConfig, buildCommand } = require('../sandbox/sandboxConfig');
+const { SUBMISSION_STATUS } = require('../../src/utils/constants');
+
+/**
+ * Write a program's source into `dir` and compile it if the language needs it.
+ *
+ * Used for contestant solutions as well as judge-side helper programs
+ * (checkers, interactors).
+ *
+ * @param {Object} options
+ * @param {string} options.source
+ * @param {string} options.language
+ * @param {string} options.dir - created if missing
+ * @param {number} options.memoryLimit - MB the program will run with, for `{memory}` placeholders
+ * @param {Object} [options.env] - extra environment for the compiler
+ * @returns {Promise<Object>} `command` to run in `dir`, `limitAddressSpace`,
+ *   and `compileError` (compiler output) when the build failed
+ */
+async function buildProgram({ source, language, dir, memoryLimit, env = {} }) {
+  const languageConfig = getLanguageConfig(language);
+
+  await fs.mkdir(dir, { recursive: true });
+  // Sandboxed programs run as the box's own uid, which must be able to use the directory
+  await fs.chmod(dir, 0o777);
+  await fs.writeFile(path.join(dir, languageConfig.sourceFile), source);
+
+  const program = {
+    dir,
+    command: buildCommand(languageConfig.run, { memoryLimit }),
+    limitAddressSpace: languageConfig.limitAddressSpace,
+    compileError: null
+  };
+
+  if (!languageConfig.compile) {
+    return program;
+  }
+
+  const run = await sandbox.execute({
+    command: buildCommand(languageConfig.compile, { memoryLimit }),
+    cwd: dir,
+    timeLimit: SANDBOX.compileTimeLimit,
+    memoryLimit: SANDBOX.compileMemoryLimit,
+    limitAddressSpace: false,
+    writable: true,
+    env
+  });
+
+  if (run.timedOut) {
+    program.compileError = 'Compilation time limit exceeded';
+  } else if (run.exitCode !== 0 || run.memoryExceeded) {
+    program.compileError = (run.stderr || run.stdout || 'Compilation failed').trim();
+  }
+
+  return program;
+}
+
+/**
+ * Compile a judge-side program of a problem (generator, validator, reference
+ * solution) into `workDir/name`, with testlib on the include path
+ */
+async function buildHelper(name, { source, language }, workDir, memoryLimit = SANDBOX.checkerMemoryLimit) {
+  const dir = path.join(workDir, name);
+  const program = await buildProgram({
+    source,
+    language,
+    dir,
+    memoryLimit,
+    env: { CPATH: SANDBOX.testlibDir }
+  });
+
+  if (program.compileError) {
+    throw new Error(`${name} failed to compile: ${program.compileError}`);
+  }
+
+  return program;
+}
+
+/**
+ * Run a generator or validator with the judge-side limits
+ */
+function runHelper(program, { args = [], stdin = '' } = {}) {
+  return sandbox.execute({
+    command: [...program.command, ...args],
+    cwd: program.dir,
+    stdin,
+    timeLimit: SANDBOX.checkerTimeLimit,
+    memoryLimit: SANDBOX.checkerMemoryLimit,
+    limitAddressSpace: false
+  });
+}
+
+/**
+ * Describe why a helper program run failed
+ */
+function describeFailure(run) {
+  const status = sandbox.getRunStatus(run);
+  const reason = status === SUBMISSION_STATUS.RUNTIME_ERROR && !run.signal ? `exit code ${run.exitCode}` : status;
+  const message = (run.stderr || '').trim();
+  return message ? `${reason}: ${message}` : reason;
+}
+
+module.exports = {
+  buildProgram,
+  buildHelper,
+  runHelper,
+  describeFailure
+};
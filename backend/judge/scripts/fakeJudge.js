@@ -0,0 +1,260 @@
+const { buildGroupPlan, judgeGroups } = require('./scoring');
+const { truncateOutput } = require('./testRunner');
+const { getRunLimits } = require('../sandbox/sandboxConfig');
+const {
+  SUBMISSION_STATUS,
+  FAKE_JUDGE_DEFAULTS,
+  JUDGE_DEFAULTS
+} = require('../../src/utils/constants');
+
+/**
+ * Judge backend that runs nothing: verdicts come from rules, so the whole
+ * submission flow works on machines without compilers or a sandbox.
+ *
+ * A magic comment anywhere in the code picks the verdict, optionally with the
+ * failing test (default 1):
+ *
+ *   // fake-verdict: WA 3
+ *
+ * Otherwise the verdict is drawn from FAKE_JUDGE_DISTRIBUTION
+ * (e.g. `AC:60,WA:20,TLE:8,RE:6,MLE:2,CE:4`) with a generator seeded by
+ * FAKE_JUDGE_SEED and the code, so the same code always gets the same
+ * verdict. Judging takes a FAKE_JUDGE_DELAY (`min-max` milliseconds).
+ */
+
+const VERDICT_CODES = {
+  AC: SUBMISSION_STATUS.ACCEPTED,
+  WA: SUBMISSION_STATUS.WRONG_ANSWER,
+  TLE: SUBMISSION_STATUS.TIME_LIMIT_EXCEEDED,
+  MLE: SUBMISSION_STATUS.MEMORY_LIMIT_EXCEEDED,
+  OLE: SUBMISSION_STATUS.OUTPUT_LIMIT_EXCEEDED,
+  RE: SUBMISSION_STATUS.RUNTIME_ERROR,
+  CE: SUBMISSION_STATUS.COMPILATION_ERROR,
+  IE: SUBMISSION_STATUS.INTERNAL_ERROR
+};
+
+const MAGIC_COMMENT = /fake-verdict:\s*([A-Za-z]+)(?:\s+(\d+))?/;
+
+/**
+ * Parse `AC:60,WA:20,...` into [{ status, weight }]
+ */
+function parseDistribution(text) {
+  return text.split(',').map(entry => {
+    const [code, weight] = entry.split(':').map(part => part.trim());
+    if (!VERDICT_CODES[code.toUpperCase()] || !(parseFloat(weight) >= 0)) {
+      throw new Error(`Invalid FAKE_JUDGE_DISTRIBUTION entry: ${entry}`);
+    }
+    return { status: VERDICT_CODES[code.toUpperCase()], weight: parseFloat(weight) };
+  });
+}
+
+/**
+ * Parse `min-max` (or a single value) into milliseconds
+ */
+function parseDelay(text) {
+  const [min, max = min] = text.split('-').map(value => parseInt(value));
+  if (!(min >= 0) || !(max >= min)) {
+    throw new Error(`Invalid FAKE_JUDGE_DELAY: ${text}`);
+  }
+  return { min, max };
+}
+
+const FAKE_JUDGE = {
+  seed: process.env.FAKE_JUDGE_SEED || FAKE_JUDGE_DEFAULTS.SEED,
+  distribution: parseDistribution(process.env.FAKE_JUDGE_DISTRIBUTION || FAKE_JUDGE_DEFAULTS.DISTRIBUTION),
+  delay: parseDelay(process.env.FAKE_JUDGE_DELAY || FAKE_JUDGE_DEFAULTS.DELAY)
+};
+
+/**
+ * Seeded pseudo-random generator (FNV-1a seed, mulberry32), returns [0, 1)
+ */
+function createRandom(seedText) {
+  let state = 0x811c9dc5;
+  for (let i = 0; i < seedText.length; i++) {
+    state = Math.imul(state ^ seedText.charCodeAt(i), 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Decide the outcome of a submission: its status and the test it fails on
+ */
+function pickOutcome(code, testCount, random) {
+  const magic = code.match(MAGIC_COMMENT);
+  if (magic && VERDICT_CODES[magic[1].toUpperCase()]) {
+    return {
+      status: VERDICT_CODES[magic[1].toUpperCase()],
+      failingTest: Math.min(parseInt(magic[2]) || 1, Math.max(testCount, 1))
+    };
+  }
+
+  const total = FAKE_JUDGE.distribution.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = random() * total;
+  const entry = FAKE_JUDGE.distribution.find(candidate => (roll -= candidate.weight) < 0)
+    || FAKE_JUDGE.distribution[FAKE_JUDGE.distribution.length - 1];
+
+  return { status: entry.status, failingTest: 1 + Math.floor(random() * Math.max(testCount, 1)) };
+}
+
+/**
+ * Wait as long as a real judge might
+ */
+function simulateDelay(random) {
+  const { min, max } = FAKE_JUDGE.delay;
+  return new Promise(resolve => setTimeout(resolve, min + Math.round(random() * (max - min))));
+}
+
+/**
+ * Fake counterpart of testRunner.judge(); same options and result
+ */
+async function judge({ language, code, timeLimit, memoryLimit, testCases, testGroups = [] }) {
+  const random = createRandom(`${FAKE_JUDGE.seed}:${language}:${code}`);
+  const outcome = pickOutcome(code, testCases.length, random);
+  const limits = getRunLimits(language, { timeLimit, memoryLimit });
+
+  await simulateDelay(random);
+
+  const result = {
+    status: SUBMISSION_STATUS.ACCEPTED,
+    verdict: SUBMISSION_STATUS.ACCEPTED,
+    executionTime: 0,
+    memoryUsed: 0,
+    score: 0,
+    testCasesPassed: 0,
+    totalTestCases: testCases.length,
+    groupResults: null,
+    verdictDetail: null,
+    errorMessage: null,
+    testResults: []
+  };
+
+  if (testCases.length === 0) {
+    return {
+      ...result,
+      status: SUBMISSION_STATUS.INTERNAL_ERROR,
+      verdict: SUBMISSION_STATUS.INTERNAL_ERROR,
+      errorMessage: 'Problem has no test cases'
+    };
+  }
+
+  if ([SUBMISSION_STATUS.COMPILATION_ERROR, SUBMISSION_STATUS.INTERNAL_ERROR].includes(outcome.status)) {
+    return {
+      ...result,
+      status: outcome.status,
+      verdict: outcome.status,
+      errorMessage: `${outcome.status} (fake judge)`
+    };
+  }
+
+  let failure = null;
+
+  const runCase = async (testCase, testNumber) => {
+    const failed = outcome.status !== SUBMISSION_STATUS.ACCEPTED && testNumber === outcome.failingTest;
+    const time = failed && outcome.status === SUBMISSION_STATUS.TIME_LIMIT_EXCEEDED
+      ? limits.timeLimit
+      : Math.round(random() * limits.timeLimit * 0.5);
+    const memory = failed && outcome.status === SUBMISSION_STATUS.MEMORY_LIMIT_EXCEEDED
+      ? limits.memoryLimit * 1024
+      : Math.round(1024 + random() * limits.memoryLimit * 1024 * 0.25);
+
+    result.executionTime = Math.max(result.executionTime, time);
+    result.memoryUsed = Math.max(result.memoryUsed, memory);
+
+    result.testResults.push({
+      testNumber,
+      testCaseId: testCase.id,
+      isSample: testCase.is_sample,
+      verdict: failed ? outcome.status : SUBMISSION_STATUS.ACCEPTED,
+      time,
+      memory,
+      exitCode: failed && outcome.status === SUBMISSION_STATUS.RUNTIME_ERROR ? 1 : 0,
+      input: truncateOutput(testCase.input_data, JUDGE_DEFAULTS.TEST_DATA_PREVIEW_LIMIT),
+      output: failed ? '' : truncateOutput(testCase.expected_output, JUDGE_DEFAULTS.TEST_DATA_PREVIEW_LIMIT),
+      answer: truncateOutput(testCase.expected_output, JUDGE_DEFAULTS.TEST_DATA_PREVIEW_LIMIT),
+      checkerComment: 'fake judge'
+    });
+
+    if (!failed) {
+      result.testCasesPassed++;
+      return null;
+    }
+
+    if (!failure) {
+      failure = { status: outcome.status, testNumber };
+    }
+    return outcome.status;
+  };
+
+  if (testGroups.length > 0) {
+    const { score, groupResults } = await judgeGroups(buildGroupPlan(testCases, testGroups), runCase);
+    result.score = score;
+    result.groupResults = groupResults;
+  } else {
+    for (const [index, testCase] of testCases.entries()) {
+      if (await runCase(testCase, index + 1)) {
+        break;
+      }
+    }
+    result.score = failure ? 0 : testCases.reduce((sum, testCase) => sum + (testCase.points || 0), 0);
+  }
+
+  if (failure) {
+    result.status = failure.status;
+    result.verdict = `${failure.status} on test ${failure.testNumber}`;
+  }
+
+  return result;
+}
+
+/**
+ * Fake counterpart of testRunner.runCustom(): the program "prints" its input
+ */
+async function runCustom({ language, code, stdin, timeLimit, memoryLimit }) {
+  const random = createRandom(`${FAKE_JUDGE.seed}:${language}:${code}:${stdin}`);
+  const outcome = pickOutcome(code, 1, random);
+  const limits = getRunLimits(language, { timeLimit, memoryLimit });
+
+  await simulateDelay(random);
+
+  if (outcome.status === SUBMISSION_STATUS.COMPILATION_ERROR) {
+    return {
+      status: SUBMISSION_STATUS.COMPILATION_ERROR,
+      stdout: '',
+      stderr: '',
+      exitCode: null,
+      time: 0,
+      memory: 0,
+      compileError: `${SUBMISSION_STATUS.COMPILATION_ERROR} (fake judge)`
+    };
+  }
+
+  // Only failures a run can show on its own; a wrong answer still prints
+  const runStatuses = [
+    SUBMISSION_STATUS.TIME_LIMIT_EXCEEDED,
+    SUBMISSION_STATUS.MEMORY_LIMIT_EXCEEDED,
+    SUBMISSION_STATUS.OUTPUT_LIMIT_EXCEEDED,
+    SUBMISSION_STATUS.RUNTIME_ERROR
+  ];
+  const status = runStatuses.includes(outcome.status) ? outcome.status : null;
+
+  return {
+    status,
+    stdout: status ? '' : truncateOutput(stdin),
+    stderr: status === SUBMISSION_STATUS.RUNTIME_ERROR ? 'Runtime error (fake judge)' : '',
+    exitCode: status === SUBMISSION_STATUS.RUNTIME_ERROR ? 1 : 0,
+    time: status === SUBMISSION_STATUS.TIME_LIMIT_EXCEEDED ? limits.timeLimit : Math.round(random() * 100),
+    memory: status === SUBMISSION_STATUS.MEMORY_LIMIT_EXCEEDED ? limits.memoryLimit * 1024 : 1024,
+    compileError: null
+  };
+}
+
+module.exports = {
+  judge,
+  runCustom
+};
@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sandbox = require('../sandbox/sandbox');
+const { SANDBOX, getRunLimits } = require('../sandbox/sandboxConfig');
+const { buildHelper, runHelper, describeFailure } = require('./compiler');
+const testRunner = require('./testRunner');
+
+/**
+ * Judge a hack: check the input with the problem's validator, produce the
+ * answer with the reference solution, then judge the hacked submission on
+ * that single test with the problem's checker.
+ *
+ * @param {Object} options
+ * @param {string} options.inputData - the hacker's input
+ * @param {Object} options.validator - { source, language }
+ * @param {Object} options.reference - main solution, { source, language }
+ * @param {Object} options.submission - { language, code } of the hacked solution
+ * @param {number} options.timeLimit - milliseconds
+ * @param {number} options.memoryLimit - MB
+ * @param {Object} options.checker - from Problem#getChecker()
+ * @returns {Promise<Object>} `valid` and `message` when the validator rejected
+ *   the input; otherwise the reference `answer` and the submission's judge `result`
+ * @throws when a problem program fails to compile or the reference solution fails
+ */
+async function judgeHack({ inputData, validator, reference, submission, timeLimit, memoryLimit, checker }) {
+  await fs.mkdir(SANDBOX.workDir, { recursive: true });
+  const workDir = await fs.mkdtemp(path.join(SANDBOX.workDir, 'hack-'));
+
+  try {
+    const validatorProgram = await buildHelper('validator', validator, workDir);
+    const validation = await runHelper(validatorProgram, { stdin: inputData });
+    if (sandbox.getRunStatus(validation)) {
+      return { valid: false, message: describeFailure(validation) };
+    }
+
+    const referenceProgram = await buildHelper('reference', reference, workDir, memoryLimit);
+    const limits = getRunLimits(reference.language, { timeLimit, memoryLimit });
+    const run = await sandbox.execute({
+      command: referenceProgram.command,
+      cwd: referenceProgram.dir,
+      stdin: inputData,
+      timeLimit: limits.timeLimit,
+      memoryLimit: limits.memoryLimit,
+      limitAddressSpace: referenceProgram.limitAddressSpace
+    });
+    if (sandbox.getRunStatus(run)) {
+      throw new Error(`Reference solution failed on the hack input (${describeFailure(run)})`);
+    }
+
+    const result = await testRunner.judge({
+      language: submission.language,
+      code: submission.code,
+      timeLimit,
+      memoryLimit,
+      testCases: [{
+        id: null,
+        group_id: null,
+        input_data: inputData,
+        expected_output: run.stdout,
+        is_sample: false,
+        points: 1
+      }],
+      testGroups: [],
+      checker
+    });
+
+    return { valid: true, answer: run.stdout, result };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  judgeHack
+};
@@ -0,0 +1,169 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { Transform } = require('stream');
+const sandbox = require('../sandbox/sandbox');
+const { SANDBOX } = require('../sandbox/sandboxConfig');
+const { buildProgram } = require('./compiler');
+const { CHECKER_VERDICTS, parseTestlibResult } = require('./checker');
+const { SUBMISSION_STATUS } = require('../../src/utils/constants');
+
+const NEWLINE = 0x0a;
+
+/**
+ * Pass-through stream counting the lines (queries) the solution sends to the
+ * interactor, calling `onLimit` once there are more than `maxQueries`
+ */
+function createQueryCounter(maxQueries, onLimit) {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      for (const byte of chunk) {
+        if (byte === NEWLINE) {
+          counter.queries++;
+        }
+      }
+
+      if (maxQueries && counter.queries > maxQueries && !counter.limitExceeded) {
+        counter.limitExceeded = true;
+        onLimit();
+      }
+
+      callback(null, chunk);
+    }
+  });
+
+  counter.queries = 0;
+  counter.limitExceeded = false;
+  return counter;
+}
+
+/**
+ * Decide the outcome of an interactive test.
+ *
+ * An interactor that exits first with a rejection decides the test: the
+ * solution is then typically stuck waiting for an answer or killed by a
+ * broken pipe, which says nothing about it. Otherwise the solution's own
+ * limits come first (time is its CPU time, so waiting for the interactor
+ * does not count), then the interactor's verdict. A runtime error only
+ * counts if the interactor was satisfied.
+ */
+function resolveOutcome(solutionRun, interactorRun, { counter, maxQueries, interactorFirst }) {
+  if (counter.limitExceeded) {
+    return {
+      runStatus: null,
+      checkResult: {
+        verdict: CHECKER_VERDICTS.WRONG_ANSWER,
+        message: `wrong answer query limit exceeded: more than ${maxQueries} queries`
+      }
+    };
+  }
+
+  const checkResult = parseTestlibResult(interactorRun);
+  if (interactorFirst && checkResult.verdict !== CHECKER_VERDICTS.OK) {
+    return { runStatus: null, checkResult };
+  }
+
+  const runStatus = sandbox.getRunStatus(solutionRun);
+  if (runStatus && runStatus !== SUBMISSION_STATUS.RUNTIME_ERROR) {
+    return { runStatus, checkResult: null };
+  }
+
+  if (checkResult.verdict !== CHECKER_VERDICTS.OK) {
+    return { runStatus: null, checkResult };
+  }
+
+  return { runStatus, checkResult };
+}
+
+/**
+ * Compile the interactor of an interactive problem.
+ *
+ * The interactor follows the testlib convention: it is started as
+ * `interactor input.txt output.txt answer.txt`, talks to the solution over
+ * stdin/stdout and reports the verdict through its exit code and stderr.
+ *
+ * @param {Object} settings - from Problem#getInteractor()
+ * @param {string} workDir - judging work directory
+ * @returns {Promise<Function>} async ({ program, input, answer, timeLimit, memoryLimit })
+ *   => { run, runStatus, checkResult, queries }
+ */
+async function createInteractor({ source, language, maxQueries }, workDir) {
+  if (!source || !language) {
+    throw new Error('Interactor source or language missing');
+  }
+
+  const interactorDir = path.join(workDir, 'interactor');
+
+  const interactor = await buildProgram({
+    source,
+    language,
+    dir: interactorDir,
+    memoryLimit: SANDBOX.checkerMemoryLimit,
+    env: { CPATH: SANDBOX.testlibDir }
+  });
+
+  if (interactor.compileError) {
+    throw new Error(`Interactor compilation failed: ${interactor.compileError}`);
+  }
+
+  return async ({ program, input, answer, timeLimit, memoryLimit }) => {
+    await Promise.all([
+      fs.writeFile(path.join(interactorDir, 'input.txt'), input),
+      fs.writeFile(path.join(interactorDir, 'answer.txt'), answer)
+    ]);
+
+    const solution = sandbox.start({
+      command: program.command,
+      cwd: program.dir,
+      timeLimit,
+      memoryLimit,
+      limitAddressSpace: program.limitAddressSpace,
+      captureStdout: false
+    });
+
+    const judge = sandbox.start({
+      command: [...interactor.command, 'input.txt', 'output.txt', 'answer.txt'],
+      cwd: interactorDir,
+      // Spends most of its wall time waiting for the solution, so it must outlast it
+      timeLimit: SANDBOX.interactorTimeLimit + timeLimit,
+      memoryLimit: SANDBOX.checkerMemoryLimit,
+      limitAddressSpace: false,
+      // The interactor writes output.txt
+      writable: true,
+      captureStdout: false
+    });
+
+    // Cross-connect: solution stdout -> interactor stdin, interactor stdout -> solution stdin
+    const counter = createQueryCounter(maxQueries, solution.kill);
+    judge.child.stdin.on('error', () => {});
+    solution.child.stdout.pipe(counter).pipe(judge.child.stdin);
+    judge.child.stdout.pipe(solution.child.stdin);
+
+    let solutionExited = false;
+    let interactorFirst = false;
+    solution.child.once('exit', () => {
+      solutionExited = true;
+    });
+    judge.child.once('exit', () => {
+      interactorFirst = !solutionExited;
+    });
+
+    // A solution the interactor already rejected would only wait for its wall time limit
+    judge.done.then((interactorRun) => {
+      if (interactorFirst && !solutionExited && parseTestlibResult(interactorRun).verdict !== CHECKER_VERDICTS.OK) {
+        solution.kill();
+      }
+    });
+
+    const [solutionRun, interactorRun] = await Promise.all([solution.done, judge.done]);
+
+    return {
+      run: solutionRun,
+      queries: counter.queries,
+      ...resolveOutcome(solutionRun, interactorRun, { counter, maxQueries, interactorFirst })
+    };
+  };
+}
+
+module.exports = {
+  createInteractor
+};
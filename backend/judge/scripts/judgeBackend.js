@@ -0,0 +1,21 @@
+// Judge backends by JUDGE_BACKEND value, loaded only when chosen; each provides judge() and runCustom()
+const BACKENDS = {
+  sandbox: () => require('./testRunner'), // compiles and runs code in the sandbox
+  fake: () => require('./fakeJudge') // assigns verdicts from rules, for development without compilers
+};
+
+/**
+ * The judge backend submissions and custom runs go through.
+ * Package builds and hacks always run programs in the sandbox.
+ */
+function getJudgeBackend(name = process.env.JUDGE_BACKEND || 'sandbox') {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(`Unknown JUDGE_BACKEND: ${name} (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+  return load();
+}
+
+module.exports = {
+  getJudgeBackend
+};
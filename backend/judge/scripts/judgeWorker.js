@@ -1 +1,572 @@
-// judgeWorker.js - Generated file
+require('dotenv').config();
+
+const { connectDB, closeConnections } = require('../../src/utils/database');
+const {
+  QUEUES,
+  QUEUE_PRIORITY,
+  EXCHANGES,
+  connectRabbitMQ,
+  consume,
+  publish,
+  publishEvent,
+  reply,
+  closeRabbitMQ
+} = require('../../src/config/rabbitmq');
+const Submission = require('../../src/models/Submission');
+const Problem = require('../../src/models/Problem');
+const Hack = require('../../src/models/Hack');
+const TestResult = require('../../src/models/TestResult');
+const standingsService = require('../../src/services/standingsService');
+const plagiarismService = require('../../src/services/plagiarismService');
+const judgeWorkerRegistry = require('../../src/services/judgeWorkerRegistry');
+const { getJudgeBackend } = require('./judgeBackend');
+const { buildPackage } = require('./packageBuilder');
+const { judgeHack } = require('./hackJudge');
+const { readPackage, toProblemData } = require('../../src/utils/problemPackage');
+const logger = require('../../src/utils/logger');
+const {
+  SUBMISSION_STATUS,
+  PENDING_STATUSES,
+  HACK_STATUS,
+  PROBLEM_FILE_KINDS,
+  SOLUTION_TAGS,
+  WORKER_HEARTBEAT
+} = require('../../src/utils/constants');
+
+const concurrency = parseInt(process.env.JUDGE_CONCURRENCY) || 1;
+const judgeBackend = getJudgeBackend();
+
+// Lanes that may use every slot; the others share what the reserved slots leave
+const URGENT_LANES = [QUEUES.CONTEST, QUEUES.HACKS];
+
+// Slots only urgent lanes may use, so a practice flood cannot hold up a live contest
+const reservedSlots = Math.min(parseInt(process.env.JUDGE_RESERVED_SLOTS ?? '1') || 0, concurrency - 1);
+const sharedSlots = concurrency - reservedSlots;
+
+// Jobs delivered to this worker and waiting for a free slot, per queue
+const waitingJobs = new Map(QUEUE_PRIORITY.map(queue => [queue, []]));
+let activeJobs = 0;
+let activeSharedJobs = 0;
+let heartbeatTimer = null;
+
+/**
+ * Start waiting jobs while there are free slots, highest priority lane
+ * first. Jobs of other than urgent lanes keep off the reserved slots.
+ */
+function runWaitingJobs() {
+  while (activeJobs < concurrency) {
+    const queue = QUEUE_PRIORITY.find(name => (
+      waitingJobs.get(name).length > 0 && (URGENT_LANES.includes(name) || activeSharedJobs < sharedSlots)
+    ));
+    if (!queue) {
+      return;
+    }
+
+    const shared = !URGENT_LANES.includes(queue);
+    const job = waitingJobs.get(queue).shift();
+    activeJobs++;
+    if (shared) {
+      activeSharedJobs++;
+    }
+    job.run()
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        activeJobs--;
+        if (shared) {
+          activeSharedJobs--;
+        }
+        runWaitingJobs();
+      });
+  }
+}
+
+/**
+ * Run a job from `queue` once a slot is free. Resolves when the job is done,
+ * so its message is only acked then.
+ */
+function schedule(queue, run) {
+  return new Promise((resolve, reject) => {
+    waitingJobs.get(queue).push({ run, resolve, reject });
+    runWaitingJobs();
+  });
+}
+
+/**
+ * Let API servers forward the submission's new state to connected clients
+ */
+function broadcastUpdate(submission) {
+  publishEvent(EXCHANGES.JUDGE_EVENTS, { submission: submission.toJSON() });
+}
+
+/**
+ * Rank a contest again and let API servers tell its scoreboard viewers
+ */
+async function updateStandings(contestId) {
+  await standingsService.recalculate(contestId);
+  publishEvent(EXCHANGES.JUDGE_EVENTS, { standings: { contestId } });
+}
+
+/**
+ * Claim a submission or hack for this worker before judging it. A job can
+ * arrive twice, e.g. queued again after its worker died and re-delivered by
+ * RabbitMQ too, so only a Pending one is taken, or one left Judging by a
+ * worker that stopped sending heartbeats. Returns null when it is judged or
+ * being judged elsewhere.
+ */
+async function claimJob(job) {
+  const { workerId } = judgeWorkerRegistry;
+  const claimed = await job.claim(workerId);
+  if (claimed || !job.judgedBy || job.judgedBy === workerId || await judgeWorkerRegistry.isAlive(job.judgedBy)) {
+    return claimed;
+  }
+  return job.claim(workerId, { takeOverFrom: job.judgedBy });
+}
+
+/**
+ * Run a claimed job; when it fails, hand the claim back so that the retry
+ * queued by consume() can take it
+ */
+async function runClaimed(job, run) {
+  try {
+    await run(job);
+  } catch (error) {
+    await job.releaseClaim(judgeWorkerRegistry.workerId)
+      .catch(releaseError => logger.error('Releasing a judge job claim failed:', releaseError));
+    throw error;
+  }
+}
+
+/**
+ * Judge one queued submission and store the result
+ */
+async function processSubmission({ submissionId, rejudge = false }) {
+  const submission = await Submission.findById(submissionId);
+  if (!submission) {
+    logger.warn(`Submission ${submissionId} not found, dropping job`);
+    return;
+  }
+
+  const claimed = await claimJob(submission);
+  if (!claimed) {
+    logger.info(`Submission ${submissionId} judged or being judged elsewhere, dropping job`);
+    return;
+  }
+
+  await runClaimed(claimed, () => judgeClaimedSubmission(claimed, rejudge));
+}
+
+/**
+ * Judge a claimed submission. Rejudged submissions were already counted
+ * once, so their problem's statistics are recounted instead of incremented.
+ */
+async function judgeClaimedSubmission(submission, rejudge) {
+  const submissionId = submission.id;
+  broadcastUpdate(submission);
+
+  const problem = await Problem.findById(submission.problemId, { includePrivate: true });
+  if (!problem) {
+    logger.warn(`Problem ${submission.problemId} for submission ${submissionId} not found`);
+    const failed = await submission.updateResult({
+      status: SUBMISSION_STATUS.INTERNAL_ERROR,
+      verdict: SUBMISSION_STATUS.INTERNAL_ERROR,
+      testCasesPassed: 0,
+      totalTestCases: 0,
+      errorMessage: 'Problem not found'
+    });
+    broadcastUpdate(failed);
+    return;
+  }
+
+  let result;
+  try {
+    const testCases = await problem.getTestCases();
+    const testGroups = await problem.getTestGroups();
+    result = await judgeBackend.judge({
+      language: submission.language,
+      code: submission.code,
+      timeLimit: problem.timeLimit,
+      memoryLimit: problem.memoryLimit,
+      testCases,
+      testGroups,
+      checker: problem.getChecker(),
+      interactor: problem.getInteractor()
+    });
+  } catch (error) {
+    logger.error(`Judging submission ${submissionId} failed:`, error);
+    result = {
+      status: SUBMISSION_STATUS.INTERNAL_ERROR,
+      verdict: SUBMISSION_STATUS.INTERNAL_ERROR,
+      testCasesPassed: 0,
+      totalTestCases: 0,
+      errorMessage: error.message
+    };
+  }
+
+  const judged = await submission.updateResult(result);
+
+  try {
+    await TestResult.saveForSubmission(judged, result.testResults || []);
+  } catch (error) {
+    // The verdict is already stored; missing details should not fail the job
+    logger.error(`Storing test results of submission ${submissionId} failed:`, error);
+  }
+
+  if (rejudge) {
+    await problem.recalculateStatistics();
+  } else if (judged.status !== SUBMISSION_STATUS.INTERNAL_ERROR) {
+    // A judge failure says nothing about the solution, keep it out of the statistics
+    await problem.updateStatistics(judged.status === SUBMISSION_STATUS.ACCEPTED);
+  }
+
+  if (judged.contestId && !judged.virtualParticipationId) {
+    await updateStandings(judged.contestId);
+  }
+
+  broadcastUpdate(judged);
+}
+
+/**
+ * Let API servers forward the hack's new state to the hacker and the defender
+ */
+function broadcastHack(hack) {
+  publishEvent(EXCHANGES.JUDGE_EVENTS, { hack: hack.toJSON() });
+}
+
+/**
+ * Judge one queued hack and store its outcome
+ */
+async function processHack({ hackId }) {
+  const hack = await Hack.findById(hackId);
+  if (!hack) {
+    logger.warn(`Hack ${hackId} not found, dropping job`);
+    return;
+  }
+
+  const claimed = await claimJob(hack);
+  if (!claimed) {
+    logger.info(`Hack ${hackId} judged or being judged elsewhere, dropping job`);
+    return;
+  }
+
+  await runClaimed(claimed, judgeClaimedHack);
+}
+
+/**
+ * Judge a claimed hack and apply its outcome. A successful hack marks the
+ * hacked submission as Hacked; both successful and unsuccessful hacks change
+ * the contest standings (see standingsService).
+ */
+async function judgeClaimedHack(hack) {
+  const hackId = hack.id;
+  broadcastHack(hack);
+
+  let outcome;
+  try {
+    const submission = await Submission.findById(hack.submissionId);
+    const problem = await Problem.findById(hack.problemId, { includePrivate: true });
+    if (!submission || !problem) {
+      throw new Error('Hacked submission or its problem not found');
+    }
+
+    const [validator] = await problem.getFiles(PROBLEM_FILE_KINDS.VALIDATOR);
+    const solutions = await problem.getFiles(PROBLEM_FILE_KINDS.SOLUTION);
+    const reference = solutions.find(solution => solution.tag === SOLUTION_TAGS.MAIN);
+    if (!validator || !reference) {
+      throw new Error('Problem has no validator or main solution');
+    }
+
+    const judged = await judgeHack({
+      inputData: hack.inputData,
+      validator,
+      reference,
+      submission,
+      timeLimit: problem.timeLimit,
+      memoryLimit: problem.memoryLimit,
+      checker: problem.getChecker()
+    });
+
+    if (!judged.valid) {
+      outcome = { status: HACK_STATUS.INVALID_INPUT, message: judged.message };
+    } else if (judged.result.status === SUBMISSION_STATUS.INTERNAL_ERROR) {
+      throw new Error(judged.result.errorMessage || 'Judging the hacked submission failed');
+    } else if (judged.result.status === SUBMISSION_STATUS.ACCEPTED) {
+      outcome = {
+        status: HACK_STATUS.UNSUCCESSFUL,
+        verdict: judged.result.verdict,
+        answerData: judged.answer
+      };
+    } else {
+      const hacked = await submission.markHacked(hack.id);
+      if (hacked) {
+        outcome = {
+          status: HACK_STATUS.SUCCESSFUL,
+          verdict: judged.result.verdict,
+          message: judged.result.verdictDetail,
+          answerData: judged.answer
+        };
+        await problem.recalculateStatistics();
+        broadcastUpdate(hacked);
+      } else {
+        outcome = { status: HACK_STATUS.SKIPPED, message: 'The submission was already hacked' };
+      }
+    }
+  } catch (error) {
+    logger.error(`Judging hack ${hackId} failed:`, error);
+    outcome = { status: HACK_STATUS.INTERNAL_ERROR, message: error.message };
+  }
+
+  const updated = await hack.updateResult(outcome);
+
+  if ([HACK_STATUS.SUCCESSFUL, HACK_STATUS.UNSUCCESSFUL].includes(updated.status)) {
+    await updateStandings(updated.contestId);
+  }
+
+  broadcastHack(updated);
+}
+
+/**
+ * Run a submission or hack job, keeping track of it in the worker registry
+ * so it can be queued again if this worker dies
+ */
+async function handleTrackedJob(queue, payload, run) {
+  await judgeWorkerRegistry.trackJob(queue, payload)
+    .catch(error => logger.warn('Tracking judge job failed:', error.message));
+
+  let succeeded = false;
+  try {
+    await run(payload);
+    succeeded = true;
+  } finally {
+    await judgeWorkerRegistry.finishJob(queue, payload, succeeded)
+      .catch(error => logger.warn('Tracking judge job failed:', error.message));
+  }
+}
+
+/**
+ * Give up on a submission job that kept failing: a submission left Pending
+ * or Judging is marked Internal Error so it does not wait forever
+ */
+async function failSubmission({ submissionId }, error) {
+  const submission = await Submission.findById(submissionId);
+  if (!submission || !PENDING_STATUSES.includes(submission.status)) {
+    return;
+  }
+
+  const failed = await submission.updateResult({
+    status: SUBMISSION_STATUS.INTERNAL_ERROR,
+    verdict: SUBMISSION_STATUS.INTERNAL_ERROR,
+    testCasesPassed: 0,
+    totalTestCases: 0,
+    errorMessage: `Judging failed: ${error.message}`
+  });
+  broadcastUpdate(failed);
+}
+
+/**
+ * Give up on a hack job that kept failing, marking the hack Internal Error
+ */
+async function failHack({ hackId }, error) {
+  const hack = await Hack.findById(hackId);
+  if (!hack || ![HACK_STATUS.PENDING, HACK_STATUS.JUDGING].includes(hack.status)) {
+    return;
+  }
+
+  broadcastHack(await hack.updateResult({
+    status: HACK_STATUS.INTERNAL_ERROR,
+    message: `Judging failed: ${error.message}`
+  }));
+}
+
+/**
+ * Run code on custom input and reply to the requesting API server
+ */
+async function processCustomRun(payload, message) {
+  let result;
+  try {
+    result = await judgeBackend.runCustom({
+      language: payload.language,
+      code: payload.code,
+      stdin: payload.stdin || '',
+      timeLimit: payload.timeLimit,
+      memoryLimit: payload.memoryLimit
+    });
+  } catch (error) {
+    logger.error('Custom run failed:', error);
+    result = {
+      status: SUBMISSION_STATUS.INTERNAL_ERROR,
+      stdout: '',
+      stderr: '',
+      exitCode: null,
+      time: 0,
+      memory: 0,
+      compileError: null
+    };
+  }
+
+  if (message.properties.replyTo) {
+    reply(message, result);
+  }
+}
+
+/**
+ * Source files of a package kept with the problem it creates
+ */
+function packageFiles({ manifest, files }) {
+  return [
+    {
+      kind: PROBLEM_FILE_KINDS.VALIDATOR,
+      name: 'validator',
+      language: manifest.validator.language,
+      source: files[manifest.validator.source]
+    },
+    ...(manifest.generators || []).map(generator => ({
+      kind: PROBLEM_FILE_KINDS.GENERATOR,
+      name: generator.name,
+      language: generator.language,
+      source: files[generator.source]
+    })),
+    ...manifest.solutions.map(solution => ({
+      kind: PROBLEM_FILE_KINDS.SOLUTION,
+      name: solution.name,
+      language: solution.language,
+      source: files[solution.source],
+      tag: solution.tag
+    }))
+  ];
+}
+
+/**
+ * Import a staged problem package (see Problem.stagePackage()): read it,
+ * build and check its tests and solutions, then store the problem with
+ * everything in one transaction. The problem stays private until its author
+ * publishes it. Replies with `errors`, the `solutions` results, and the
+ * `problem` on success or a `conflict` message when its slug is taken.
+ */
+async function processPackageImport({ uploadId, createdBy }, message) {
+  let result;
+  try {
+    const upload = await Problem.takeStagedPackage(uploadId);
+    if (!upload) {
+      // The API server gave up waiting and removed it
+      return;
+    }
+
+    const { pkg, errors } = await readPackage(upload.archive);
+    const build = errors.length > 0 ? { errors, tests: [], solutions: [] } : await buildPackage(pkg);
+    result = { errors: build.errors, solutions: build.solutions, problem: null, testsImported: 0, conflict: null };
+
+    if (build.errors.length === 0) {
+      try {
+        const problem = await Problem.createWithTests(
+          { ...toProblemData(pkg), createdBy, isPublic: false },
+          { groups: pkg.manifest.groups, tests: build.tests, files: packageFiles(pkg) }
+        );
+        result.problem = problem.toJSON();
+        result.testsImported = build.tests.length;
+      } catch (error) {
+        if (error.code !== '23505') {
+          throw error;
+        }
+        result.conflict = 'A problem with this slug already exists';
+      }
+    }
+  } catch (error) {
+    logger.error('Package import failed:', error);
+    result = { errors: [error.message], solutions: [], problem: null, testsImported: 0, conflict: null };
+  }
+
+  if (message.properties.replyTo) {
+    reply(message, result);
+  }
+}
+
+/**
+ * Compare a finished contest's accepted submissions for plagiarism
+ */
+async function processPlagiarismCheck({ contestId }) {
+  await plagiarismService.checkContest(contestId);
+}
+
+/**
+ * Send a heartbeat and queue again the jobs of workers that stopped sending theirs
+ */
+async function heartbeat() {
+  try {
+    await judgeWorkerRegistry.heartbeat({ concurrency, activeJobs });
+    await judgeWorkerRegistry.reapDeadWorkers((queue, payload) => publish(queue, payload));
+  } catch (error) {
+    logger.error('Judge worker heartbeat failed:', error);
+  }
+}
+
+/**
+ * Graceful shutdown
+ */
+async function shutdown(signal) {
+  logger.info(`${signal} received, stopping judge worker`);
+  clearInterval(heartbeatTimer);
+  await judgeWorkerRegistry.deregister().catch(() => {});
+  await closeRabbitMQ();
+  await closeConnections();
+  process.exit(0);
+}
+
+/**
+ * Start consuming the judge queues
+ */
+async function startWorker() {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  try {
+    await connectDB();
+    await connectRabbitMQ();
+
+    await heartbeat();
+    heartbeatTimer = setInterval(heartbeat, WORKER_HEARTBEAT.INTERVAL);
+
+    // Each lane is delivered on its own channel: contest jobs keep arriving
+    // however many practice jobs are held, and other lanes hold no more jobs
+    // than their slots can run, leaving the rest to other workers
+    for (const queue of [QUEUES.CONTEST, QUEUES.PRACTICE, QUEUES.REJUDGES]) {
+      await consume(queue, (payload) => (
+        schedule(queue, () => handleTrackedJob(queue, payload, () => (
+          processSubmission({ ...payload, rejudge: queue === QUEUES.REJUDGES })
+        )))
+      ), { prefetch: URGENT_LANES.includes(queue) ? concurrency : sharedSlots, onFailure: failSubmission });
+    }
+    await consume(QUEUES.HACKS, (payload) => (
+      schedule(QUEUES.HACKS, () => handleTrackedJob(QUEUES.HACKS, payload, processHack))
+    ), { prefetch: concurrency, onFailure: failHack });
+    await consume(QUEUES.CUSTOM_RUNS, (payload, message) => (
+      schedule(QUEUES.CUSTOM_RUNS, () => processCustomRun(payload, message))
+    ), { prefetch: 1 });
+    await consume(QUEUES.PACKAGES, (payload, message) => (
+      schedule(QUEUES.PACKAGES, () => processPackageImport(payload, message))
+    ), { prefetch: 1 });
+    await consume(QUEUES.PLAGIARISM, (payload) => (
+      schedule(QUEUES.PLAGIARISM, () => processPlagiarismCheck(payload))
+    ), { prefetch: 1 });
+
+    logger.info(
+      `⚖️ Judge worker ${judgeWorkerRegistry.workerId} listening ` +
+      `(concurrency ${concurrency}, ${reservedSlots} reserved, ${process.env.JUDGE_BACKEND || 'sandbox'} backend)`
+    );
+  } catch (error) {
+    logger.error('Failed to start judge worker:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  startWorker();
+}
+
+module.exports = {
+  processSubmission,
+  processHack,
+  processCustomRun,
+  processPackageImport,
+  processPlagiarismCheck,
+  startWorker
+};
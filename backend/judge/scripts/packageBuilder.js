@@ -0,0 +1,190 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sandbox = require('../sandbox/sandbox');
+const { SANDBOX, getRunLimits } = require('../sandbox/sandboxConfig');
+const { buildHelper, runHelper, describeFailure } = require('./compiler');
+const testRunner = require('./testRunner');
+const {
+  SUBMISSION_STATUS,
+  PROBLEM_TYPES,
+  CHECKER_TYPES,
+  SOLUTION_TAGS
+} = require('../../src/utils/constants');
+
+const DEFAULT_TIME_LIMIT = 2000; // milliseconds, as Problem.create()
+const DEFAULT_MEMORY_LIMIT = 128; // MB, as Problem.create()
+
+/**
+ * A package program with its source text instead of its file name
+ */
+function withSource({ source, language }, files) {
+  return { source: files[source], language };
+}
+
+/**
+ * Build the tests of a problem package and check them and its solutions:
+ * generate inputs, validate every input with the package's validator,
+ * produce missing answers with the main solution, then judge each solution
+ * and compare the verdict with its tag.
+ *
+ * @param {Object} pkg - { manifest, files } from readPackage() in src/utils/problemPackage.js
+ * @returns {Promise<Object>} `errors`; `tests` ({ inputData, expectedOutput,
+ *   isSample, points, group, generator }) and per-solution `solutions` results
+ */
+async function buildPackage({ manifest, files }) {
+  await fs.mkdir(SANDBOX.workDir, { recursive: true });
+  const workDir = await fs.mkdtemp(path.join(SANDBOX.workDir, 'package-'));
+
+  const timeLimit = manifest.timeLimit || DEFAULT_TIME_LIMIT;
+  const memoryLimit = manifest.memoryLimit || DEFAULT_MEMORY_LIMIT;
+  const isInteractive = manifest.type === PROBLEM_TYPES.INTERACTIVE;
+  const errors = [];
+
+  try {
+    let validator;
+    const generators = new Map();
+    let mainSolution;
+    const main = manifest.solutions.find(solution => solution.tag === SOLUTION_TAGS.MAIN);
+
+    try {
+      validator = await buildHelper('validator', withSource(manifest.validator, files), workDir);
+      for (const generator of manifest.generators || []) {
+        generators.set(
+          generator.name,
+          await buildHelper(`generator-${generator.name}`, withSource(generator, files), workDir)
+        );
+      }
+      mainSolution = await buildHelper('main-solution', withSource(main, files), workDir, memoryLimit);
+    } catch (error) {
+      return { errors: [error.message], tests: [], solutions: [] };
+    }
+
+    const mainLimits = getRunLimits(main.language, { timeLimit, memoryLimit });
+    const tests = [];
+
+    for (const [index, test] of manifest.tests.entries()) {
+      const number = index + 1;
+      let inputData = test.input !== undefined ? files[test.input] : null;
+
+      if (inputData === null) {
+        const [name, ...args] = String(test.generator).trim().split(/\s+/);
+        const run = await runHelper(generators.get(name), { args });
+        if (sandbox.getRunStatus(run)) {
+          errors.push(`Test ${number}: generator ${name} failed (${describeFailure(run)})`);
+          continue;
+        }
+        inputData = run.stdout;
+      }
+
+      const validation = await runHelper(validator, { stdin: inputData });
+      if (sandbox.getRunStatus(validation)) {
+        errors.push(`Test ${number}: validator rejected the input (${describeFailure(validation)})`);
+        continue;
+      }
+
+      let expectedOutput = test.answer !== undefined ? files[test.answer] : null;
+
+      if (expectedOutput === null && isInteractive) {
+        expectedOutput = '';
+      } else if (expectedOutput === null) {
+        const run = await sandbox.execute({
+          command: mainSolution.command,
+          cwd: mainSolution.dir,
+          stdin: inputData,
+          timeLimit: mainLimits.timeLimit,
+          memoryLimit: mainLimits.memoryLimit,
+          limitAddressSpace: mainSolution.limitAddressSpace
+        });
+        if (sandbox.getRunStatus(run)) {
+          errors.push(`Test ${number}: main solution failed to produce the answer (${describeFailure(run)})`);
+          continue;
+        }
+        expectedOutput = run.stdout;
+      }
+
+      tests.push({
+        inputData,
+        expectedOutput,
+        isSample: test.sample === true,
+        points: test.points ?? 1,
+        group: test.group || null,
+        generator: test.generator !== undefined ? String(test.generator).trim() : null
+      });
+    }
+
+    if (errors.length > 0) {
+      return { errors, tests: [], solutions: [] };
+    }
+
+    // Judge every solution exactly as a submission would be
+    const groups = manifest.groups || [];
+    const testGroups = groups.map((group, index) => ({
+      id: index + 1,
+      name: group.name,
+      points: group.points || 0,
+      dependencies: group.dependencies || [],
+      position: index + 1
+    }));
+    const groupIds = new Map(testGroups.map(group => [group.name, group.id]));
+    const testCases = tests.map((test, index) => ({
+      id: index + 1,
+      group_id: test.group ? groupIds.get(test.group) : null,
+      input_data: test.inputData,
+      expected_output: test.expectedOutput,
+      is_sample: test.isSample,
+      points: test.points
+    }));
+
+    const checker = manifest.checker || {};
+    const checkerSettings = {
+      type: checker.type || CHECKER_TYPES.EXACT,
+      config: checker.config || {},
+      source: checker.source ? files[checker.source] : null,
+      language: checker.language
+    };
+    const interactor = isInteractive ? {
+      source: files[manifest.interactor.source],
+      language: manifest.interactor.language,
+      maxQueries: manifest.interactor.maxQueries
+    } : null;
+
+    const solutions = [];
+    for (const solution of manifest.solutions) {
+      const result = await testRunner.judge({
+        language: solution.language,
+        code: files[solution.source],
+        timeLimit,
+        memoryLimit,
+        testCases,
+        testGroups,
+        checker: checkerSettings,
+        interactor
+      });
+
+      const accepted = result.status === SUBMISSION_STATUS.ACCEPTED;
+      const expectAccepted = solution.tag !== SOLUTION_TAGS.REJECTED;
+
+      solutions.push({
+        name: solution.name,
+        tag: solution.tag,
+        status: result.status,
+        verdict: result.verdict,
+        executionTime: result.executionTime,
+        memoryUsed: result.memoryUsed,
+        score: result.score
+      });
+
+      if (accepted !== expectAccepted) {
+        errors.push(`Solution ${solution.name} (${solution.tag}) got ${result.verdict}`);
+      }
+    }
+
+    return { errors, tests: errors.length > 0 ? [] : tests, solutions };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  buildPackage
+};
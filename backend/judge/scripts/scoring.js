@@ -0,0 +1,103 @@
+/**
+ * IOI-style subtask scoring.
+ *
+ * A group earns its points only if every one of its tests passes and every
+ * group it depends on earned its points too. Groups whose dependencies failed
+ * are skipped without running their tests.
+ */
+
+// Name of the implicit group holding tests not assigned to any group
+const UNGROUPED = 'ungrouped';
+
+/**
+ * Arrange test cases into groups in judging order.
+ *
+ * @param {Object[]} testCases - rows from Problem#getTestCases()
+ * @param {Object[]} testGroups - rows from Problem#getTestGroups(), ordered by position
+ * @returns {Object[]} groups with `tests` attached; ungrouped tests come first,
+ *   worth the sum of their own points
+ */
+function buildGroupPlan(testCases, testGroups) {
+  const plan = testGroups.map(group => ({
+    id: group.id,
+    name: group.name,
+    points: group.points,
+    dependencies: group.dependencies || [],
+    tests: testCases.filter(testCase => testCase.group_id === group.id)
+  }));
+
+  const groupIds = new Set(testGroups.map(group => group.id));
+  const ungrouped = testCases.filter(testCase => !groupIds.has(testCase.group_id));
+
+  if (ungrouped.length > 0) {
+    plan.unshift({
+      id: null,
+      name: UNGROUPED,
+      points: ungrouped.reduce((sum, testCase) => sum + (testCase.points || 0), 0),
+      dependencies: [],
+      tests: ungrouped
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Judge groups in order, skipping those whose dependencies did not score.
+ *
+ * @param {Object[]} plan - from buildGroupPlan()
+ * @param {Function} runCase - async (testCase, testNumber) => failing status or null
+ * @returns {Promise<Object>} total `score` and per-group `groupResults`
+ */
+async function judgeGroups(plan, runCase) {
+  const scored = new Set();
+  const groupResults = [];
+  let testNumber = 0;
+  let score = 0;
+
+  for (const group of plan) {
+    const groupResult = {
+      name: group.name,
+      points: group.points,
+      score: 0,
+      testsPassed: 0,
+      totalTests: group.tests.length,
+      skipped: false,
+      verdict: null
+    };
+    groupResults.push(groupResult);
+
+    const firstTestNumber = testNumber + 1;
+    testNumber += group.tests.length;
+
+    const missing = group.dependencies.filter(name => !scored.has(name));
+    if (missing.length > 0) {
+      groupResult.skipped = true;
+      groupResult.verdict = `Skipped: depends on ${missing.join(', ')}`;
+      continue;
+    }
+
+    for (const [offset, testCase] of group.tests.entries()) {
+      const status = await runCase(testCase, firstTestNumber + offset);
+      if (status) {
+        groupResult.verdict = `${status} on test ${firstTestNumber + offset}`;
+        break;
+      }
+      groupResult.testsPassed++;
+    }
+
+    if (groupResult.testsPassed === groupResult.totalTests) {
+      groupResult.score = group.points;
+      groupResult.verdict = 'Passed';
+      score += group.points;
+      scored.add(group.name);
+    }
+  }
+
+  return { score, groupResults };
+}
+
+module.exports = {
+  buildGroupPlan,
+  judgeGroups
+};
@@ -1 +1,267 @@
-// testRunner.js - Generated file
+const fs = require('fs/promises');
+const path = require('path');
+const sandbox = require('../sandbox/sandbox');
+const { createChecker, CHECKER_VERDICTS } = require('./checker');
+const { createInteractor } = require('./interactor');
+const { buildGroupPlan, judgeGroups } = require('./scoring');
+const { buildProgram } = require('./compiler');
+const { SANDBOX, getRunLimits } = require('../sandbox/sandboxConfig');
+const {
+  SUBMISSION_STATUS,
+  CUSTOM_RUN_DEFAULTS,
+  JUDGE_DEFAULTS
+} = require('../../src/utils/constants');
+
+/**
+ * Run a standard test: feed the input, then check the output
+ */
+async function runStandardTest({ program, input, answer, timeLimit, memoryLimit, check }) {
+  const run = await sandbox.execute({
+    command: program.command,
+    cwd: program.dir,
+    stdin: input,
+    timeLimit,
+    memoryLimit,
+    limitAddressSpace: program.limitAddressSpace
+  });
+
+  const runStatus = sandbox.getRunStatus(run);
+  if (runStatus) {
+    return { run, runStatus, checkResult: null };
+  }
+
+  return { run, runStatus, checkResult: await check(input, run.stdout, answer) };
+}
+
+/**
+ * Truncate program output or test data returned to the client
+ */
+function truncateOutput(output, limit = CUSTOM_RUN_DEFAULTS.OUTPUT_LIMIT) {
+  if (output.length <= limit) {
+    return output;
+  }
+  return `${output.slice(0, limit)}\n... (truncated)`;
+}
+
+/**
+ * Judge a submission against a problem's test cases.
+ *
+ * Without test groups, tests run in order and judging stops at the first
+ * failing test; an accepted submission scores the points of all tests. With
+ * test groups every group is judged and scored on its own (see scoring.js).
+ * Either way the first failing test determines the status.
+ *
+ * @param {Object} options
+ * @param {string} options.language
+ * @param {string} options.code
+ * @param {number} options.timeLimit - problem limit in milliseconds, scaled per language
+ * @param {number} options.memoryLimit - problem limit in MB, plus the language's overhead
+ * @param {Object[]} options.testCases - rows from Problem.getTestCases()
+ * @param {Object[]} [options.testGroups] - rows from Problem#getTestGroups()
+ * @param {Object} [options.checker] - checker settings from Problem#getChecker()
+ * @param {Object} [options.interactor] - interactor settings from Problem#getInteractor(),
+ *   only for interactive problems; the interactor then replaces the checker
+ * @returns {Promise<Object>} fields to store on the submission, plus
+ *   `testResults` with the outcome of every test that was run
+ */
+async function judge({
+  language,
+  code,
+  timeLimit,
+  memoryLimit,
+  testCases,
+  testGroups = [],
+  checker,
+  interactor
+}) {
+  const result = {
+    status: SUBMISSION_STATUS.ACCEPTED,
+    verdict: SUBMISSION_STATUS.ACCEPTED,
+    executionTime: 0,
+    memoryUsed: 0,
+    score: 0,
+    testCasesPassed: 0,
+    totalTestCases: testCases.length,
+    groupResults: null,
+    verdictDetail: null,
+    errorMessage: null,
+    testResults: []
+  };
+
+  if (testCases.length === 0) {
+    return {
+      ...result,
+      status: SUBMISSION_STATUS.INTERNAL_ERROR,
+      verdict: SUBMISSION_STATUS.INTERNAL_ERROR,
+      errorMessage: 'Problem has no test cases'
+    };
+  }
+
+  await fs.mkdir(SANDBOX.workDir, { recursive: true });
+  const workDir = await fs.mkdtemp(path.join(SANDBOX.workDir, 'run-'));
+
+  try {
+    // The solution gets a directory of its own: checker and interactor files stay out of its sight
+    const program = await buildProgram({ source: code, language, dir: path.join(workDir, 'solution'), memoryLimit });
+    if (program.compileError) {
+      return {
+        ...result,
+        status: SUBMISSION_STATUS.COMPILATION_ERROR,
+        verdict: SUBMISSION_STATUS.COMPILATION_ERROR,
+        errorMessage: program.compileError
+      };
+    }
+
+    const limits = getRunLimits(language, { timeLimit, memoryLimit });
+
+    const runTest = interactor
+      ? await createInteractor(interactor, workDir)
+      : runStandardTest;
+    const check = interactor ? null : await createChecker(checker, workDir);
+
+    let failure = null;
+
+    // Run one test; returns the failing status, or null when it passed
+    const runCase = async (testCase, testNumber) => {
+      const { run, runStatus, checkResult } = await runTest({
+        program,
+        input: testCase.input_data,
+        answer: testCase.expected_output,
+        timeLimit: limits.timeLimit,
+        memoryLimit: limits.memoryLimit,
+        check
+      });
+
+      result.executionTime = Math.max(result.executionTime, Math.min(run.time, limits.timeLimit));
+      result.memoryUsed = Math.max(result.memoryUsed, run.memory);
+
+      if (checkResult && checkResult.verdict === CHECKER_VERDICTS.FAIL) {
+        // The judge is broken, no verdict can be trusted
+        throw new Error(`${interactor ? 'Interactor' : 'Checker'} failed on test ${testNumber}: ${checkResult.message}`);
+      }
+
+      let outcome = null;
+      if (runStatus) {
+        outcome = {
+          status: runStatus,
+          errorMessage: runStatus === SUBMISSION_STATUS.RUNTIME_ERROR ? run.stderr || null : run.error
+        };
+      } else if (checkResult.verdict !== CHECKER_VERDICTS.OK) {
+        outcome = { status: SUBMISSION_STATUS.WRONG_ANSWER, verdictDetail: checkResult.message };
+      }
+
+      result.testResults.push({
+        testNumber,
+        testCaseId: testCase.id,
+        isSample: testCase.is_sample,
+        verdict: outcome ? outcome.status : SUBMISSION_STATUS.ACCEPTED,
+        time: Math.min(run.time, limits.timeLimit),
+        memory: run.memory,
+        exitCode: run.exitCode,
+        input: truncateOutput(testCase.input_data, JUDGE_DEFAULTS.TEST_DATA_PREVIEW_LIMIT),
+        output: truncateOutput(run.stdout, JUDGE_DEFAULTS.TEST_DATA_PREVIEW_LIMIT),
+        answer: truncateOutput(testCase.expected_output, JUDGE_DEFAULTS.TEST_DATA_PREVIEW_LIMIT),
+        checkerComment: checkResult ? checkResult.message || null : null
+      });
+
+      if (!outcome) {
+        result.testCasesPassed++;
+        if (!failure) {
+          result.verdictDetail = checkResult.message || null;
+        }
+        return null;
+      }
+
+      if (!failure) {
+        failure = { ...outcome, testNumber };
+      }
+      return outcome.status;
+    };
+
+    if (testGroups.length > 0) {
+      const { score, groupResults } = await judgeGroups(buildGroupPlan(testCases, testGroups), runCase);
+      result.score = score;
+      result.groupResults = groupResults;
+    } else {
+      for (const [index, testCase] of testCases.entries()) {
+        if (await runCase(testCase, index + 1)) {
+          break;
+        }
+      }
+      result.score = failure ? 0 : testCases.reduce((sum, testCase) => sum + (testCase.points || 0), 0);
+    }
+
+    if (failure) {
+      result.status = failure.status;
+      result.verdict = `${failure.status} on test ${failure.testNumber}`;
+      result.verdictDetail = failure.verdictDetail || null;
+      result.errorMessage = failure.errorMessage || null;
+    }
+
+    return result;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+
+/**
+ * Compile and run code once on custom input, without judging it.
+ *
+ * @param {Object} options
+ * @param {string} options.language
+ * @param {string} options.code
+ * @param {string} options.stdin
+ * @param {number} options.timeLimit - milliseconds
+ * @param {number} options.memoryLimit - MB
+ * @returns {Promise<Object>} status (null when the program ran cleanly), stdout,
+ *   stderr, exitCode, time (ms), memory (KB) and compileError
+ */
+async function runCustom({ language, code, stdin, timeLimit, memoryLimit }) {
+  await fs.mkdir(SANDBOX.workDir, { recursive: true });
+  const workDir = await fs.mkdtemp(path.join(SANDBOX.workDir, 'custom-'));
+
+  try {
+    const program = await buildProgram({ source: code, language, dir: workDir, memoryLimit });
+    if (program.compileError) {
+      return {
+        status: SUBMISSION_STATUS.COMPILATION_ERROR,
+        stdout: '',
+        stderr: '',
+        exitCode: null,
+        time: 0,
+        memory: 0,
+        compileError: truncateOutput(program.compileError)
+      };
+    }
+
+    const limits = getRunLimits(language, { timeLimit, memoryLimit });
+
+    const run = await sandbox.execute({
+      command: program.command,
+      cwd: program.dir,
+      stdin,
+      timeLimit: limits.timeLimit,
+      memoryLimit: limits.memoryLimit,
+      limitAddressSpace: program.limitAddressSpace
+    });
+
+    return {
+      status: sandbox.getRunStatus(run),
+      stdout: truncateOutput(run.stdout),
+      stderr: truncateOutput(run.stderr),
+      exitCode: run.exitCode,
+      time: Math.min(run.time, limits.timeLimit),
+      memory: run.memory,
+      compileError: null
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  judge,
+  runCustom,
+  truncateOutput
+};
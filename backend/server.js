@@ -18,10 +18,21 @@ const authRoutes = require('./src/routes/auth');
 const problemRoutes = require('./src/routes/problems');
 const submissionRoutes = require('./src/routes/submissions');
 const contestRoutes = require('./src/routes/contests');
+const runRoutes = require('./src/routes/run');
+const rejudgeRoutes = require('./src/routes/rejudge');
+const hackRoutes = require('./src/routes/hacks');
+const plagiarismRoutes = require('./src/routes/plagiarism');
+const ratingRoutes = require('./src/routes/ratings');
+const teamRoutes = require('./src/routes/teams');
+const contestApiRoutes = require('./src/routes/contestApi');
+const languageRoutes = require('./src/routes/languages');
+const adminRoutes = require('./src/routes/admin');
 
 // Import services
 const websocketService = require('./src/services/websocketService');
 const judgeService = require('./src/services/judgeService');
+const plagiarismService = require('./src/services/plagiarismService');
+const contestLifecycleService = require('./src/services/contestLifecycleService');
 
 const app = express();
 const server = http.createServer(app);
@@ -71,6 +82,15 @@ app.use('/api/auth', authRoutes);
 app.use('/api/problems', problemRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/contests', contestRoutes);
+app.use('/api/run', runRoutes);
+app.use('/api/rejudge', rejudgeRoutes);
+app.use('/api/hacks', hackRoutes);
+app.use('/api/plagiarism', plagiarismRoutes);
+app.use('/api/ratings', ratingRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/contest-api', contestApiRoutes);
+app.use('/api/languages', languageRoutes);
+app.use('/api/admin', adminRoutes);
 
 // WebSocket handling
 websocketService.init(io);
@@ -122,6 +142,12 @@ async function startServer() {
     // Initialize judge service
     await judgeService.init();
 
+    // Queue plagiarism checks as contests end
+    plagiarismService.startSchedule();
+
+    // Start, end and finalize contests on schedule
+    contestLifecycleService.startSchedule();
+
     // Start HTTP server
     server.listen(PORT, () => {
       logger.info(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
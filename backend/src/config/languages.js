@@ -0,0 +1,147 @@
+const path = require('path');
+
+/**
+ * Languages accepted by the judge.
+ *
+ * `compile` and `run` are argv arrays executed in the submission's work
+ * directory; `compile` is null for interpreted languages. `{memory}` is
+ * replaced by the problem memory limit in MB.
+ *
+ * `timeMultiplier` scales the problem time limit and `memoryOverhead` (MB) is
+ * added to the memory limit, to make up for slower runtimes and the memory a
+ * VM needs for itself.
+ *
+ * Runtimes that reserve large virtual address ranges up front (JVM, V8) can't
+ * run under an address-space rlimit (`limitAddressSpace: false`); for them the
+ * limit is only enforced through the measured peak resident memory.
+ *
+ * `lineComment` and `blockComment` (a [start, end] pair) describe the comment
+ * syntax; plagiarism detection strips comments before comparing sources.
+ *
+ * More languages can be added, or these overridden by id, without code
+ * changes through a JSON array of entries in the file named by LANGUAGES_FILE.
+ * The toolchain must of course be installed in the judge image.
+ */
+const DEFAULT_LANGUAGES = [
+  {
+    id: 'cpp',
+    name: 'GNU C++17',
+    sourceFile: 'main.cpp',
+    compile: ['g++', '-O2', '-std=c++17', '-pipe', '-o', 'main', 'main.cpp'],
+    run: ['./main'],
+    timeMultiplier: 1,
+    memoryOverhead: 0,
+    limitAddressSpace: true,
+    lineComment: '//',
+    blockComment: ['/*', '*/']
+  },
+  {
+    id: 'c',
+    name: 'GNU C11',
+    sourceFile: 'main.c',
+    compile: ['gcc', '-O2', '-std=c11', '-pipe', '-o', 'main', 'main.c', '-lm'],
+    run: ['./main'],
+    timeMultiplier: 1,
+    memoryOverhead: 0,
+    limitAddressSpace: true,
+    lineComment: '//',
+    blockComment: ['/*', '*/']
+  },
+  {
+    id: 'java',
+    name: 'Java 17',
+    sourceFile: 'Main.java',
+    compile: ['javac', '-encoding', 'UTF-8', 'Main.java'],
+    run: ['java', '-Xmx{memory}m', '-Xss64m', '-XX:+UseSerialGC', 'Main'],
+    timeMultiplier: 1.5,
+    memoryOverhead: 64,
+    limitAddressSpace: false,
+    lineComment: '//',
+    blockComment: ['/*', '*/']
+  },
+  {
+    id: 'python',
+    name: 'Python 3',
+    sourceFile: 'main.py',
+    compile: null,
+    run: ['python3', 'main.py'],
+    timeMultiplier: 3,
+    memoryOverhead: 16,
+    limitAddressSpace: true,
+    lineComment: '#',
+    blockComment: null
+  },
+  {
+    id: 'javascript',
+    name: 'Node.js 18',
+    sourceFile: 'main.js',
+    compile: null,
+    run: ['node', '--max-old-space-size={memory}', '--stack-size=65500', 'main.js'],
+    timeMultiplier: 2,
+    memoryOverhead: 64,
+    limitAddressSpace: false,
+    lineComment: '//',
+    blockComment: ['/*', '*/']
+  }
+];
+
+// Settings a language entry may leave out
+const ENTRY_DEFAULTS = {
+  compile: null,
+  timeMultiplier: 1,
+  memoryOverhead: 0,
+  limitAddressSpace: false,
+  lineComment: '//',
+  blockComment: ['/*', '*/']
+};
+
+/**
+ * Merge the entries of LANGUAGES_FILE into the defaults
+ */
+function loadLanguages() {
+  const languages = new Map(DEFAULT_LANGUAGES.map(language => [language.id, language]));
+
+  if (process.env.LANGUAGES_FILE) {
+    const overrides = require(path.resolve(process.env.LANGUAGES_FILE));
+    for (const language of overrides) {
+      languages.set(language.id, { ...ENTRY_DEFAULTS, ...languages.get(language.id), ...language });
+    }
+  }
+
+  return languages;
+}
+
+const LANGUAGES = loadLanguages();
+
+/**
+ * Get a language by id, or undefined if it is not supported
+ */
+function getLanguage(id) {
+  return LANGUAGES.get(id);
+}
+
+/**
+ * Ids of all supported languages
+ */
+function getLanguageIds() {
+  return [...LANGUAGES.keys()];
+}
+
+/**
+ * Language details safe to show to clients
+ */
+function getPublicLanguages() {
+  return [...LANGUAGES.values()].map(language => ({
+    id: language.id,
+    name: language.name,
+    timeMultiplier: language.timeMultiplier,
+    memoryOverhead: language.memoryOverhead
+  }));
+}
+
+module.exports = {
+  LANGUAGES,
+  getLanguage,
+  getLanguageIds,
+  getPublicLanguages
+};
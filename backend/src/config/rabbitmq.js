@@ -1 +1,354 @@
-// rabbitmq.js - Generated file
+const amqp = require('amqplib');
+const logger = require('../utils/logger');
+
+// Queue names shared by the API server and the judge workers, one per priority lane
+const QUEUES = {
+  CONTEST: 'judge.contest',
+  HACKS: 'judge.hacks', // contest hack attempts
+  PRACTICE: 'judge.practice',
+  REJUDGES: 'judge.rejudges',
+  CUSTOM_RUNS: 'judge.runs',
+  PACKAGES: 'judge.packages', // importing problem packages
+  PLAGIARISM: 'judge.plagiarism', // post-contest plagiarism checks
+  DEAD_LETTERS: 'judge.dead-letters' // jobs that kept failing, kept for inspection; nothing consumes it
+};
+
+// Lanes from highest to lowest priority; a worker with a free slot takes the first waiting job
+const QUEUE_PRIORITY = [
+  QUEUES.CONTEST,
+  QUEUES.HACKS,
+  QUEUES.PRACTICE,
+  QUEUES.REJUDGES,
+  QUEUES.CUSTOM_RUNS,
+  QUEUES.PACKAGES,
+  QUEUES.PLAGIARISM
+];
+
+// Fanout exchanges; every API server instance receives every event
+const EXCHANGES = {
+  JUDGE_EVENTS: 'judge.events'
+};
+
+// Deliveries of a job before it is given up on and moved to QUEUES.DEAD_LETTERS
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Wait between attempts to reconnect after losing the connection
+const RECONNECT_DELAY = 5000; // milliseconds
+
+let connection = null;
+let channel = null;
+let closing = false;
+let reconnectTimer = null;
+
+// Consumers and subscriptions to attach again after a reconnect
+const consumers = [];
+const reconnectListeners = [];
+
+/**
+ * Connect to RabbitMQ and declare the judge queues. A lost connection or
+ * channel is reconnected in the background, with every consumer attached
+ * again.
+ */
+async function connectRabbitMQ() {
+  if (channel) {
+    return channel;
+  }
+
+  let conn = null;
+  try {
+    conn = await amqp.connect(process.env.RABBITMQ_URL || 'amqp://localhost:5672');
+    const ch = await conn.createChannel();
+
+    for (const queue of Object.values(QUEUES)) {
+      await ch.assertQueue(queue, { durable: true });
+    }
+
+    for (const exchange of Object.values(EXCHANGES)) {
+      await ch.assertExchange(exchange, 'fanout', { durable: true });
+    }
+
+    conn.on('error', (error) => {
+      logger.error('❌ RabbitMQ connection error:', error);
+    });
+    conn.on('close', () => handleDisconnect(conn));
+
+    ch.on('error', (error) => {
+      logger.error('❌ RabbitMQ channel error:', error);
+    });
+    ch.on('close', () => handleDisconnect(conn));
+
+    closing = false;
+    connection = conn;
+    channel = ch;
+
+    logger.info('✅ RabbitMQ connected successfully');
+    return channel;
+  } catch (error) {
+    logger.error('❌ RabbitMQ connection failed:', error);
+    if (conn) {
+      conn.close().catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Forget a connection whose channel or connection closed and, unless it
+ * was closed on purpose, reconnect
+ */
+function handleDisconnect(conn) {
+  if (connection !== conn) {
+    return;
+  }
+
+  logger.warn('⚠️ RabbitMQ connection closed');
+  connection = null;
+  channel = null;
+  // A channel closed by the broker leaves its connection open
+  conn.close().catch(() => {});
+
+  if (!closing) {
+    scheduleReconnect();
+  }
+}
+
+/**
+ * Reconnect after RECONNECT_DELAY, attach every consumer again and let
+ * reconnect listeners restore their own state, retrying until it works
+ */
+function scheduleReconnect() {
+  if (reconnectTimer) {
+    return;
+  }
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    try {
+      await connectRabbitMQ();
+      for (const attach of consumers) {
+        await attach();
+      }
+      for (const listener of reconnectListeners) {
+        await listener();
+      }
+      logger.info('✅ RabbitMQ reconnected');
+    } catch (error) {
+      logger.error('❌ RabbitMQ reconnect failed:', error.message);
+      if (channel) {
+        // Connected but could not consume; start over on a fresh connection
+        handleDisconnect(connection);
+      } else {
+        scheduleReconnect();
+      }
+    }
+  }, RECONNECT_DELAY);
+}
+
+/**
+ * Run `listener` after every reconnect, e.g. to declare a private queue
+ * again. Consumers from consume() and subscribe() are restored already.
+ */
+function onReconnect(listener) {
+  reconnectListeners.push(listener);
+}
+
+/**
+ * Get RabbitMQ channel
+ */
+function getChannel() {
+  if (!channel) {
+    throw new Error('RabbitMQ not initialized');
+  }
+  return channel;
+}
+
+/**
+ * Publish a JSON message to a queue
+ */
+function publish(queue, payload, options = {}) {
+  return getChannel().sendToQueue(queue, Buffer.from(JSON.stringify(payload)), {
+    persistent: true,
+    contentType: 'application/json',
+    ...options
+  });
+}
+
+/**
+ * Broadcast a JSON message on a fanout exchange
+ */
+function publishEvent(exchange, payload) {
+  return getChannel().publish(exchange, '', Buffer.from(JSON.stringify(payload)), {
+    contentType: 'application/json'
+  });
+}
+
+/**
+ * Answer a request message on the queue named in its `replyTo` property
+ */
+function reply(message, payload) {
+  return getChannel().sendToQueue(message.properties.replyTo, Buffer.from(JSON.stringify(payload)), {
+    correlationId: message.properties.correlationId,
+    contentType: 'application/json'
+  });
+}
+
+/**
+ * Messages waiting in and consumers attached to each judge queue
+ */
+async function getQueueDepths() {
+  const ch = getChannel();
+  const depths = [];
+
+  for (const queue of QUEUE_PRIORITY) {
+    const { messageCount, consumerCount } = await ch.checkQueue(queue);
+    depths.push({ queue, messageCount, consumerCount });
+  }
+
+  return depths;
+}
+
+/**
+ * Ack a message on the channel it came from. After a reconnect that channel
+ * is gone and RabbitMQ delivers the message again instead.
+ */
+function settle(ch, message) {
+  try {
+    ch.ack(message);
+  } catch (error) {
+    logger.warn('Could not ack message on a closed channel:', error.message);
+  }
+}
+
+/**
+ * Consume JSON messages from a queue on a channel of its own, so that
+ * `prefetch` caps the unacked messages of this queue alone and a busy lane
+ * cannot use up the deliveries of another. The message is acked once the
+ * handler succeeds. A failed job is queued again up to `maxAttempts`
+ * deliveries; then `onFailure(payload, error)` gets to record the failure
+ * (e.g. mark a submission Internal Error) and the job moves to
+ * QUEUES.DEAD_LETTERS.
+ */
+async function consume(queue, handler, { prefetch = 1, maxAttempts = MAX_DELIVERY_ATTEMPTS, onFailure = null } = {}) {
+  const attach = async () => {
+    if (!connection) {
+      throw new Error('RabbitMQ not initialized');
+    }
+
+    const conn = connection;
+    const ch = await conn.createChannel();
+    ch.on('error', (error) => {
+      logger.error(`❌ RabbitMQ channel error on ${queue}:`, error);
+    });
+    ch.on('close', () => handleDisconnect(conn));
+    await ch.prefetch(prefetch);
+
+    await ch.consume(queue, async (message) => {
+      if (!message) {
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(message.content.toString());
+        await handler(payload, message);
+      } catch (error) {
+        const { headers = {}, replyTo, correlationId } = message.properties;
+        const attempts = (headers['x-attempts'] || 0) + 1;
+        logger.error(`Error handling message from ${queue} (attempt ${attempts} of ${maxAttempts}):`, error);
+
+        try {
+          if (payload !== undefined && attempts < maxAttempts) {
+            publish(queue, payload, { headers: { 'x-attempts': attempts }, replyTo, correlationId });
+          } else {
+            if (onFailure && payload !== undefined) {
+              await onFailure(payload, error)
+                .catch(failure => logger.error(`Recording a failed job from ${queue} failed:`, failure));
+            }
+            publish(QUEUES.DEAD_LETTERS, {
+              queue,
+              payload: payload !== undefined ? payload : message.content.toString(),
+              error: error.message,
+              attempts,
+              failedAt: new Date().toISOString()
+            });
+          }
+        } catch (requeueError) {
+          // Not connected; the unacked message comes back after the reconnect
+          logger.error(`Could not queue a failed job from ${queue} again:`, requeueError.message);
+          return;
+        }
+      }
+      settle(ch, message);
+    });
+  };
+
+  await attach();
+  consumers.push(attach);
+}
+
+/**
+ * Receive every event broadcast on a fanout exchange through a private,
+ * auto-deleted queue
+ */
+async function subscribe(exchange, handler) {
+  const attach = async () => {
+    const ch = getChannel();
+    const { queue } = await ch.assertQueue('', { exclusive: true, autoDelete: true });
+    await ch.bindQueue(queue, exchange, '');
+
+    await ch.consume(queue, async (message) => {
+      if (!message) {
+        return;
+      }
+
+      try {
+        await handler(JSON.parse(message.content.toString()));
+      } catch (error) {
+        logger.error(`Error handling event from ${exchange}:`, error);
+      }
+    }, { noAck: true });
+  };
+
+  await attach();
+  consumers.push(attach);
+}
+
+/**
+ * Close RabbitMQ connection
+ */
+async function closeRabbitMQ() {
+  closing = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  try {
+    if (channel) {
+      await channel.close();
+    }
+    if (connection) {
+      await connection.close();
+    }
+    logger.info('RabbitMQ connection closed');
+  } catch (error) {
+    logger.error('Error closing RabbitMQ connection:', error);
+  } finally {
+    channel = null;
+    connection = null;
+  }
+}
+
+module.exports = {
+  QUEUES,
+  QUEUE_PRIORITY,
+  EXCHANGES,
+  connectRabbitMQ,
+  onReconnect,
+  getChannel,
+  publish,
+  publishEvent,
+  reply,
+  getQueueDepths,
+  consume,
+  subscribe,
+  closeRabbitMQ
+};
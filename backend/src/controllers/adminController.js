@@ -0,0 +1,27 @@
+const judgeService = require('../services/judgeService');
+const logger = require('../utils/logger');
+
+class AdminController {
+  /**
+   * Judge queue depths and live workers with their throughput
+   */
+  static async getJudgeStatus(req, res) {
+    try {
+      const status = await judgeService.getStatus();
+
+      res.json({
+        success: true,
+        data: status
+      });
+
+    } catch (error) {
+      logger.error('Get judge status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
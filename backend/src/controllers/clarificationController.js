@@ -0,0 +1,272 @@
+const Clarification = require('../models/Clarification');
+const ContestController = require('./contestController');
+const websocketService = require('../services/websocketService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+class ClarificationController {
+  /**
+   * List the clarifications of a contest the user can see, with how many are
+   * unread. The jury sees every question and who asked it.
+   */
+  static async getClarifications(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const jury = ContestController.canManage(req.user);
+      const [clarifications, unreadCount] = await Promise.all([
+        Clarification.getByContest(contest.id, { userId: req.user.id, all: jury }),
+        Clarification.countUnread(contest.id, req.user.id, { jury })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          clarifications: clarifications.map(clarification =>
+            clarification.toJSON(jury || clarification.userId === req.user.id)),
+          unreadCount
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get clarifications error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Ask the jury a question about a problem of the contest, or in general
+   * without `problemId`. Only participants can ask, while the contest runs.
+   */
+  static async askQuestion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.isRunning()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Questions can only be asked while the contest is running'
+        });
+      }
+
+      if (!(await contest.isParticipant(req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only contest participants can ask questions'
+        });
+      }
+
+      const { problemId, question } = req.body;
+      if (problemId && !(await contest.hasProblem(problemId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem is not part of this contest'
+        });
+      }
+
+      const clarification = await Clarification.create({
+        contestId: contest.id,
+        problemId,
+        userId: req.user.id,
+        question
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Question sent to the jury',
+        data: {
+          clarification: clarification.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Ask clarification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Answer a question, to the asker only or to everyone (`isPublic`), and
+   * deliver the answer over the WebSocket
+   */
+  static async answerQuestion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const clarification = await Clarification.findById(req.params.clarificationId);
+      if (!clarification || clarification.contestId !== parseInt(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Clarification not found'
+        });
+      }
+
+      if (clarification.isAnnouncement()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Announcements cannot be answered'
+        });
+      }
+
+      const answered = await clarification.respond({
+        answer: req.body.answer,
+        isPublic: req.body.isPublic === true,
+        answeredBy: req.user.id
+      });
+      websocketService.emitClarification(answered);
+
+      res.json({
+        success: true,
+        message: answered.isPublic ? 'Answer published' : 'Answer sent',
+        data: {
+          clarification: answered.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Answer clarification error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Publish a jury announcement and push it to everyone in the contest
+   */
+  static async announce(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const { problemId, text } = req.body;
+      if (problemId && !(await contest.hasProblem(problemId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem is not part of this contest'
+        });
+      }
+
+      const announcement = await Clarification.announce({
+        contestId: contest.id,
+        problemId,
+        text,
+        by: req.user.id
+      });
+      websocketService.emitAnnouncement(announcement);
+
+      res.status(201).json({
+        success: true,
+        message: 'Announcement published',
+        data: {
+          announcement: announcement.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Contest announcement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Mark the contest's clarifications as read by the current user
+   */
+  static async markRead(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      await Clarification.markRead(contest.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Clarifications marked as read'
+      });
+
+    } catch (error) {
+      logger.error('Mark clarifications read error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = ClarificationController;
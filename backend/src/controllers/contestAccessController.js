@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const Contest = require('../models/Contest');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { CONTEST_ACCESS_SOURCES } = require('../utils/constants');
+
+/**
+ * Compare a secret given by a user with the stored one in constant time
+ */
+function secretMatches(given, expected) {
+  if (!given || !expected) {
+    return false;
+  }
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+class ContestAccessController {
+  /**
+   * Enter a private contest with its access code or invite link token
+   */
+  static async joinContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (contest.isPublic) {
+        return res.status(409).json({
+          success: false,
+          message: 'This contest is public'
+        });
+      }
+
+      const { accessCode, inviteToken } = req.body;
+      let source = null;
+      if (secretMatches(inviteToken, contest.inviteToken)) {
+        source = CONTEST_ACCESS_SOURCES.INVITE_LINK;
+      } else if (secretMatches(accessCode, contest.accessCode)) {
+        source = CONTEST_ACCESS_SOURCES.ACCESS_CODE;
+      }
+
+      if (!source) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid access code or invite link'
+        });
+      }
+
+      await contest.grantAccess([req.user.id], source);
+
+      res.json({
+        success: true,
+        message: 'Access granted',
+        data: {
+          contest: contest.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Join private contest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the users with access to a contest
+   */
+  static async getAccessList(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          users: await contest.getAccessList()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get contest access list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Whitelist users in bulk by username or email. Names that match no user
+   * are reported back.
+   */
+  static async whitelist(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const identifiers = [...new Set(req.body.users)];
+      const users = await User.findByIdentifiers(identifiers);
+      const found = new Set(users.flatMap(user => [user.username, user.email]));
+
+      const granted = await contest.grantAccess(
+        users.map(user => user.id),
+        CONTEST_ACCESS_SOURCES.WHITELIST,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: `${granted.length} users whitelisted`,
+        data: {
+          granted,
+          alreadyWhitelisted: users.length - granted.length,
+          notFound: identifiers.filter(identifier => !found.has(identifier))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Whitelist contest users error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Take a user's access to a contest away, with their registration if the
+   * contest has not started (see Contest#revokeAccess)
+   */
+  static async revokeAccess(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!(await contest.revokeAccess(parseInt(req.params.userId)))) {
+        return res.status(404).json({
+          success: false,
+          message: 'User has no access to this contest'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Access revoked'
+      });
+
+    } catch (error) {
+      logger.error('Revoke contest access error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Create a new invite link for a contest; earlier links stop working
+   */
+  static async renewInviteLink(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const inviteToken = await contest.rotateInviteToken();
+
+      res.json({
+        success: true,
+        message: 'Invite link created',
+        data: {
+          inviteToken
+        }
+      });
+
+    } catch (error) {
+      logger.error('Renew contest invite link error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = ContestAccessController;
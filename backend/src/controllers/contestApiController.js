@@ -0,0 +1,313 @@
+const Contest = require('../models/Contest');
+const ContestController = require('./contestController');
+const contestExportService = require('../services/contestExportService');
+const { validationResult } = require('express-validator');
+const clics = require('../utils/clics');
+const logger = require('../utils/logger');
+
+// Idle time after which the event feed sends a newline to keep the connection open
+const FEED_KEEPALIVE_INTERVAL = 120000;
+
+// Most contests listed by the Contest API
+const CONTEST_LIST_LIMIT = 100;
+
+/**
+ * Standings and submission exports (CSV) and the ICPC Contest API (CLICS).
+ * Contest API objects are sent as the specification has them, without the
+ * usual `{ success, data }` envelope, so that CLICS tools can read them.
+ */
+class ContestApiController {
+  /**
+   * Find a contest the user can see that has started, unless they manage it
+   */
+  static async findStarted(id, user) {
+    const contest = await ContestController.findVisible(id, user);
+    return contest && (contest.hasStarted() || ContestController.canManage(user)) ? contest : null;
+  }
+
+  /**
+   * Send a CSV file as a download
+   */
+  static sendCsv(res, filename, csv) {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  }
+
+  /**
+   * Download the standings of a contest as CSV. Managers can ask for the
+   * unfrozen results with `full=true`.
+   */
+  static async exportStandings(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestApiController.findStarted(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const full = req.query.full === 'true' && ContestController.canManage(req.user);
+      const csv = await contestExportService.getStandingsCsv(contest, { full });
+
+      ContestApiController.sendCsv(res, `contest-${contest.id}-standings.csv`, csv);
+
+    } catch (error) {
+      logger.error('Export standings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Download every official submission of a contest as CSV
+   */
+  static async exportSubmissions(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const csv = await contestExportService.getSubmissionsCsv(contest);
+
+      ContestApiController.sendCsv(res, `contest-${contest.id}-submissions.csv`, csv);
+
+    } catch (error) {
+      logger.error('Export submissions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Contest API: the contests the user can see
+   */
+  static async getContests(req, res) {
+    try {
+      const { contests } = await Contest.getAll({
+        limit: CONTEST_LIST_LIMIT,
+        includePrivate: ContestController.canManage(req.user),
+        userId: req.user ? req.user.id : null
+      });
+
+      res.json(contests.map(clics.formatContest));
+
+    } catch (error) {
+      logger.error('Contest API contests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Contest API: one contest
+   */
+  static async getContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      res.json(clics.formatContest(contest));
+
+    } catch (error) {
+      logger.error('Contest API contest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Contest API: a collection of a contest (`problems`, `teams`, ...), or one
+   * object of it with `objectId`. Submissions, judgements and the scoreboard
+   * are available once the contest starts.
+   */
+  static async getEndpoint(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { endpoint, objectId } = req.params;
+      const contest = ['submissions', 'judgements', 'scoreboard'].includes(endpoint)
+        ? await ContestApiController.findStarted(req.params.id, req.user)
+        : await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const full = ContestController.canManage(req.user);
+      const data = await contestExportService.getEndpoint(contest, endpoint, { full });
+
+      if (objectId === undefined) {
+        return res.json(data);
+      }
+
+      const object = Array.isArray(data) ? data.find(item => item.id === objectId) : null;
+      if (!object) {
+        return res.status(404).json({
+          success: false,
+          message: 'Object not found'
+        });
+      }
+
+      res.json(object);
+
+    } catch (error) {
+      logger.error('Contest API endpoint error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Contest API event feed: newline-delimited JSON events describing the
+   * contest, then every change as it happens until the client disconnects.
+   * With `stream=false` the feed ends after the current state.
+   */
+  static async getEventFeed(req, res) {
+    // The client may leave while the first events are still being read
+    let closed = false;
+    let unwatch = null;
+    req.on('close', () => {
+      closed = true;
+      if (unwatch) {
+        unwatch();
+      }
+    });
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (closed) {
+        return;
+      }
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const full = ContestController.canManage(req.user);
+      const seen = new Map();
+      let token = 0;
+      let lastWrite = Date.now();
+
+      const write = (chunk) => {
+        if (res.writableEnded || req.destroyed) {
+          return;
+        }
+        res.write(chunk);
+        // Pushes the chunk past the compression middleware
+        if (typeof res.flush === 'function') {
+          res.flush();
+        }
+        lastWrite = Date.now();
+      };
+
+      const sendEvents = (events) => {
+        if (events.length > 0) {
+          write(events.map(event => `${JSON.stringify({ ...event, token: String(++token) })}\n`).join(''));
+        }
+      };
+
+      res.status(200);
+      res.set('Content-Type', 'application/x-ndjson');
+      res.set('Cache-Control', 'no-cache');
+      sendEvents(await contestExportService.getFeedEvents(contest, seen, { full }));
+
+      if (req.query.stream === 'false') {
+        return res.end();
+      }
+      if (closed) {
+        return;
+      }
+
+      unwatch = contestExportService.watchFeed(contest.id, { full, seen }, (events) => {
+        if (events === null) {
+          unwatch();
+          return res.end();
+        }
+        sendEvents(events);
+        if (Date.now() - lastWrite >= FEED_KEEPALIVE_INTERVAL) {
+          write('\n');
+        }
+      });
+
+    } catch (error) {
+      logger.error('Contest API event feed error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = ContestApiController;
@@ -1 +1,810 @@
-// contestController.js - Generated file
+const Contest = require('../models/Contest');
+const Submission = require('../models/Submission');
+const Clarification = require('../models/Clarification');
+const Team = require('../models/Team');
+const VirtualParticipation = require('../models/VirtualParticipation');
+const judgeService = require('../services/judgeService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { PARTICIPATION_MODES, CONTEST_TYPES, ICPC_FREEZE_DURATION } = require('../utils/constants');
+
+class ContestController {
+  /**
+   * Whether the user manages contests: sees private and unstarted contest
+   * data and may change any contest
+   */
+  static canManage(user) {
+    return Boolean(user) && ['admin', 'moderator'].includes(user.role);
+  }
+
+  /**
+   * Check the registration window and scoreboard freeze against the contest
+   * times. Pass the freeze duration the contest will have, default included:
+   * an ICPC scoreboard must not be frozen from the start.
+   *
+   * @returns {string|null} what is wrong, or null if the schedule is consistent
+   */
+  static checkSchedule({ startTime, duration, registrationStart, registrationEnd, type, freezeDuration }) {
+    const endTime = new Date(new Date(startTime).getTime() + duration * 60 * 1000);
+
+    if (registrationStart && registrationEnd && new Date(registrationStart) >= new Date(registrationEnd)) {
+      return 'Registration must open before it closes';
+    }
+    if (registrationStart && new Date(registrationStart) >= endTime) {
+      return 'Registration must open before the contest ends';
+    }
+    if (registrationEnd && new Date(registrationEnd) > endTime) {
+      return 'Registration must close by the end of the contest';
+    }
+    if (type === CONTEST_TYPES.ICPC && freezeDuration && Number(freezeDuration) >= Number(duration)) {
+      return 'The scoreboard freeze must be shorter than the contest';
+    }
+    return null;
+  }
+
+  /**
+   * Check the settings that team contests do not support: ratings and hacks
+   * are per user
+   *
+   * @returns {string|null} what is wrong, or null if the settings fit together
+   */
+  static checkParticipation({ participationMode, isRated, hacksEnabled }) {
+    if (participationMode !== PARTICIPATION_MODES.TEAM) {
+      return null;
+    }
+    if (isRated) {
+      return 'Team contests cannot be rated';
+    }
+    if (hacksEnabled) {
+      return 'Hacks are not available in team contests';
+    }
+    return null;
+  }
+
+  /**
+   * Check that the rated range, where both bounds are set, is not empty
+   *
+   * @returns {string|null} what is wrong, or null if the range is valid
+   */
+  static checkRatedRange({ ratedMinRating, ratedMaxRating }) {
+    if (ratedMinRating !== null && ratedMinRating !== undefined
+      && ratedMaxRating !== null && ratedMaxRating !== undefined
+      && Number(ratedMinRating) > Number(ratedMaxRating)) {
+      return 'The rated range minimum cannot be above its maximum';
+    }
+    return null;
+  }
+
+  /**
+   * Response for database errors caused by a bad problem set, null for other errors
+   */
+  static problemSetError(error) {
+    if (error.code === '23503') {
+      return 'Problem set refers to a problem that does not exist';
+    }
+    if (error.code === '23505') {
+      return 'Problem set lists a problem or position twice';
+    }
+    return null;
+  }
+
+  /**
+   * Load a contest the user may see. Private contests only exist for
+   * managers and users with access to them.
+   */
+  static async findVisible(id, user) {
+    const contest = await Contest.findById(id);
+    if (!contest || contest.isPublic || ContestController.canManage(user)) {
+      return contest;
+    }
+    return user && await contest.hasAccess(user.id) ? contest : null;
+  }
+
+  /**
+   * List contests, optionally only upcoming, running or past ones
+   */
+  static async getContests(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await Contest.getAll({
+        limit,
+        offset: (page - 1) * limit,
+        phase: req.query.phase,
+        includePrivate: ContestController.canManage(req.user),
+        userId: req.user ? req.user.id : null
+      });
+
+      res.json({
+        success: true,
+        data: {
+          contests: result.contests.map(contest => contest.toJSON()),
+          pagination: {
+            page,
+            limit,
+            totalCount: result.totalCount,
+            hasMore: result.hasMore
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get contests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a contest. Its problems are listed once it has started. Signed-in
+   * users also get their unread clarification count.
+   */
+  static async getContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const showProblems = contest.hasStarted() || ContestController.canManage(req.user);
+      const problems = showProblems ? await contest.getProblems() : null;
+
+      res.json({
+        success: true,
+        data: {
+          contest: contest.toJSON(ContestController.canManage(req.user)),
+          problems: problems && problems.map(({ problem, index, points }) => ({
+            id: problem.id,
+            index,
+            title: problem.title,
+            difficulty: problem.difficulty,
+            points
+          })),
+          isRegistered: req.user ? await contest.isParticipant(req.user.id) : false,
+          unreadClarifications: req.user
+            ? await Clarification.countUnread(contest.id, req.user.id, { jury: ContestController.canManage(req.user) })
+            : 0
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get contest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the problem statements of a contest; hidden until it starts
+   */
+  static async getProblems(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.hasStarted() && !ContestController.canManage(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Problems are hidden until the contest starts'
+        });
+      }
+
+      const problems = await contest.getProblems();
+
+      res.json({
+        success: true,
+        data: {
+          problems: problems.map(({ problem, index, points }) => ({ ...problem.toJSON(), index, points }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get contest problems error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Create a contest with its problem set
+   */
+  static async createContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const scheduleError = ContestController.checkSchedule({
+        ...req.body,
+        freezeDuration: req.body.freezeDuration ?? ICPC_FREEZE_DURATION
+      })
+        || ContestController.checkParticipation(req.body)
+        || ContestController.checkRatedRange(req.body);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
+      }
+
+      let contest;
+      try {
+        contest = await Contest.create({ ...req.body, createdBy: req.user.id });
+      } catch (error) {
+        const message = ContestController.problemSetError(error);
+        if (message) {
+          return res.status(400).json({
+            success: false,
+            message
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Contest created',
+        data: {
+          contest: contest.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create contest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update a contest. The start time and problem set are fixed once it has started.
+   */
+  static async updateContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (contest.hasStarted() && (req.body.startTime !== undefined || req.body.problems !== undefined)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Start time and problems cannot change after the contest has started'
+        });
+      }
+
+      if (contest.ratingsAppliedAt && req.body.isRated !== undefined) {
+        return res.status(409).json({
+          success: false,
+          message: 'Roll back the rating changes before changing whether the contest is rated'
+        });
+      }
+
+      if (req.body.participationMode !== undefined && req.body.participationMode !== contest.participationMode
+        && contest.participantCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Participation mode cannot change once participants have registered'
+        });
+      }
+
+      const rangeChanged = (req.body.ratedMinRating !== undefined && req.body.ratedMinRating !== contest.ratedMinRating)
+        || (req.body.ratedMaxRating !== undefined && req.body.ratedMaxRating !== contest.ratedMaxRating);
+      if (rangeChanged && contest.participantCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'The rated range cannot change once participants have registered'
+        });
+      }
+
+      const scheduleError = ContestController.checkSchedule({
+        startTime: req.body.startTime ?? contest.startTime,
+        duration: req.body.duration ?? contest.duration,
+        registrationStart: req.body.registrationStart !== undefined ? req.body.registrationStart : contest.registrationStart,
+        registrationEnd: req.body.registrationEnd !== undefined ? req.body.registrationEnd : contest.registrationEnd,
+        type: req.body.type ?? contest.type,
+        freezeDuration: req.body.freezeDuration ?? contest.freezeDuration
+      }) || ContestController.checkParticipation({
+        participationMode: req.body.participationMode ?? contest.participationMode,
+        isRated: req.body.isRated ?? contest.isRated,
+        hacksEnabled: req.body.hacksEnabled ?? contest.hacksEnabled
+      }) || ContestController.checkRatedRange({
+        ratedMinRating: req.body.ratedMinRating !== undefined ? req.body.ratedMinRating : contest.ratedMinRating,
+        ratedMaxRating: req.body.ratedMaxRating !== undefined ? req.body.ratedMaxRating : contest.ratedMaxRating
+      });
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
+      }
+
+      let updated;
+      try {
+        updated = await contest.update(req.body);
+      } catch (error) {
+        const message = ContestController.problemSetError(error);
+        if (message) {
+          return res.status(400).json({
+            success: false,
+            message
+          });
+        }
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        message: 'Contest updated',
+        data: {
+          contest: updated.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update contest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete a contest that has not started yet
+   */
+  static async deleteContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (contest.hasStarted()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Contests cannot be deleted once they have started'
+        });
+      }
+
+      await contest.delete();
+
+      res.json({
+        success: true,
+        message: 'Contest deleted'
+      });
+
+    } catch (error) {
+      logger.error('Delete contest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Register the current user for a contest while registration is open. In
+   * team contests the captain registers their team (`teamId`), provided no
+   * member already takes part. Users rated outside the contest's rated range
+   * take part unofficially: they are ranked, but their rating does not change.
+   */
+  static async register(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.isRegistrationOpen()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Registration is closed'
+        });
+      }
+
+      let entrant = { userId: req.user.id };
+
+      if (contest.isTeamContest()) {
+        if (!req.body.teamId) {
+          return res.status(400).json({
+            success: false,
+            message: 'Team contests need a team to register'
+          });
+        }
+
+        const team = await Team.findById(req.body.teamId);
+        if (!team) {
+          return res.status(404).json({
+            success: false,
+            message: 'Team not found'
+          });
+        }
+
+        if (team.captainId !== req.user.id) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the team captain can register the team'
+          });
+        }
+
+        if (await team.hasMemberInContest(contest.id)) {
+          return res.status(409).json({
+            success: false,
+            message: 'A team member is already registered for this contest'
+          });
+        }
+
+        entrant = { teamId: team.id };
+      } else if (await contest.isParticipant(req.user.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Already registered'
+        });
+      }
+
+      const participant = await contest.register(entrant);
+      if (!participant) {
+        return res.status(409).json({
+          success: false,
+          message: 'Contest is full'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: participant.is_official ? 'Registered for contest' : 'Registered for contest unofficially',
+        data: {
+          participant: {
+            contestId: participant.contest_id,
+            userId: participant.user_id,
+            teamId: participant.team_id,
+            official: participant.is_official,
+            registeredAt: participant.registered_at
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Contest registration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Cancel the current user's registration before the contest starts. A
+   * team's registration can only be cancelled by its captain.
+   */
+  static async unregister(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (contest.hasStarted()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Registration cannot be cancelled after the contest has started'
+        });
+      }
+
+      const entry = await contest.getEntry(req.user.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Not registered for this contest'
+        });
+      }
+
+      if (entry.team_id) {
+        const team = await Team.findById(entry.team_id);
+        if (team.captainId !== req.user.id) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the team captain can cancel the registration'
+          });
+        }
+      }
+
+      await contest.unregister(entry.team_id ? { teamId: entry.team_id } : { userId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Registration cancelled'
+      });
+
+    } catch (error) {
+      logger.error('Contest unregistration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Start a virtual participation in a finished contest, on the user's own
+   * clock. Official participants already know the problems and cannot.
+   */
+  static async startVirtual(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.hasEnded()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Virtual participation is only possible in finished contests'
+        });
+      }
+
+      if (await contest.isParticipant(req.user.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Official participants cannot take part virtually'
+        });
+      }
+
+      const participation = await VirtualParticipation.create(contest, req.user.id);
+      if (!participation) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already took part in this contest virtually'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Virtual participation started',
+        data: {
+          participation: participation.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Start virtual participation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the current user's virtual participation in a contest
+   */
+  static async getVirtual(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const participation = await VirtualParticipation.findByContestAndUser(req.params.id, req.user.id);
+      if (!participation) {
+        return res.status(404).json({
+          success: false,
+          message: 'No virtual participation in this contest'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          participation: participation.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get virtual participation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Submit a solution to a contest problem while the contest is running, or
+   * while the user's virtual participation in the finished contest is. In
+   * team contests the submission counts for the user's team.
+   */
+  static async submit(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const problemId = parseInt(req.params.problemId);
+      if (!(await contest.hasProblem(problemId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem is not part of this contest'
+        });
+      }
+
+      let virtual = null;
+      let entry = null;
+      if (contest.isRunning()) {
+        entry = await contest.getEntry(req.user.id);
+        if (!entry) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only registered participants can submit'
+          });
+        }
+      } else {
+        virtual = contest.hasEnded() && await VirtualParticipation.findByContestAndUser(contest.id, req.user.id);
+        if (!virtual || !virtual.isRunning()) {
+          return res.status(403).json({
+            success: false,
+            message: 'The contest is not running'
+          });
+        }
+      }
+
+      const { code, language } = req.body;
+
+      const submission = await Submission.create({
+        userId: req.user.id,
+        problemId,
+        contestId: contest.id,
+        virtualParticipationId: virtual ? virtual.id : null,
+        teamId: entry ? entry.team_id : null,
+        language,
+        code
+      });
+
+      await judgeService.queueSubmission(submission);
+
+      res.status(201).json({
+        success: true,
+        message: 'Submission queued for judging',
+        data: {
+          submission: submission.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Contest submit error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = ContestController;
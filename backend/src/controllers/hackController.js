@@ -0,0 +1,335 @@
+const Hack = require('../models/Hack');
+const Contest = require('../models/Contest');
+const Problem = require('../models/Problem');
+const Submission = require('../models/Submission');
+const judgeService = require('../services/judgeService');
+const hackService = require('../services/hackService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { SUBMISSION_STATUS, PROBLEM_FILE_KINDS, SOLUTION_TAGS } = require('../utils/constants');
+
+class HackController {
+  /**
+   * Check that `user` may hack solutions of a problem in a contest: hacks are
+   * enabled, the contest is running, and the user is a participant who has
+   * solved the problem. The problem needs a validator and a main solution.
+   *
+   * @returns {Promise<Object|null>} { status, message } of the refusal, or null if allowed
+   */
+  static async checkHackAccess(user, contest, problemId) {
+    if (!contest) {
+      return { status: 404, message: 'Contest not found' };
+    }
+    if (!contest.hacksEnabled) {
+      return { status: 403, message: 'Hacks are not enabled in this contest' };
+    }
+    if (!contest.isRunning()) {
+      return { status: 403, message: 'Hacks are only allowed while the contest is running' };
+    }
+    if (!(await contest.hasProblem(problemId))) {
+      return { status: 404, message: 'Problem is not part of this contest' };
+    }
+    if (!(await contest.isParticipant(user.id))) {
+      return { status: 403, message: 'Only contest participants can hack' };
+    }
+
+    const solved = await Submission.getAll({
+      limit: 1,
+      userId: user.id,
+      problemId,
+      contestId: contest.id,
+      status: SUBMISSION_STATUS.ACCEPTED
+    });
+    if (solved.totalCount === 0) {
+      return { status: 403, message: 'Solve the problem before hacking other solutions' };
+    }
+
+    const problem = await Problem.findById(problemId, { includePrivate: true });
+    const [validator] = await problem.getFiles(PROBLEM_FILE_KINDS.VALIDATOR);
+    const solutions = await problem.getFiles(PROBLEM_FILE_KINDS.SOLUTION);
+    if (problem.isInteractive || !validator || !solutions.some(solution => solution.tag === SOLUTION_TAGS.MAIN)) {
+      return { status: 400, message: 'This problem cannot be hacked' };
+    }
+
+    return null;
+  }
+
+  /**
+   * List other participants' accepted solutions of a problem, with their code
+   */
+  static async getTargets(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.contestId);
+      const problemId = parseInt(req.params.problemId);
+
+      const refusal = await HackController.checkHackAccess(req.user, contest, problemId);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          message: refusal.message
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await Submission.getAll({
+        limit,
+        offset: (page - 1) * limit,
+        problemId,
+        contestId: contest.id,
+        status: SUBMISSION_STATUS.ACCEPTED,
+        excludeUserId: req.user.id
+      });
+
+      res.json({
+        success: true,
+        data: {
+          submissions: result.submissions.map(submission => submission.toJSON(true)),
+          pagination: {
+            page,
+            limit,
+            totalCount: result.totalCount,
+            hasMore: result.hasMore
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get hack targets error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Hack an accepted solution with an input and queue it for judging
+   */
+  static async createHack(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const submission = await Submission.findById(req.body.submissionId);
+      if (!submission || !submission.contestId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest submission not found'
+        });
+      }
+
+      const contest = await Contest.findById(submission.contestId);
+      const refusal = await HackController.checkHackAccess(req.user, contest, submission.problemId);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          message: refusal.message
+        });
+      }
+
+      if (submission.userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot hack your own submission'
+        });
+      }
+
+      if (submission.status !== SUBMISSION_STATUS.ACCEPTED) {
+        return res.status(409).json({
+          success: false,
+          message: 'Only accepted submissions can be hacked'
+        });
+      }
+
+      const hack = await Hack.create({
+        contestId: contest.id,
+        problemId: submission.problemId,
+        submissionId: submission.id,
+        hackerId: req.user.id,
+        defenderId: submission.userId,
+        inputData: req.body.input
+      });
+
+      await judgeService.queueHack(hack);
+
+      res.status(201).json({
+        success: true,
+        message: 'Hack submitted for judging',
+        data: {
+          hack: hack.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create hack error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List hacks, newest first. Inputs are only shown on a single hack.
+   */
+  static async getHacks(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await Hack.getAll({
+        limit,
+        offset: (page - 1) * limit,
+        contestId: req.query.contestId,
+        problemId: req.query.problemId,
+        submissionId: req.query.submissionId,
+        hackerId: req.query.hackerId,
+        defenderId: req.query.defenderId,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: {
+          hacks: result.hacks.map(hack => hack.toJSON()),
+          pagination: {
+            page,
+            limit,
+            totalCount: result.totalCount,
+            hasMore: result.hasMore
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get hacks error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a hack. Its input is visible to the hacker, the defender and
+   * moderators, and to everyone once the contest is over.
+   */
+  static async getHack(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const hack = await Hack.findById(req.params.id);
+      if (!hack) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hack not found'
+        });
+      }
+
+      const isInvolved = req.user && [hack.hackerId, hack.defenderId].includes(req.user.id);
+      const isModerator = req.user && ['admin', 'moderator'].includes(req.user.role);
+      const contest = await Contest.findById(hack.contestId);
+      const contestOver = contest !== null && contest.hasEnded();
+
+      res.json({
+        success: true,
+        data: {
+          hack: hack.toJSON(isInvolved || isModerator || contestOver)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get hack error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Add the inputs of a finished contest's successful hacks to the system
+   * tests and rejudge the accepted solutions against them
+   */
+  static async addToSystemTests(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.contestId);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.hasEnded()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Hack tests can only be added after the contest'
+        });
+      }
+
+      const added = await hackService.addToSystemTests(contest);
+      const rejudged = contest.systemTestsRejudgePending ? await hackService.rejudgeSystemTests(contest) : 0;
+
+      res.json({
+        success: true,
+        message: `${added} hack tests added to the system tests`,
+        data: {
+          added,
+          rejudged
+        }
+      });
+
+    } catch (error) {
+      logger.error('Add hack tests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = HackController;
@@ -0,0 +1,27 @@
+const { getPublicLanguages } = require('../config/languages');
+const logger = require('../utils/logger');
+
+class LanguageController {
+  /**
+   * List the languages submissions can be written in
+   */
+  static async getLanguages(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          languages: getPublicLanguages()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get languages error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = LanguageController;
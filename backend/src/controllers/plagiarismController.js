@@ -0,0 +1,235 @@
+const Contest = require('../models/Contest');
+const Submission = require('../models/Submission');
+const PlagiarismCluster = require('../models/PlagiarismCluster');
+const plagiarismService = require('../services/plagiarismService');
+const standingsService = require('../services/standingsService');
+const websocketService = require('../services/websocketService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+class PlagiarismController {
+  /**
+   * List the flagged clusters of a contest, most similar first
+   */
+  static async getClusters(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const clusters = await PlagiarismCluster.getByContest(req.params.contestId, req.query.status);
+
+      res.json({
+        success: true,
+        data: {
+          clusters: clusters.map(cluster => cluster.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get plagiarism clusters error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a cluster with the code of its submissions, for side-by-side review
+   */
+  static async getCluster(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const cluster = await PlagiarismCluster.findById(req.params.id);
+      if (!cluster) {
+        return res.status(404).json({
+          success: false,
+          message: 'Plagiarism cluster not found'
+        });
+      }
+
+      const submissions = await Promise.all(cluster.submissionIds.map(id => Submission.findById(id)));
+
+      res.json({
+        success: true,
+        data: {
+          cluster: cluster.toJSON(),
+          submissions: submissions.filter(Boolean).map(submission => submission.toJSON(true))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get plagiarism cluster error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Confirm or dismiss a cluster. Confirming does not disqualify anyone by
+   * itself; moderators disqualify the participants they hold responsible.
+   */
+  static async reviewCluster(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const cluster = await PlagiarismCluster.findById(req.params.id);
+      if (!cluster) {
+        return res.status(404).json({
+          success: false,
+          message: 'Plagiarism cluster not found'
+        });
+      }
+
+      const reviewed = await cluster.review(req.body.status, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Cluster marked ${reviewed.status}`,
+        data: {
+          cluster: reviewed.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Review plagiarism cluster error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Run the plagiarism check of a finished contest again
+   */
+  static async checkContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.contestId);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.hasEnded()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Plagiarism checks run after the contest'
+        });
+      }
+
+      plagiarismService.queueCheck(contest.id);
+
+      res.status(202).json({
+        success: true,
+        message: 'Plagiarism check queued'
+      });
+
+    } catch (error) {
+      logger.error('Queue plagiarism check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Disqualify a participant (POST) or lift the disqualification (DELETE),
+   * then rank the contest again
+   */
+  static async setDisqualified(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.contestId);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      const disqualified = req.method === 'POST';
+      const participant = await contest.setDisqualified(parseInt(req.params.userId), {
+        disqualified,
+        reason: req.body.reason,
+        by: req.user.id
+      });
+
+      if (!participant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Participant not found'
+        });
+      }
+
+      await standingsService.recalculate(contest.id);
+      websocketService.emitStandingsUpdate(contest.id);
+
+      res.json({
+        success: true,
+        message: disqualified ? 'Participant disqualified' : 'Disqualification lifted',
+        data: {
+          participant: {
+            userId: participant.user_id,
+            disqualified: participant.disqualified,
+            disqualificationReason: participant.disqualification_reason,
+            disqualifiedBy: participant.disqualified_by,
+            disqualifiedAt: participant.disqualified_at
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Disqualify participant error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = PlagiarismController;
@@ -1 +1,540 @@
-// problemController.js - Generated file
+const Problem = require('../models/Problem');
+const judgeService = require('../services/judgeService');
+const { validationResult } = require('express-validator');
+const { parseTestArchive } = require('../utils/testArchive');
+const { getExportBlocker, writePackage } = require('../utils/problemPackage');
+const logger = require('../utils/logger');
+const { PROBLEM_TYPES, CHECKER_TYPES } = require('../utils/constants');
+
+class ProblemController {
+  /**
+   * Whether the user may edit a problem's data: its author or a moderator
+   */
+  static canEdit(user, problem) {
+    return ['admin', 'moderator'].includes(user.role) || problem.createdBy === user.id;
+  }
+
+  /**
+   * Checker settings from a request body; only a custom checker keeps a program
+   */
+  static checkerFrom(body) {
+    const checkerType = body.checkerType || CHECKER_TYPES.EXACT;
+    const custom = checkerType === CHECKER_TYPES.CUSTOM;
+
+    return {
+      checkerType,
+      checkerConfig: checkerType === CHECKER_TYPES.FLOAT ? body.checkerConfig || {} : {},
+      checkerSource: custom ? body.checkerSource : null,
+      checkerLanguage: custom ? body.checkerLanguage : null
+    };
+  }
+
+  /**
+   * Problem type settings from a request body; only an interactive problem keeps an interactor
+   */
+  static interactorFrom(body) {
+    const problemType = body.problemType || PROBLEM_TYPES.STANDARD;
+    const interactive = problemType === PROBLEM_TYPES.INTERACTIVE;
+
+    return {
+      problemType,
+      interactorSource: interactive ? body.interactorSource : null,
+      interactorLanguage: interactive ? body.interactorLanguage : null,
+      maxQueries: interactive ? body.maxQueries : null
+    };
+  }
+
+  /**
+   * List the problemset, without problems of contests that have not started
+   */
+  static async getProblems(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await Problem.getAll({
+        limit,
+        offset: (page - 1) * limit,
+        difficulty: req.query.difficulty,
+        tags: req.query.tags ? req.query.tags.split(',') : undefined,
+        search: req.query.search,
+        userId: req.user ? req.user.id : null
+      });
+
+      res.json({
+        success: true,
+        data: {
+          problems: result.problems.map(problem => problem.toJSON()),
+          pagination: {
+            page,
+            limit,
+            totalCount: result.totalCount,
+            hasMore: result.hasMore
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get problems error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a problemset problem by slug, with its sample tests
+   */
+  static async getProblem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findBySlug(req.params.slug, {
+        userId: req.user ? req.user.id : null
+      });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      const samples = await problem.getTestCases(true);
+
+      res.json({
+        success: true,
+        data: {
+          problem: problem.toJSON(),
+          samples: samples.map(sample => ({
+            input: sample.input_data,
+            output: sample.expected_output
+          }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get problem error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Create a problem. Tests are added afterwards, by archive upload, so it
+   * stays private until published.
+   */
+  static async createProblem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let problem;
+      try {
+        problem = await Problem.create({
+          title: req.body.title,
+          slug: req.body.slug,
+          description: req.body.description,
+          inputFormat: req.body.inputFormat,
+          outputFormat: req.body.outputFormat,
+          constraints: req.body.constraints,
+          difficulty: req.body.difficulty,
+          timeLimit: req.body.timeLimit,
+          memoryLimit: req.body.memoryLimit,
+          tags: req.body.tags,
+          ...ProblemController.interactorFrom(req.body),
+          ...ProblemController.checkerFrom(req.body),
+          createdBy: req.user.id,
+          isPublic: false
+        });
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'A problem with this slug already exists'
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Problem created',
+        data: {
+          problem: problem.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create problem error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Replace how a problem's outputs are checked. Existing verdicts stay as
+   * they are until a rejudge.
+   */
+  static async updateChecker(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findById(req.params.id, { includePrivate: true });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      if (!ProblemController.canEdit(req.user, problem)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the problem author or a moderator can change its checker'
+        });
+      }
+
+      const updated = await problem.updateChecker(ProblemController.checkerFrom(req.body));
+
+      res.json({
+        success: true,
+        message: 'Checker updated',
+        data: {
+          problem: updated.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update checker error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Make a problem standard or interactive and replace its interactor.
+   * Existing verdicts stay as they are until a rejudge.
+   */
+  static async updateInteractor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findById(req.params.id, { includePrivate: true });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      if (!ProblemController.canEdit(req.user, problem)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the problem author or a moderator can change its interactor'
+        });
+      }
+
+      const updated = await problem.updateInteractor(ProblemController.interactorFrom(req.body));
+
+      res.json({
+        success: true,
+        message: 'Interactor updated',
+        data: {
+          problem: updated.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update interactor error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Publish a problem in the problemset or take it back out
+   */
+  static async setVisibility(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findById(req.params.id, { includePrivate: true });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      if (!ProblemController.canEdit(req.user, problem)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the problem author or a moderator can publish it'
+        });
+      }
+
+      const updated = await problem.setPublic(req.body.isPublic);
+
+      res.json({
+        success: true,
+        message: updated.isPublic ? 'Problem published' : 'Problem made private',
+        data: {
+          problem: updated.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Set problem visibility error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Import test data from an uploaded zip archive (see utils/testArchive.js),
+   * replacing or appending to the problem's tests
+   */
+  static async uploadTests(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findById(req.params.id, { includePrivate: true });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      if (!ProblemController.canEdit(req.user, problem)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the problem author or a moderator can change its tests'
+        });
+      }
+
+      const replace = req.body.mode === 'replace';
+      const existingGroups = replace ? [] : (await problem.getTestGroups()).map(group => group.name);
+      const archive = await parseTestArchive(req.file.buffer, existingGroups);
+
+      if (archive.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid test archive',
+          errors: archive.errors,
+          warnings: archive.warnings
+        });
+      }
+
+      const report = await problem.importTests({
+        tests: archive.tests,
+        groups: archive.groups,
+        replace
+      });
+
+      res.json({
+        success: true,
+        message: `${report.testsAdded} tests imported`,
+        data: {
+          report,
+          warnings: archive.warnings
+        }
+      });
+
+    } catch (error) {
+      logger.error('Upload tests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Create a problem from an uploaded package (see utils/problemPackage.js).
+   * The archive is staged in the database and a judge worker reads it,
+   * generates and validates every test, checks that the solutions get their
+   * expected verdicts and stores the problem in one transaction; nothing is
+   * kept unless all of that succeeds. The problem is private until published.
+   */
+  static async importPackage(req, res) {
+    let uploadId = null;
+    try {
+      uploadId = await Problem.stagePackage(req.file.buffer, req.user.id);
+
+      let result;
+      try {
+        result = await judgeService.importPackage(uploadId, req.user.id);
+      } catch (error) {
+        logger.warn('Package import not answered:', error.message);
+        // Keep a worker that picks it up later from importing it anyway
+        await Problem.takeStagedPackage(uploadId);
+        return res.status(503).json({
+          success: false,
+          message: 'Judge is busy, please try again later'
+        });
+      }
+
+      if (result.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Problem package check failed',
+          errors: result.errors,
+          data: {
+            solutions: result.solutions
+          }
+        });
+      }
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Problem imported; it stays private until published',
+        data: {
+          problem: result.problem,
+          testsImported: result.testsImported,
+          solutions: result.solutions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Import package error:', error);
+      if (uploadId) {
+        await Problem.takeStagedPackage(uploadId).catch(() => {});
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Download a problem as a package
+   */
+  static async exportPackage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findById(req.params.id, { includePrivate: true });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      if (!ProblemController.canEdit(req.user, problem)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the problem author or a moderator can export it'
+        });
+      }
+
+      const [testCases, testGroups, files] = await Promise.all([
+        problem.getTestCases(),
+        problem.getTestGroups(),
+        problem.getFiles()
+      ]);
+
+      const blocker = getExportBlocker(files);
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: `${blocker}, so its package could not be imported again`
+        });
+      }
+
+      const buffer = writePackage(problem, testCases, testGroups, files);
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${problem.slug}.zip"`
+      });
+      res.send(buffer);
+
+    } catch (error) {
+      logger.error('Export package error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = ProblemController;
@@ -0,0 +1,192 @@
+const Contest = require('../models/Contest');
+const RatingChange = require('../models/RatingChange');
+const ratingService = require('../services/ratingService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+class RatingController {
+  /**
+   * Get the rating changes of a contest
+   */
+  static async getContestChanges(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const changes = await RatingChange.getByContest(req.params.contestId);
+
+      res.json({
+        success: true,
+        data: {
+          changes: changes.map(change => change.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get contest rating changes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a user's rating history
+   */
+  static async getUserHistory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const history = await RatingChange.getByUser(req.params.userId);
+
+      res.json({
+        success: true,
+        data: {
+          history: history.map(change => change.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get rating history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Finalize a rated contest: compute and apply its rating changes
+   */
+  static async applyRatings(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.contestId);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.isRated) {
+        return res.status(409).json({
+          success: false,
+          message: 'This contest is unrated'
+        });
+      }
+
+      if (!contest.hasEnded()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ratings can only be applied after the contest'
+        });
+      }
+
+      if (await contest.hasPendingSubmissions()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Submissions are still being judged'
+        });
+      }
+
+      const changes = contest.ratingsAppliedAt ? null : await ratingService.applyContest(contest);
+      if (!changes) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ratings were already applied for this contest'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Ratings applied to ${changes.length} participants`,
+        data: {
+          changes
+        }
+      });
+
+    } catch (error) {
+      logger.error('Apply ratings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Roll back the rating changes of a contest
+   */
+  static async rollbackRatings(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.contestId);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.ratingsAppliedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ratings were not applied for this contest'
+        });
+      }
+
+      const restored = await ratingService.rollbackContest(contest);
+      if (restored === null) {
+        return res.status(409).json({
+          success: false,
+          message: 'Participants have rating changes from later contests; roll those back first'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Rating changes rolled back for ${restored} users`
+      });
+
+    } catch (error) {
+      logger.error('Roll back ratings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = RatingController;
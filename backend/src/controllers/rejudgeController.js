@@ -0,0 +1,161 @@
+const Submission = require('../models/Submission');
+const Problem = require('../models/Problem');
+const judgeService = require('../services/judgeService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+class RejudgeController {
+  /**
+   * Reset the matching submissions and queue them for judging again
+   */
+  static async rejudge(req, res, filters) {
+    const submissionIds = await Submission.resetForRejudge(
+      { ...filters, statuses: req.body.statuses },
+      req.user.id
+    );
+
+    await judgeService.queueRejudge(submissionIds);
+
+    res.json({
+      success: true,
+      message: `${submissionIds.length} submissions queued for rejudge`,
+      data: {
+        submissionIds
+      }
+    });
+  }
+
+  /**
+   * Rejudge a single submission
+   */
+  static async rejudgeSubmission(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const submission = await Submission.findById(req.params.id);
+      if (!submission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      await RejudgeController.rejudge(req, res, { submissionId: submission.id });
+
+    } catch (error) {
+      logger.error('Rejudge submission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Rejudge all submissions to a problem
+   */
+  static async rejudgeProblem(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findById(req.params.id, { includePrivate: true });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      await RejudgeController.rejudge(req, res, { problemId: problem.id });
+
+    } catch (error) {
+      logger.error('Rejudge problem error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Rejudge all submissions made in a contest
+   */
+  static async rejudgeContest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      await RejudgeController.rejudge(req, res, { contestId: parseInt(req.params.id) });
+
+    } catch (error) {
+      logger.error('Rejudge contest error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the results a submission had before each of its rejudges
+   */
+  static async getHistory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const submission = await Submission.findById(req.params.id);
+      if (!submission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      const history = await submission.getRejudgeHistory();
+
+      res.json({
+        success: true,
+        data: {
+          submission: submission.toJSON(),
+          history
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get rejudge history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = RejudgeController;
@@ -0,0 +1,67 @@
+const Problem = require('../models/Problem');
+const judgeService = require('../services/judgeService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { CUSTOM_RUN_DEFAULTS } = require('../utils/constants');
+
+class RunController {
+  /**
+   * Run code on custom input without creating a submission
+   */
+  static async run(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { code, language, stdin = '', problemId } = req.body;
+
+      let timeLimit = CUSTOM_RUN_DEFAULTS.TIME_LIMIT;
+      let memoryLimit = CUSTOM_RUN_DEFAULTS.MEMORY_LIMIT;
+
+      if (problemId) {
+        const problem = await Problem.findById(problemId, { userId: req.user.id });
+        if (!problem) {
+          return res.status(404).json({
+            success: false,
+            message: 'Problem not found'
+          });
+        }
+        timeLimit = problem.timeLimit;
+        memoryLimit = problem.memoryLimit;
+      }
+
+      let result;
+      try {
+        result = await judgeService.runCustom({ code, language, stdin, timeLimit, memoryLimit });
+      } catch (error) {
+        logger.warn('Custom run not answered:', error.message);
+        return res.status(503).json({
+          success: false,
+          message: 'Judge is busy, please try again later'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          result
+        }
+      });
+
+    } catch (error) {
+      logger.error('Custom run error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = RunController;
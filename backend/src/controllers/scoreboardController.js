@@ -0,0 +1,172 @@
+const Contest = require('../models/Contest');
+const VirtualParticipation = require('../models/VirtualParticipation');
+const ContestController = require('./contestController');
+const standingsService = require('../services/standingsService');
+const websocketService = require('../services/websocketService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+class ScoreboardController {
+  /**
+   * Check that the frozen scoreboard of a contest can be resolved: the
+   * contest is over, its scoreboard freezes and has not been unfrozen yet
+   *
+   * @returns {{status: number, message: string}|null} why not, or null if it can
+   */
+  static checkResolvable(contest) {
+    if (!contest) {
+      return { status: 404, message: 'Contest not found' };
+    }
+    if (!contest.getFreezeTime()) {
+      return { status: 409, message: 'This contest has no scoreboard freeze' };
+    }
+    if (!contest.hasEnded()) {
+      return { status: 409, message: 'The scoreboard can only be resolved after the contest' };
+    }
+    if (contest.unfrozenAt) {
+      return { status: 409, message: 'The scoreboard is already unfrozen' };
+    }
+    return null;
+  }
+
+  /**
+   * Get the scoreboard of a contest. Managers can ask for the unfrozen
+   * results with `full=true`. Virtual participants see it as it stood at
+   * their elapsed time, with themselves in it, unless they ask for `official=true`.
+   * `officialOnly=true` shows only participants within the rated range.
+   */
+  static async getScoreboard(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await ContestController.findVisible(req.params.id, req.user);
+      if (!contest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contest not found'
+        });
+      }
+
+      if (!contest.hasStarted() && !ContestController.canManage(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'The scoreboard is available once the contest starts'
+        });
+      }
+
+      const full = req.query.full === 'true' && ContestController.canManage(req.user);
+      const virtual = req.user && req.query.official !== 'true'
+        ? await VirtualParticipation.findByContestAndUser(contest.id, req.user.id)
+        : null;
+      const scoreboard = await standingsService.getScoreboard(contest, {
+        full,
+        virtual,
+        officialOnly: req.query.officialOnly === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          scoreboard
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get scoreboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Resolver: reveal the next frozen result and show it to every scoreboard viewer
+   */
+  static async revealNext(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      const refusal = ScoreboardController.checkResolvable(contest);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          message: refusal.message
+        });
+      }
+
+      const step = await standingsService.revealNext(contest, req.user.id);
+      websocketService.emitScoreboardReveal(contest.id, step);
+
+      res.json({
+        success: true,
+        message: step.finished ? 'Scoreboard fully revealed' : 'Result revealed',
+        data: step
+      });
+
+    } catch (error) {
+      logger.error('Resolver step error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Unfreeze the scoreboard at once, revealing everything left
+   */
+  static async unfreeze(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const contest = await Contest.findById(req.params.id);
+      const refusal = ScoreboardController.checkResolvable(contest);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          message: refusal.message
+        });
+      }
+
+      await contest.markUnfrozen();
+      websocketService.emitStandingsUpdate(contest.id);
+
+      res.json({
+        success: true,
+        message: 'Scoreboard unfrozen'
+      });
+
+    } catch (error) {
+      logger.error('Unfreeze scoreboard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = ScoreboardController;
@@ -1 +1,276 @@
-// submissionController.js - Generated file
+const Submission = require('../models/Submission');
+const Problem = require('../models/Problem');
+const Contest = require('../models/Contest');
+const TestResult = require('../models/TestResult');
+const judgeService = require('../services/judgeService');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+class SubmissionController {
+  /**
+   * Whether a user may see every result, frozen or not
+   */
+  static isModerator(user) {
+    return Boolean(user) && ['admin', 'moderator'].includes(user.role);
+  }
+
+  /**
+   * Whether `user` may see a submission at all: submissions to a private
+   * contest are only for its author, moderators and users with access to it
+   */
+  static async canSee(submission, user) {
+    if (!submission.contestId || SubmissionController.isModerator(user) || (user && user.id === submission.userId)) {
+      return true;
+    }
+
+    const contest = await Contest.findById(submission.contestId);
+    return !contest || contest.isPublic || (Boolean(user) && await contest.hasAccess(user.id));
+  }
+
+  /**
+   * Submissions as JSON for `user`, with the results a frozen scoreboard
+   * hides blanked out unless the user made the submission or is a moderator
+   *
+   * @param {Submission[]} submissions
+   * @param {Object|null} user
+   * @param {Object} [options]
+   * @param {boolean} [options.includeCode] - include the source code of the user's own submissions
+   */
+  static async toVisibleJSON(submissions, user, { includeCode = false } = {}) {
+    const contestIds = [...new Set(submissions.map(submission => submission.contestId).filter(Boolean))];
+    const contests = new Map(
+      (await Promise.all(contestIds.map(id => Contest.findById(id))))
+        .filter(Boolean)
+        .map(contest => [contest.id, contest])
+    );
+
+    return submissions.map(submission => {
+      const isOwner = Boolean(user) && user.id === submission.userId;
+      const data = submission.toJSON(includeCode && isOwner);
+      const contest = contests.get(submission.contestId);
+
+      if (isOwner || SubmissionController.isModerator(user) || !contest || !contest.hidesResultOf(submission.submittedAt)) {
+        return data;
+      }
+      return Submission.hideResult(data);
+    });
+  }
+
+  /**
+   * Submit a solution and queue it for judging
+   */
+  static async submit(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = await Problem.findById(req.params.problemId, { userId: req.user.id });
+      if (!problem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Problem not found'
+        });
+      }
+
+      const { code, language } = req.body;
+
+      const submission = await Submission.create({
+        userId: req.user.id,
+        problemId: problem.id,
+        language,
+        code
+      });
+
+      await judgeService.queueSubmission(submission);
+
+      res.status(201).json({
+        success: true,
+        message: 'Submission queued for judging',
+        data: {
+          submission: submission.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Submit error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a single submission. The source code is only shown to its author,
+   * and a result hidden by a frozen scoreboard only to the author and moderators.
+   */
+  static async getSubmission(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const submission = await Submission.findById(req.params.id);
+      if (!submission || !(await SubmissionController.canSee(submission, req.user))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      const [data] = await SubmissionController.toVisibleJSON([submission], req.user, { includeCode: true });
+
+      res.json({
+        success: true,
+        data: {
+          submission: data
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get submission error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get per-test results of a submission.
+   *
+   * As on Codeforces, the author sees every test of a practice submission.
+   * During a contest the author only sees verdict, time and memory per test,
+   * with data and checker comments limited to the sample tests; once the
+   * contest is over everybody can see all of it, unless the scoreboard is
+   * still frozen. Moderators always can.
+   */
+  static async getTestResults(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const submission = await Submission.findById(req.params.id);
+      if (!submission || !(await SubmissionController.canSee(submission, req.user))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      const isOwner = req.user && req.user.id === submission.userId;
+      const isModerator = SubmissionController.isModerator(req.user);
+      const contestEndTime = await submission.getContestEndTime();
+      const contestRunning = contestEndTime !== null && new Date(contestEndTime) > new Date();
+      const contestOver = contestEndTime !== null && !contestRunning;
+      const contest = contestOver && !isModerator && !isOwner ? await Contest.findById(submission.contestId) : null;
+
+      if (!isModerator && !isOwner && (!contestOver || (contest && contest.hidesResultOf(submission.submittedAt)))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Test results of this submission are not public'
+        });
+      }
+
+      const testResult = await TestResult.findBySubmissionId(submission.id);
+      let tests = testResult ? testResult.tests : [];
+
+      if (!isModerator && contestRunning) {
+        tests = tests.map(test => (test.isSample ? test : {
+          testNumber: test.testNumber,
+          isSample: false,
+          verdict: test.verdict,
+          time: test.time,
+          memory: test.memory
+        }));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          submission: submission.toJSON(isOwner),
+          tests
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get test results error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List submissions, newest first. Results hidden by a frozen scoreboard
+   * are blanked out, and cannot be found by filtering on status. Other
+   * users' submissions to private contests the user has no access to are left out.
+   */
+  static async getSubmissions(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const result = await Submission.getAll({
+        limit,
+        offset: (page - 1) * limit,
+        userId: req.query.userId,
+        problemId: req.query.problemId,
+        contestId: req.query.contestId,
+        status: req.query.status,
+        hideFrozenResults: !SubmissionController.isModerator(req.user),
+        hidePrivateContests: !SubmissionController.isModerator(req.user),
+        viewerId: req.user ? req.user.id : null
+      });
+
+      res.json({
+        success: true,
+        data: {
+          submissions: await SubmissionController.toVisibleJSON(result.submissions, req.user),
+          pagination: {
+            page,
+            limit,
+            totalCount: result.totalCount,
+            hasMore: result.hasMore
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get submissions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = SubmissionController;
@@ -0,0 +1,422 @@
+const Team = require('../models/Team');
+const TeamInvite = require('../models/TeamInvite');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { TEAM_MAX_MEMBERS } = require('../utils/constants');
+
+class TeamController {
+  /**
+   * Create a team with the current user as captain
+   */
+  static async createTeam(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let team;
+      try {
+        team = await Team.create({ ...req.body, captainId: req.user.id });
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'A team with this name already exists'
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Team created',
+        data: {
+          team: team.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create team error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the current user's teams
+   */
+  static async getMyTeams(req, res) {
+    try {
+      const teams = await Team.getByUser(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          teams: teams.map(team => team.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get my teams error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a team with its members. Members also see the pending invites.
+   */
+  static async getTeam(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const team = await Team.findById(req.params.id);
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+
+      const members = await team.getMembers();
+      const isMember = Boolean(req.user) && members.some(member => member.userId === req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          team: {
+            ...team.toJSON(),
+            members,
+            ...(isMember && {
+              invites: (await TeamInvite.getPending({ teamId: team.id })).map(invite => invite.toJSON())
+            })
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get team error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Update a team's name or organization (captain only)
+   */
+  static async updateTeam(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const team = await Team.findById(req.params.id);
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+
+      if (team.captainId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the team captain can change the team'
+        });
+      }
+
+      let updated;
+      try {
+        updated = await team.update(req.body);
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'A team with this name already exists'
+          });
+        }
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        message: 'Team updated',
+        data: {
+          team: updated.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update team error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Invite a user to a team by username (captain only)
+   */
+  static async inviteMember(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const team = await Team.findById(req.params.id);
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+
+      if (team.captainId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the team captain can invite members'
+        });
+      }
+
+      if (team.memberCount >= TEAM_MAX_MEMBERS) {
+        return res.status(409).json({
+          success: false,
+          message: `Teams have at most ${TEAM_MAX_MEMBERS} members`
+        });
+      }
+
+      const user = await User.findByUsername(req.body.username);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (await team.isMember(user.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'User is already a member of the team'
+        });
+      }
+
+      const invite = await TeamInvite.create({ teamId: team.id, userId: user.id, invitedBy: req.user.id });
+      if (!invite) {
+        return res.status(409).json({
+          success: false,
+          message: 'User already has a pending invite to the team'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Invite sent',
+        data: {
+          invite: { ...invite.toJSON(), teamName: team.name, username: user.username }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Team invite error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the current user's pending team invites
+   */
+  static async getMyInvites(req, res) {
+    try {
+      const invites = await TeamInvite.getPending({ userId: req.user.id });
+
+      res.json({
+        success: true,
+        data: {
+          invites: invites.map(invite => invite.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get team invites error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Accept or decline a team invite (`accept` boolean). Teams cannot take
+   * new members beyond TEAM_MAX_MEMBERS or while registered for a contest
+   * that has not ended.
+   */
+  static async respondToInvite(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invite = await TeamInvite.findById(req.params.id);
+      if (!invite || invite.userId !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invite not found'
+        });
+      }
+
+      if (!invite.isPending()) {
+        return res.status(409).json({
+          success: false,
+          message: `Invite was already ${invite.status}`
+        });
+      }
+
+      if (req.body.accept !== true) {
+        await invite.decline();
+        return res.json({
+          success: true,
+          message: 'Invite declined',
+          data: {
+            invite: invite.toJSON()
+          }
+        });
+      }
+
+      const team = await Team.findById(invite.teamId);
+      if (await team.hasActiveRegistration()) {
+        return res.status(409).json({
+          success: false,
+          message: 'The team cannot change members while registered for a contest'
+        });
+      }
+
+      if (!(await invite.accept())) {
+        return res.status(409).json({
+          success: false,
+          message: 'Team is full'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Joined team',
+        data: {
+          invite: invite.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Team invite response error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Remove a member from a team: the captain removes others, members remove
+   * themselves to leave. The captain cannot leave their own team.
+   */
+  static async removeMember(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const team = await Team.findById(req.params.id);
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+
+      const userId = parseInt(req.params.userId);
+      if (team.captainId !== req.user.id && userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the team captain can remove other members'
+        });
+      }
+
+      if (userId === team.captainId) {
+        return res.status(409).json({
+          success: false,
+          message: 'The captain cannot leave the team'
+        });
+      }
+
+      if (await team.hasActiveRegistration()) {
+        return res.status(409).json({
+          success: false,
+          message: 'The team cannot change members while registered for a contest'
+        });
+      }
+
+      if (!(await team.removeMember(userId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'User is not a member of the team'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: userId === req.user.id ? 'Left team' : 'Member removed'
+      });
+
+    } catch (error) {
+      logger.error('Remove team member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = TeamController;
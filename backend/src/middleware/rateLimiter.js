@@ -1 +1,26 @@
-// rateLimiter.js - Generated file
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Key authenticated requests by user so that users behind one IP (e.g. a
+ * university network) don't share a budget
+ */
+const keyByUser = (req) => (req.user ? `user:${req.user.id}` : req.ip);
+
+/**
+ * Limit for "run on custom input", counted separately from the global API limit
+ */
+const customRunLimiter = rateLimit({
+  windowMs: (process.env.CUSTOM_RUN_RATE_LIMIT_WINDOW || 1) * 60 * 1000, // 1 minute
+  max: process.env.CUSTOM_RUN_RATE_LIMIT_MAX_REQUESTS || 10,
+  keyGenerator: keyByUser,
+  message: {
+    success: false,
+    message: 'Too many custom runs, please wait a moment before running again.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+module.exports = {
+  customRunLimiter
+};
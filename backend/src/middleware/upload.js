@@ -0,0 +1,44 @@
+const multer = require('multer');
+const { TEST_ARCHIVE_LIMITS } = require('../utils/constants');
+
+/**
+ * Accept a single zip file in the `archive` field, kept in memory.
+ * Upload errors (wrong type, too large) are answered with 400.
+ */
+const uploadArchive = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: TEST_ARCHIVE_LIMITS.MAX_FILE_SIZE,
+      files: 1
+    },
+    fileFilter: (req, file, callback) => {
+      if (!/\.zip$/i.test(file.originalname)) {
+        return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+      }
+      callback(null, true);
+    }
+  }).single('archive');
+
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError ? `Upload failed: ${error.message}` : 'Upload failed'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A zip archive is required in the "archive" field'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadArchive
+};
@@ -1,4 +1,19 @@
 const { body, param, query } = require('express-validator');
+const {
+  SUBMISSION_STATUS,
+  PENDING_STATUSES,
+  HACK_INPUT_LIMIT,
+  PLAGIARISM_STATUS,
+  CONTEST_PHASES,
+  CONTEST_TYPES,
+  CONTEST_MAX_PROBLEMS,
+  CONTEST_WHITELIST_MAX,
+  CONTEST_API_ENDPOINTS,
+  PARTICIPATION_MODES,
+  PROBLEM_DIFFICULTIES,
+  HACK_STATUS
+} = require('../utils/constants');
+const { getLanguageIds } = require('../config/languages');
 
 /**
  * User registration validation
@@ -121,6 +136,65 @@ const validatePasswordChange = [
     .withMessage('New password must contain at least one lowercase, one uppercase letter, and one number')
 ];
 
+/**
+ * How a problem's outputs are checked, shared by problem creation and checker updates
+ */
+const checkerRules = [
+  body('checkerType')
+    .optional()
+    .isIn(['exact', 'token', 'float', 'custom'])
+    .withMessage('Checker type must be exact, token, float, or custom'),
+
+  body('checkerConfig.absoluteError')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Absolute error must be a non-negative number'),
+
+  body('checkerConfig.relativeError')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Relative error must be a non-negative number'),
+
+  body('checkerSource')
+    .if(body('checkerType').equals('custom'))
+    .notEmpty()
+    .withMessage('Custom checker source is required')
+    .isLength({ max: 1000000 })
+    .withMessage('Checker source must be less than 1,000,000 characters'),
+
+  body('checkerLanguage')
+    .if(body('checkerType').equals('custom'))
+    .isIn(getLanguageIds())
+    .withMessage('Invalid checker language')
+];
+
+/**
+ * Interactive problem settings, shared by problem creation and interactor updates
+ */
+const interactorRules = [
+  body('problemType')
+    .optional()
+    .isIn(['standard', 'interactive'])
+    .withMessage('Problem type must be standard or interactive'),
+
+  body('interactorSource')
+    .if(body('problemType').equals('interactive'))
+    .notEmpty()
+    .withMessage('Interactor source is required for interactive problems')
+    .isLength({ max: 1000000 })
+    .withMessage('Interactor source must be less than 1,000,000 characters'),
+
+  body('interactorLanguage')
+    .if(body('problemType').equals('interactive'))
+    .isIn(getLanguageIds())
+    .withMessage('Invalid interactor language'),
+
+  body('maxQueries')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max queries must be a positive integer')
+];
+
 /**
  * Problem creation validation
  */
@@ -154,7 +228,7 @@ const validateProblemCreation = [
     .trim(),
 
   body('difficulty')
-    .isIn(['Easy', 'Medium', 'Hard'])
+    .isIn(PROBLEM_DIFFICULTIES)
     .withMessage('Difficulty must be Easy, Medium, or Hard'),
 
   body('timeLimit')
@@ -175,7 +249,85 @@ const validateProblemCreation = [
   body('tags.*')
     .optional()
     .isLength({ max: 50 })
-    .withMessage('Each tag must be less than 50 characters')
+    .withMessage('Each tag must be less than 50 characters'),
+
+  ...interactorRules,
+
+  ...checkerRules
+];
+
+/**
+ * Problemset listing validation
+ */
+const validateProblemList = [
+  query('difficulty')
+    .optional()
+    .isIn(PROBLEM_DIFFICULTIES)
+    .withMessage('Difficulty must be Easy, Medium, or Hard'),
+
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list'),
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters')
+];
+
+/**
+ * Problem slug parameter validation
+ */
+const validateProblemSlug = [
+  param('slug')
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Slug can only contain lowercase letters, numbers, and hyphens')
+];
+
+/**
+ * Checker update validation: the checker is replaced as a whole
+ */
+const validateCheckerUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('checkerType')
+    .exists()
+    .withMessage('Checker type is required'),
+
+  ...checkerRules
+];
+
+/**
+ * Problem visibility validation
+ */
+const validateProblemVisibility = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('isPublic')
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Interactor update validation: the problem type and interactor are replaced as a whole
+ */
+const validateInteractorUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('problemType')
+    .exists()
+    .withMessage('Problem type is required'),
+
+  ...interactorRules
 ];
 
 /**
@@ -189,14 +341,303 @@ const validateSubmission = [
     .withMessage('Code must be less than 100,000 characters'),
 
   body('language')
-    .isIn(['cpp', 'java', 'python', 'javascript', 'c'])
+    .isIn(getLanguageIds())
+    .withMessage('Invalid programming language'),
+
+  param('problemId')
+    .isInt({ min: 1 })
+    .withMessage('Problem ID must be a positive integer')
+];
+
+/**
+ * Custom run validation
+ */
+const validateCustomRun = [
+  body('code')
+    .notEmpty()
+    .withMessage('Code is required')
+    .isLength({ max: 100000 })
+    .withMessage('Code must be less than 100,000 characters'),
+
+  body('language')
+    .isIn(getLanguageIds())
     .withMessage('Invalid programming language'),
 
+  body('stdin')
+    .optional()
+    .isString()
+    .withMessage('Input must be a string')
+    .isLength({ max: 1000000 })
+    .withMessage('Input must be less than 1,000,000 characters'),
+
+  body('problemId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Problem ID must be a positive integer')
+];
+
+/**
+ * Test archive upload validation
+ */
+const validateTestUpload = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('mode')
+    .optional()
+    .isIn(['replace', 'append'])
+    .withMessage('Mode must be replace or append')
+];
+
+/**
+ * Rejudge validation: target ID and an optional filter on current verdicts
+ */
+const validateRejudge = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('statuses')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Statuses must be a non-empty array'),
+
+  body('statuses.*')
+    .isIn(Object.values(SUBMISSION_STATUS).filter(status => !PENDING_STATUSES.includes(status)))
+    .withMessage('Invalid submission status')
+];
+
+/**
+ * Hack submission validation
+ */
+const validateHack = [
+  body('submissionId')
+    .isInt({ min: 1 })
+    .withMessage('Submission ID must be a positive integer'),
+
+  body('input')
+    .isString()
+    .withMessage('Input must be a string')
+    .isLength({ min: 1, max: HACK_INPUT_LIMIT })
+    .withMessage(`Input must be between 1 and ${HACK_INPUT_LIMIT} characters`)
+];
+
+/**
+ * Contest and problem parameters of hack routes
+ */
+const validateHackTarget = [
+  param('contestId')
+    .isInt({ min: 1 })
+    .withMessage('Contest ID must be a positive integer'),
+
   param('problemId')
+    .optional()
     .isInt({ min: 1 })
     .withMessage('Problem ID must be a positive integer')
 ];
 
+/**
+ * Hack listing filter validation
+ */
+const validateHackList = [
+  query('contestId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Contest ID must be a positive integer')
+    .toInt(),
+
+  query('problemId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Problem ID must be a positive integer')
+    .toInt(),
+
+  query('submissionId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Submission ID must be a positive integer')
+    .toInt(),
+
+  query('hackerId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Hacker ID must be a positive integer')
+    .toInt(),
+
+  query('defenderId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Defender ID must be a positive integer')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(Object.values(HACK_STATUS))
+    .withMessage('Invalid hack status')
+];
+
+/**
+ * Contest ID parameter validation
+ */
+const validateContestId = [
+  param('contestId')
+    .isInt({ min: 1 })
+    .withMessage('Contest ID must be a positive integer')
+];
+
+/**
+ * User ID parameter validation
+ */
+const validateUserId = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+];
+
+/**
+ * Plagiarism cluster listing validation
+ */
+const validatePlagiarismClusters = [
+  ...validateContestId,
+
+  query('status')
+    .optional()
+    .isIn(Object.values(PLAGIARISM_STATUS))
+    .withMessage('Invalid cluster status')
+];
+
+/**
+ * Plagiarism cluster review validation
+ */
+const validatePlagiarismReview = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('status')
+    .isIn([PLAGIARISM_STATUS.CONFIRMED, PLAGIARISM_STATUS.DISMISSED])
+    .withMessage('Status must be confirmed or dismissed')
+];
+
+/**
+ * Participant disqualification validation
+ */
+const validateDisqualification = [
+  ...validateContestId,
+
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1,000 characters')
+];
+
+/**
+ * Problem set of a contest: problems in order, each with optional points and position
+ */
+const contestProblemRules = [
+  body('problems')
+    .optional()
+    .isArray({ max: CONTEST_MAX_PROBLEMS })
+    .withMessage(`Problems must be an array of at most ${CONTEST_MAX_PROBLEMS} entries`),
+
+  body('problems.*.problemId')
+    .isInt({ min: 1 })
+    .withMessage('Problem ID must be a positive integer'),
+
+  body('problems.*.points')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Problem points must be a positive integer'),
+
+  body('problems.*.position')
+    .optional()
+    .isInt({ min: 1, max: CONTEST_MAX_PROBLEMS })
+    .withMessage(`Problem position must be between 1 and ${CONTEST_MAX_PROBLEMS}`)
+];
+
+/**
+ * Contest settings other than title, start time and duration, all optional
+ */
+const contestSettingRules = [
+  body('description')
+    .optional()
+    .trim(),
+
+  body('type')
+    .optional()
+    .isIn(Object.values(CONTEST_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(CONTEST_TYPES).join(', ')}`),
+
+  body('freezeDuration')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Freeze duration must be between 0 and 1440 minutes'),
+
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean'),
+
+  body('accessCode')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Access code must be a string')
+    .trim()
+    .isLength({ min: 4, max: 64 })
+    .withMessage('Access code must be between 4 and 64 characters'),
+
+  body('maxParticipants')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Max participants must be a positive integer'),
+
+  body('registrationStart')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Registration start must be a valid ISO 8601 date'),
+
+  body('registrationEnd')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Registration end must be a valid ISO 8601 date'),
+
+  body('hacksEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('hacksEnabled must be a boolean'),
+
+  body('participationMode')
+    .optional()
+    .isIn(Object.values(PARTICIPATION_MODES))
+    .withMessage('Participation mode must be individual or team'),
+
+  body('isRated')
+    .optional()
+    .isBoolean()
+    .withMessage('isRated must be a boolean'),
+
+  body('ratedMinRating')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Rated range minimum must be a non-negative integer')
+    .toInt(),
+
+  body('ratedMaxRating')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Rated range maximum must be a non-negative integer')
+    .toInt(),
+
+  ...contestProblemRules
+];
+
 /**
  * Contest creation validation
  */
@@ -206,27 +647,350 @@ const validateContestCreation = [
     .withMessage('Title must be between 3 and 255 characters')
     .trim(),
 
-  body('description')
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Start time must be in the future'),
+
+  body('duration')
+    .isInt({ min: 30, max: 1440 })
+    .withMessage('Duration must be between 30 and 1440 minutes'),
+
+  ...contestSettingRules
+];
+
+/**
+ * Contest update validation: any subset of the creation fields
+ */
+const validateContestUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('title')
     .optional()
+    .isLength({ min: 3, max: 255 })
+    .withMessage('Title must be between 3 and 255 characters')
     .trim(),
 
   body('startTime')
+    .optional()
     .isISO8601()
-    .withMessage('Start time must be a valid ISO 8601 date'),
+    .withMessage('Start time must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Start time must be in the future'),
 
   body('duration')
+    .optional()
     .isInt({ min: 30, max: 1440 })
     .withMessage('Duration must be between 30 and 1440 minutes'),
 
-  body('type')
+  ...contestSettingRules
+];
+
+/**
+ * Contest listing validation
+ */
+const validateContestList = [
+  query('phase')
     .optional()
-    .isLength({ max: 50 })
-    .withMessage('Type must be less than 50 characters'),
+    .isIn(Object.values(CONTEST_PHASES))
+    .withMessage('Phase must be upcoming, running, or past')
+];
 
-  body('maxParticipants')
+/**
+ * Contest scoreboard validation
+ */
+const validateScoreboard = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  query('full')
+    .optional()
+    .isBoolean()
+    .withMessage('full must be a boolean'),
+
+  query('official')
+    .optional()
+    .isBoolean()
+    .withMessage('official must be a boolean'),
+
+  query('officialOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('officialOnly must be a boolean')
+];
+
+/**
+ * Contest export validation
+ */
+const validateContestExport = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  query('full')
+    .optional()
+    .isBoolean()
+    .withMessage('full must be a boolean')
+];
+
+/**
+ * Contest API endpoint validation
+ */
+const validateContestApiEndpoint = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  param('endpoint')
+    .isIn(CONTEST_API_ENDPOINTS)
+    .withMessage(`Endpoint must be one of: ${CONTEST_API_ENDPOINTS.join(', ')}`),
+
+  param('objectId')
+    .optional()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Object ID must be 1-64 characters')
+];
+
+/**
+ * Contest API event feed validation
+ */
+const validateEventFeed = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  query('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('stream must be a boolean')
+];
+
+/**
+ * Contest registration validation; team contests register a team
+ */
+const validateContestRegistration = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('teamId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Team ID must be a positive integer')
+];
+
+/**
+ * Private contest entry validation: an access code or an invite link token
+ */
+const validateContestAccess = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('accessCode')
+    .optional()
+    .isString()
+    .withMessage('Access code must be a string')
+    .trim(),
+
+  body('inviteToken')
+    .optional()
+    .isString()
+    .withMessage('Invite token must be a string'),
+
+  body()
+    .custom(value => Boolean(value.accessCode || value.inviteToken))
+    .withMessage('An access code or invite token is required')
+];
+
+/**
+ * Private contest whitelist validation: usernames or emails
+ */
+const validateContestWhitelist = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('users')
+    .isArray({ min: 1, max: CONTEST_WHITELIST_MAX })
+    .withMessage(`Users must be a list of 1 to ${CONTEST_WHITELIST_MAX} usernames or emails`),
+
+  body('users.*')
+    .isString()
+    .withMessage('Each user must be a username or email')
+    .trim()
+    .notEmpty()
+    .withMessage('Each user must be a username or email')
+];
+
+/**
+ * Contest access revocation validation
+ */
+const validateContestAccessRevocation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+];
+
+/**
+ * Clarification request validation
+ */
+const validateClarification = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('problemId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Problem ID must be a positive integer')
+    .toInt(),
+
+  body('question')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Question must be between 1 and 2,000 characters')
+];
+
+/**
+ * Clarification answer validation
+ */
+const validateClarificationAnswer = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  param('clarificationId')
+    .isInt({ min: 1 })
+    .withMessage('Clarification ID must be a positive integer'),
+
+  body('answer')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Answer must be between 1 and 2,000 characters'),
+
+  body('isPublic')
     .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Contest announcement validation
+ */
+const validateAnnouncement = [
+  param('id')
     .isInt({ min: 1 })
-    .withMessage('Max participants must be a positive integer')
+    .withMessage('ID must be a positive integer'),
+
+  body('problemId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Problem ID must be a positive integer')
+    .toInt(),
+
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Announcement must be between 1 and 2,000 characters')
+];
+
+/**
+ * Team creation validation
+ */
+const validateTeamCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Team name must be between 2 and 100 characters'),
+
+  body('organization')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Organization must be less than 255 characters')
+];
+
+/**
+ * Team update validation
+ */
+const validateTeamUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Team name must be between 2 and 100 characters'),
+
+  body('organization')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Organization must be less than 255 characters')
+];
+
+/**
+ * Team invite validation
+ */
+const validateTeamInvite = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required')
+];
+
+/**
+ * Team invite response validation
+ */
+const validateTeamInviteResponse = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  body('accept')
+    .isBoolean()
+    .withMessage('accept must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Team member removal validation
+ */
+const validateTeamMember = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+];
+
+/**
+ * Contest submission validation
+ */
+const validateContestSubmission = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer'),
+
+  ...validateSubmission
 ];
 
 /**
@@ -259,8 +1023,43 @@ module.exports = {
   validateProfileUpdate,
   validatePasswordChange,
   validateProblemCreation,
+  validateProblemList,
+  validateProblemSlug,
+  validateCheckerUpdate,
+  validateInteractorUpdate,
+  validateProblemVisibility,
   validateSubmission,
+  validateCustomRun,
+  validateTestUpload,
+  validateRejudge,
+  validateHack,
+  validateHackTarget,
+  validateHackList,
+  validateContestId,
+  validateUserId,
+  validatePlagiarismClusters,
+  validatePlagiarismReview,
+  validateDisqualification,
   validateContestCreation,
+  validateContestUpdate,
+  validateContestList,
+  validateContestRegistration,
+  validateContestSubmission,
+  validateContestAccess,
+  validateContestWhitelist,
+  validateContestAccessRevocation,
+  validateScoreboard,
+  validateContestExport,
+  validateContestApiEndpoint,
+  validateEventFeed,
+  validateClarification,
+  validateClarificationAnswer,
+  validateAnnouncement,
+  validateTeamCreation,
+  validateTeamUpdate,
+  validateTeamInvite,
+  validateTeamInviteResponse,
+  validateTeamMember,
   validatePagination,
   validateId
 };
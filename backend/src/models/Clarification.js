@@ -0,0 +1,234 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const logger = require('../utils/logger');
+
+// Column list with the asker's username and the problem's title, for rows aliased `cl`
+const CLARIFICATION_COLUMNS = `
+  cl.*,
+  u.username,
+  p.title as problem_title
+`;
+
+const CLARIFICATION_JOINS = `
+  LEFT JOIN users u ON u.id = cl.user_id
+  LEFT JOIN problems p ON p.id = cl.problem_id
+`;
+
+/**
+ * A participant's question to the jury during a contest, about one problem
+ * or the contest in general, with the jury's answer. The jury answers the
+ * asker only or publishes the answer to everyone. Jury announcements are
+ * stored the same way, without a question or asker, and are always public.
+ */
+class Clarification {
+  constructor(clarificationData) {
+    this.id = clarificationData.id;
+    this.contestId = clarificationData.contest_id;
+    this.problemId = clarificationData.problem_id;
+    this.problemTitle = clarificationData.problem_title;
+    this.userId = clarificationData.user_id;
+    this.username = clarificationData.username;
+    this.question = clarificationData.question;
+    this.answer = clarificationData.answer;
+    this.isPublic = clarificationData.is_public === true;
+    this.answeredBy = clarificationData.answered_by;
+    this.answeredAt = clarificationData.answered_at;
+    this.createdAt = clarificationData.created_at;
+  }
+
+  /**
+   * Ask the jury a question
+   */
+  static async create({ contestId, problemId, userId, question }) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      WITH cl AS (
+        INSERT INTO clarifications (contest_id, problem_id, user_id, question)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      )
+      SELECT ${CLARIFICATION_COLUMNS} FROM cl ${CLARIFICATION_JOINS}
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId, problemId || null, userId, question]);
+      logger.info(`Clarification requested in contest ${contestId} by user ${userId}`);
+      return new Clarification(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating clarification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish a jury announcement, optionally about one problem
+   */
+  static async announce({ contestId, problemId, text, by }) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      WITH cl AS (
+        INSERT INTO clarifications (contest_id, problem_id, answer, is_public, answered_by, answered_at)
+        VALUES ($1, $2, $3, true, $4, CURRENT_TIMESTAMP)
+        RETURNING *
+      )
+      SELECT ${CLARIFICATION_COLUMNS} FROM cl ${CLARIFICATION_JOINS}
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId, problemId || null, text, by]);
+      logger.info(`Announcement published in contest ${contestId}`);
+      return new Clarification(result.rows[0]);
+    } catch (error) {
+      logger.error('Error publishing announcement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find clarification by ID
+   */
+  static async findById(id) {
+    const pool = getPostgreSQLPool();
+    const query = `SELECT ${CLARIFICATION_COLUMNS} FROM clarifications cl ${CLARIFICATION_JOINS} WHERE cl.id = $1`;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? new Clarification(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding clarification by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the clarifications of a contest a user can see, latest activity
+   * first: announcements, published answers and their own questions. The
+   * jury (`all`) sees every question.
+   */
+  static async getByContest(contestId, { userId = null, all = false } = {}) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT ${CLARIFICATION_COLUMNS}
+      FROM clarifications cl
+      ${CLARIFICATION_JOINS}
+      WHERE cl.contest_id = $1
+        AND ($2 OR (cl.is_public AND cl.answer IS NOT NULL) OR cl.user_id = $3)
+      ORDER BY COALESCE(cl.answered_at, cl.created_at) DESC, cl.id DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId, all, userId]);
+      return result.rows.map(row => new Clarification(row));
+    } catch (error) {
+      logger.error('Error getting contest clarifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Number of clarifications waiting for a user. For participants these are
+   * announcements and answers they can see that arrived since they last
+   * read the clarifications; for the jury, the questions still unanswered.
+   */
+  static async countUnread(contestId, userId, { jury = false } = {}) {
+    const pool = getPostgreSQLPool();
+
+    const query = jury
+      ? 'SELECT COUNT(*) FROM clarifications WHERE contest_id = $1 AND answer IS NULL'
+      : `
+        SELECT COUNT(*)
+        FROM clarifications cl
+        LEFT JOIN clarification_reads r ON r.contest_id = cl.contest_id AND r.user_id = $2
+        WHERE cl.contest_id = $1
+          AND cl.answer IS NOT NULL
+          AND (cl.is_public OR cl.user_id = $2)
+          AND (r.read_at IS NULL OR cl.answered_at > r.read_at)
+      `;
+
+    try {
+      const result = await pool.query(query, jury ? [contestId] : [contestId, userId]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting unread clarifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a user has read the clarifications of a contest up to now
+   */
+  static async markRead(contestId, userId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      INSERT INTO clarification_reads (contest_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (contest_id, user_id) DO UPDATE SET read_at = CURRENT_TIMESTAMP
+    `;
+
+    try {
+      await pool.query(query, [contestId, userId]);
+    } catch (error) {
+      logger.error('Error marking clarifications as read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Answer the question, privately or for everyone. An answer can be
+   * changed later, e.g. to publish it.
+   */
+  async respond({ answer, isPublic = false, answeredBy }) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      WITH cl AS (
+        UPDATE clarifications
+        SET answer = $1, is_public = $2, answered_by = $3, answered_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING *
+      )
+      SELECT ${CLARIFICATION_COLUMNS} FROM cl ${CLARIFICATION_JOINS}
+    `;
+
+    try {
+      const result = await pool.query(query, [answer, isPublic, answeredBy, this.id]);
+      logger.info(`Clarification ${this.id} answered${isPublic ? ' publicly' : ''}`);
+      return new Clarification(result.rows[0]);
+    } catch (error) {
+      logger.error('Error answering clarification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether this is a jury announcement rather than an answered question
+   */
+  isAnnouncement() {
+    return this.question === null || this.question === undefined;
+  }
+
+  /**
+   * Sanitize clarification data for API response. Who asked is only shown
+   * to the asker and the jury (`includeAuthor`).
+   */
+  toJSON(includeAuthor = false) {
+    return {
+      id: this.id,
+      contestId: this.contestId,
+      problemId: this.problemId,
+      problemTitle: this.problemTitle,
+      ...(includeAuthor === true && { userId: this.userId, username: this.username }),
+      isAnnouncement: this.isAnnouncement(),
+      question: this.question,
+      answer: this.answer,
+      isPublic: this.isPublic,
+      answeredAt: this.answeredAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Clarification;
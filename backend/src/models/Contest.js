@@ -1 +1,1044 @@
-// Contest.js - Generated file
+const crypto = require('crypto');
+const { getPostgreSQLPool } = require('../utils/database');
+const Problem = require('./Problem');
+const Submission = require('./Submission');
+const logger = require('../utils/logger');
+const {
+  CONTEST_PHASES,
+  CONTEST_STATUS,
+  CONTEST_TYPES,
+  ICPC_FREEZE_DURATION,
+  PARTICIPATION_MODES,
+  PENDING_STATUSES,
+  SUBMISSION_STATUS
+} = require('../utils/constants');
+
+// Contest fields that can be changed after creation, by API name
+const UPDATABLE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  startTime: 'start_time',
+  duration: 'duration',
+  type: 'type',
+  isPublic: 'is_public',
+  accessCode: 'access_code',
+  maxParticipants: 'max_participants',
+  registrationStart: 'registration_start',
+  registrationEnd: 'registration_end',
+  hacksEnabled: 'hacks_enabled',
+  participationMode: 'participation_mode',
+  isRated: 'is_rated',
+  ratedMinRating: 'rated_min_rating',
+  ratedMaxRating: 'rated_max_rating',
+  freezeDuration: 'freeze_duration'
+};
+
+// Column list that also counts registered participants
+const CONTEST_COLUMNS = `
+  c.*,
+  (SELECT COUNT(*) FROM contest_participants cp WHERE cp.contest_id = c.id)::int as participant_count
+`;
+
+// Contest entries of a user: their own, or one of a team they are a member of
+const ENTRY_OF_USER = `
+  (cp.user_id = $2 OR cp.team_id IN (SELECT team_id FROM team_members WHERE user_id = $2))
+`;
+
+/**
+ * End of a contest starting at `startTime` and lasting `duration` minutes
+ */
+function endTimeOf(startTime, duration) {
+  return new Date(new Date(startTime).getTime() + duration * 60 * 1000);
+}
+
+class Contest {
+  constructor(contestData) {
+    this.id = contestData.id;
+    this.title = contestData.title;
+    this.description = contestData.description;
+    this.startTime = contestData.start_time;
+    this.endTime = contestData.end_time;
+    this.duration = contestData.duration;
+    this.type = contestData.type;
+    this.isPublic = contestData.is_public !== false;
+    this.accessCode = contestData.access_code;
+    this.inviteToken = contestData.invite_token;
+    this.status = contestData.status || CONTEST_STATUS.SCHEDULED;
+    this.statusChangedAt = contestData.status_changed_at;
+    this.maxParticipants = contestData.max_participants;
+    this.registrationStart = contestData.registration_start;
+    this.registrationEnd = contestData.registration_end;
+    this.hacksEnabled = contestData.hacks_enabled === true;
+    this.participationMode = contestData.participation_mode || PARTICIPATION_MODES.INDIVIDUAL;
+    this.freezeDuration = contestData.freeze_duration ?? ICPC_FREEZE_DURATION;
+    this.unfrozenAt = contestData.unfrozen_at;
+    this.isRated = contestData.is_rated === true;
+    this.ratedMinRating = contestData.rated_min_rating ?? null;
+    this.ratedMaxRating = contestData.rated_max_rating ?? null;
+    this.ratingsAppliedAt = contestData.ratings_applied_at;
+    this.plagiarismCheckedAt = contestData.plagiarism_checked_at;
+    this.systemTestsRejudgePending = contestData.system_tests_rejudge_pending === true;
+    this.participantCount = contestData.participant_count || 0;
+    this.createdBy = contestData.created_by;
+    this.createdAt = contestData.created_at;
+    this.updatedAt = contestData.updated_at;
+  }
+
+  /**
+   * Create a contest with its problem set
+   *
+   * @param {Object} contestData
+   * @param {Object[]} [contestData.problems] - { problemId, points, position }, position defaulting to list order
+   */
+  static async create(contestData) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    const query = `
+      INSERT INTO contests (
+        title, description, start_time, end_time, duration, type, is_public, access_code,
+        max_participants, registration_start, registration_end, hacks_enabled, participation_mode,
+        freeze_duration, is_rated, rated_min_rating, rated_max_rating, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING *
+    `;
+
+    const values = [
+      contestData.title,
+      contestData.description,
+      contestData.startTime,
+      endTimeOf(contestData.startTime, contestData.duration),
+      contestData.duration,
+      contestData.type || CONTEST_TYPES.REGULAR,
+      contestData.isPublic !== false,
+      contestData.accessCode || null,
+      contestData.maxParticipants || null,
+      contestData.registrationStart || null,
+      contestData.registrationEnd || null,
+      contestData.hacksEnabled === true,
+      contestData.participationMode || PARTICIPATION_MODES.INDIVIDUAL,
+      contestData.freezeDuration ?? ICPC_FREEZE_DURATION,
+      contestData.isRated === true,
+      contestData.ratedMinRating ?? null,
+      contestData.ratedMaxRating ?? null,
+      contestData.createdBy
+    ];
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(query, values);
+      const contest = new Contest(result.rows[0]);
+      await Contest.setProblems(client, contest.id, contestData.problems || []);
+      await client.query('COMMIT');
+
+      logger.info(`Contest created: ${contest.title} (${contest.id})`);
+      return contest;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error creating contest:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace the problem set of a contest inside the caller's transaction
+   */
+  static async setProblems(client, contestId, problems) {
+    await client.query('DELETE FROM contest_problems WHERE contest_id = $1', [contestId]);
+
+    for (const [index, problem] of problems.entries()) {
+      await client.query(
+        `INSERT INTO contest_problems (contest_id, problem_id, position, points)
+         VALUES ($1, $2, $3, COALESCE($4, 500))`,
+        [contestId, problem.problemId, problem.position || index + 1, problem.points || null]
+      );
+    }
+  }
+
+  /**
+   * Find contest by ID
+   */
+  static async findById(id) {
+    const pool = getPostgreSQLPool();
+    const query = `SELECT ${CONTEST_COLUMNS} FROM contests c WHERE c.id = $1`;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? new Contest(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding contest by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get contests with pagination, filtered by phase. Upcoming contests are
+   * listed soonest first, the others most recent first. Private contests are
+   * listed with `includePrivate`, or those `userId` has access to.
+   */
+  static async getAll(options = {}) {
+    const pool = getPostgreSQLPool();
+    const {
+      limit = 20,
+      offset = 0,
+      phase,
+      includePrivate = false,
+      userId = null
+    } = options;
+
+    const whereConditions = [];
+    const queryParams = [];
+    let orderClause = 'ORDER BY c.start_time DESC';
+
+    if (!includePrivate && userId) {
+      queryParams.push(userId);
+      whereConditions.push(`(c.is_public = true OR EXISTS (
+        SELECT 1 FROM contest_access ca WHERE ca.contest_id = c.id AND ca.user_id = $${queryParams.length}
+      ))`);
+    } else if (!includePrivate) {
+      whereConditions.push('c.is_public = true');
+    }
+
+    if (phase === CONTEST_PHASES.UPCOMING) {
+      whereConditions.push('c.start_time > CURRENT_TIMESTAMP');
+      orderClause = 'ORDER BY c.start_time ASC';
+    } else if (phase === CONTEST_PHASES.RUNNING) {
+      whereConditions.push('c.start_time <= CURRENT_TIMESTAMP AND c.end_time > CURRENT_TIMESTAMP');
+      orderClause = 'ORDER BY c.end_time ASC';
+    } else if (phase === CONTEST_PHASES.PAST) {
+      whereConditions.push('c.end_time <= CURRENT_TIMESTAMP');
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const query = `
+      SELECT ${CONTEST_COLUMNS}
+      FROM contests c
+      ${whereClause}
+      ${orderClause}, c.id
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `;
+
+    try {
+      const result = await pool.query(query, [...queryParams, limit, offset]);
+      const contests = result.rows.map(row => new Contest(row));
+
+      const countResult = await pool.query(`SELECT COUNT(*) FROM contests c ${whereClause}`, queryParams);
+      const totalCount = parseInt(countResult.rows[0].count);
+
+      return {
+        contests,
+        totalCount,
+        hasMore: offset + limit < totalCount
+      };
+    } catch (error) {
+      logger.error('Error getting contests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim finished contests, past their system tests, whose plagiarism
+   * check has not been queued yet. Each contest is returned once, whichever
+   * server asks first, until the claim is released.
+   *
+   * @returns {Promise<number[]>} contest IDs
+   */
+  static async claimPlagiarismChecks() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE contests
+      SET plagiarism_checked_at = CURRENT_TIMESTAMP
+      WHERE status = $1 AND plagiarism_checked_at IS NULL
+      RETURNING id
+    `;
+
+    try {
+      const result = await pool.query(query, [CONTEST_STATUS.FINISHED]);
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error claiming contests for plagiarism checks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back a plagiarism check claim whose check could not be queued, so
+   * that the next sweep claims it again
+   */
+  static async releasePlagiarismCheck(contestId) {
+    const pool = getPostgreSQLPool();
+    const query = 'UPDATE contests SET plagiarism_checked_at = NULL WHERE id = $1';
+
+    try {
+      await pool.query(query, [contestId]);
+    } catch (error) {
+      logger.error('Error releasing plagiarism check claim:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the contests the lifecycle scheduler still has to move on, soonest first
+   */
+  static async getUnfinished() {
+    const pool = getPostgreSQLPool();
+    const query = `SELECT ${CONTEST_COLUMNS} FROM contests c WHERE c.status <> $1 ORDER BY c.start_time, c.id`;
+
+    try {
+      const result = await pool.query(query, [CONTEST_STATUS.FINISHED]);
+      return result.rows.map(row => new Contest(row));
+    } catch (error) {
+      logger.error('Error getting unfinished contests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update contest settings and, if `problems` is given, replace its problem
+   * set. The end time follows changes of start time or duration.
+   */
+  async update(updateData) {
+    const pool = getPostgreSQLPool();
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.entries(UPDATABLE_FIELDS).forEach(([key, column]) => {
+      if (updateData[key] !== undefined) {
+        fields.push(`${column} = $${paramIndex}`);
+        values.push(updateData[key]);
+        paramIndex++;
+      }
+    });
+
+    if (updateData.startTime !== undefined || updateData.duration !== undefined) {
+      fields.push(`end_time = $${paramIndex}`);
+      values.push(endTimeOf(updateData.startTime ?? this.startTime, updateData.duration ?? this.duration));
+      paramIndex++;
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    const query = `
+      UPDATE contests
+      SET ${fields.join(', ')}
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(query, values);
+      if (updateData.problems !== undefined) {
+        await Contest.setProblems(client, this.id, updateData.problems);
+      }
+      await client.query('COMMIT');
+
+      logger.info(`Contest updated: ${this.title} (${this.id})`);
+      return new Contest({ ...result.rows[0], participant_count: this.participantCount });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error updating contest:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete the contest with its problem set and registrations
+   */
+  async delete() {
+    const pool = getPostgreSQLPool();
+
+    try {
+      await pool.query('DELETE FROM contests WHERE id = $1', [this.id]);
+      logger.info(`Contest deleted: ${this.title} (${this.id})`);
+    } catch (error) {
+      logger.error('Error deleting contest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the problems of the contest in order, with their contest points
+   *
+   * @returns {Promise<Array<{problem: Problem, index: string, position: number, points: number}>>}
+   */
+  async getProblems() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT p.*, cp.position, cp.points
+      FROM contest_problems cp
+      JOIN problems p ON p.id = cp.problem_id
+      WHERE cp.contest_id = $1
+      ORDER BY cp.position
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows.map((row, i) => ({
+        problem: new Problem(row),
+        index: String.fromCharCode(65 + i),
+        position: row.position,
+        points: row.points
+      }));
+    } catch (error) {
+      logger.error('Error getting contest problems:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a user, or a team in a team contest, unless the contest is
+   * full. The contest row is locked so concurrent registrations cannot
+   * exceed max_participants. A user whose rating is outside the rated range
+   * is registered unofficially; teams are always official.
+   *
+   * @param {Object} entrant - { userId } or { teamId }
+   * @returns {Promise<Object|null>} the participant row, or null if the contest is full
+   */
+  async register({ userId = null, teamId = null }) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the contest first: registrations queue up here, so each one counts
+      // the participants committed before it
+      const contest = await client.query(
+        'SELECT max_participants FROM contests WHERE id = $1 FOR UPDATE',
+        [this.id]
+      );
+      const { max_participants: maxParticipants } = contest.rows[0];
+
+      const counts = await client.query(
+        `SELECT (SELECT COUNT(*) FROM contest_participants WHERE contest_id = $1)::int as participant_count,
+                (SELECT rating FROM users WHERE id = $2) as rating`,
+        [this.id, teamId ? null : userId]
+      );
+      const { participant_count: participantCount, rating } = counts.rows[0];
+
+      if (maxParticipants && participantCount >= maxParticipants) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(
+        `INSERT INTO contest_participants (contest_id, user_id, team_id, is_official)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (contest_id, ${teamId ? 'team_id' : 'user_id'}) DO UPDATE SET contest_id = EXCLUDED.contest_id
+         RETURNING *`,
+        [this.id, teamId ? null : userId, teamId, teamId ? true : this.isInRatedRange(rating)]
+      );
+      await client.query('COMMIT');
+
+      logger.info(`${teamId ? `Team ${teamId}` : `User ${userId}`} registered for contest ${this.id}`);
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error registering for contest:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancel the registration of a user or a team
+   *
+   * @param {Object} entrant - { userId } or { teamId }
+   * @returns {Promise<boolean>} whether it was registered
+   */
+  async unregister({ userId = null, teamId = null }) {
+    const pool = getPostgreSQLPool();
+    const query = teamId
+      ? 'DELETE FROM contest_participants WHERE contest_id = $1 AND team_id = $2'
+      : 'DELETE FROM contest_participants WHERE contest_id = $1 AND user_id = $2';
+
+    try {
+      const result = await pool.query(query, [this.id, teamId || userId]);
+      if (result.rowCount > 0) {
+        logger.info(`${teamId ? `Team ${teamId}` : `User ${userId}`} unregistered from contest ${this.id}`);
+      }
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error unregistering from contest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the contest has started
+   */
+  hasStarted(now = new Date()) {
+    return new Date(this.startTime) <= now;
+  }
+
+  /**
+   * Whether the contest has started and not yet ended
+   */
+  isRunning(now = new Date()) {
+    return new Date(this.startTime) <= now && now < new Date(this.endTime);
+  }
+
+  /**
+   * Whether the contest is over
+   */
+  hasEnded(now = new Date()) {
+    return new Date(this.endTime) <= now;
+  }
+
+  /**
+   * When the scoreboard freezes: freeze_duration minutes before the end of
+   * an ICPC contest. Null for contests whose scoreboard never freezes.
+   */
+  getFreezeTime() {
+    if (this.type !== CONTEST_TYPES.ICPC || !(this.freezeDuration > 0)) {
+      return null;
+    }
+    return new Date(new Date(this.endTime).getTime() - this.freezeDuration * 60 * 1000);
+  }
+
+  /**
+   * Whether the public scoreboard hides results: from the freeze until the
+   * resolver has revealed everything
+   */
+  isScoreboardFrozen(now = new Date()) {
+    const freezeTime = this.getFreezeTime();
+    return freezeTime !== null && freezeTime <= now && !this.unfrozenAt;
+  }
+
+  /**
+   * Whether the frozen scoreboard hides the result of an official submission
+   * made at `submittedAt`: one made between the freeze and the end
+   */
+  hidesResultOf(submittedAt, now = new Date()) {
+    const time = new Date(submittedAt);
+    return this.isScoreboardFrozen(now) && time >= this.getFreezeTime() && time < new Date(this.endTime);
+  }
+
+  /**
+   * Record that the frozen scoreboard has been fully revealed
+   */
+  async markUnfrozen() {
+    const pool = getPostgreSQLPool();
+    const query = 'UPDATE contests SET unfrozen_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING unfrozen_at';
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      this.unfrozenAt = result.rows[0].unfrozen_at;
+      logger.info(`Scoreboard of contest ${this.id} unfrozen`);
+    } catch (error) {
+      logger.error('Error unfreezing contest scoreboard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The lifecycle state the clock calls for. Finishing also needs system
+   * testing to be done, so this stops at system_testing.
+   */
+  getScheduledStatus(now = new Date()) {
+    if (this.hasEnded(now)) {
+      return CONTEST_STATUS.SYSTEM_TESTING;
+    }
+    if (this.hasStarted(now)) {
+      return CONTEST_STATUS.RUNNING;
+    }
+    return this.isRegistrationOpen(now) ? CONTEST_STATUS.REGISTRATION_OPEN : CONTEST_STATUS.SCHEDULED;
+  }
+
+  /**
+   * Move the contest to the next lifecycle state, if it is still in `from`
+   *
+   * @returns {Promise<boolean>} whether the contest moved
+   */
+  async setStatus(from, to) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      UPDATE contests SET status = $1, status_changed_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status = $3
+      RETURNING status, status_changed_at
+    `;
+
+    try {
+      const result = await pool.query(query, [to, this.id, from]);
+      if (!result.rows[0]) {
+        return false;
+      }
+      this.status = result.rows[0].status;
+      this.statusChangedAt = result.rows[0].status_changed_at;
+      logger.info(`Contest ${this.id} moved from ${from} to ${to}`);
+      return true;
+    } catch (error) {
+      logger.error('Error updating contest status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Phase of the contest: upcoming, running or past
+   */
+  getPhase(now = new Date()) {
+    if (!this.hasStarted(now)) {
+      return CONTEST_PHASES.UPCOMING;
+    }
+    return this.hasEnded(now) ? CONTEST_PHASES.PAST : CONTEST_PHASES.RUNNING;
+  }
+
+  /**
+   * Whether users can register now. Registration opens at registration_start
+   * (or right away) and closes at registration_end (or when the contest ends).
+   */
+  isRegistrationOpen(now = new Date()) {
+    const opens = this.registrationStart ? new Date(this.registrationStart) : null;
+    const closes = new Date(this.registrationEnd || this.endTime);
+    return (!opens || opens <= now) && now < closes;
+  }
+
+  /**
+   * Whether a rating is within the contest's rated range (bounds inclusive)
+   */
+  isInRatedRange(rating) {
+    return (this.ratedMinRating === null || rating >= this.ratedMinRating)
+      && (this.ratedMaxRating === null || rating <= this.ratedMaxRating);
+  }
+
+  /**
+   * Whether only teams, rather than individual users, take part
+   */
+  isTeamContest() {
+    return this.participationMode === PARTICIPATION_MODES.TEAM;
+  }
+
+  /**
+   * Get the contest entry a user takes part through: their own registration,
+   * or that of their team in a team contest
+   *
+   * @returns {Promise<Object|null>} the participant row, or null if the user does not take part
+   */
+  async getEntry(userId) {
+    const pool = getPostgreSQLPool();
+    const query = `SELECT cp.* FROM contest_participants cp WHERE cp.contest_id = $1 AND ${ENTRY_OF_USER} LIMIT 1`;
+
+    try {
+      const result = await pool.query(query, [this.id, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error getting contest entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user takes part in the contest, on their own or with a team
+   */
+  async isParticipant(userId) {
+    return (await this.getEntry(userId)) !== null;
+  }
+
+  /**
+   * Whether a user may see a private contest: they were given access, or
+   * they take part in it (e.g. through a team registered by its captain)
+   */
+  async hasAccess(userId) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT 1 FROM contest_access WHERE contest_id = $1 AND user_id = $2
+      UNION ALL
+      SELECT 1 FROM contest_participants cp WHERE cp.contest_id = $1 AND ${ENTRY_OF_USER}
+      LIMIT 1
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking contest access:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give users access to the contest
+   *
+   * @param {number[]} userIds
+   * @param {string} source - see CONTEST_ACCESS_SOURCES
+   * @param {number|null} grantedBy - manager who whitelisted them
+   * @returns {Promise<number[]>} the users who did not have access before
+   */
+  async grantAccess(userIds, source, grantedBy = null) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      INSERT INTO contest_access (contest_id, user_id, source, granted_by)
+      SELECT $1, user_id, $3, $4 FROM unnest($2::int[]) as user_id
+      ON CONFLICT (contest_id, user_id) DO NOTHING
+      RETURNING user_id
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, userIds, source, grantedBy]);
+      if (result.rows.length > 0) {
+        logger.info(`${result.rows.length} users given access to contest ${this.id} (${source})`);
+      }
+      return result.rows.map(row => row.user_id);
+    } catch (error) {
+      logger.error('Error granting contest access:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a user's access to the contest away. Their own registration goes
+   * with it while the contest has not started; once it has, they keep
+   * their place (and so their access, see hasAccess()) until disqualified.
+   * Teams they are in stay registered.
+   *
+   * @returns {Promise<boolean>} whether the user had access
+   */
+  async revokeAccess(userId) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'DELETE FROM contest_access WHERE contest_id = $1 AND user_id = $2',
+        [this.id, userId]
+      );
+
+      if (result.rowCount > 0 && !this.hasStarted()) {
+        await client.query(
+          'DELETE FROM contest_participants WHERE contest_id = $1 AND user_id = $2',
+          [this.id, userId]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      if (result.rowCount > 0) {
+        logger.info(`User ${userId} lost access to contest ${this.id}`);
+      }
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error revoking contest access:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the users with access to the contest, in the order they got it
+   *
+   * @returns {Promise<Array<{userId: number, username: string, source: string, grantedBy: number, grantedAt: Date}>>}
+   */
+  async getAccessList() {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT ca.user_id, u.username, ca.source, ca.granted_by, ca.granted_at
+      FROM contest_access ca
+      JOIN users u ON u.id = ca.user_id
+      WHERE ca.contest_id = $1
+      ORDER BY ca.granted_at, ca.id
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows.map(row => ({
+        userId: row.user_id,
+        username: row.username,
+        source: row.source,
+        grantedBy: row.granted_by,
+        grantedAt: row.granted_at
+      }));
+    } catch (error) {
+      logger.error('Error getting contest access list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new invite link secret, which invalidates the previous link
+   *
+   * @returns {Promise<string>} the new token
+   */
+  async rotateInviteToken() {
+    const pool = getPostgreSQLPool();
+    const token = crypto.randomBytes(24).toString('hex');
+    const query = 'UPDATE contests SET invite_token = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2';
+
+    try {
+      await pool.query(query, [token, this.id]);
+      this.inviteToken = token;
+      logger.info(`Invite link of contest ${this.id} renewed`);
+      return token;
+    } catch (error) {
+      logger.error('Error renewing contest invite link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a problem is part of the contest
+   */
+  async hasProblem(problemId) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT 1 FROM contest_problems WHERE contest_id = $1 AND problem_id = $2';
+
+    try {
+      const result = await pool.query(query, [this.id, problemId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking contest problem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the contest's entries with their stored standings: users, or teams
+   * in team contests
+   *
+   * @returns {Promise<Object[]>} { id, userId, username, teamId, teamName, organization, disqualified, rank, score, penalty }
+   */
+  async getParticipants() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT p.id, p.user_id, u.username, p.team_id, t.name as team_name,
+             COALESCE(t.organization, u.organization) as organization,
+             p.disqualified, p.rank, p.score, p.penalty
+      FROM contest_participants p
+      LEFT JOIN users u ON u.id = p.user_id
+      LEFT JOIN teams t ON t.id = p.team_id
+      WHERE p.contest_id = $1
+      ORDER BY p.id
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        username: row.username,
+        teamId: row.team_id,
+        teamName: row.team_name,
+        organization: row.organization,
+        disqualified: row.disqualified,
+        rank: row.rank,
+        score: row.score,
+        penalty: row.penalty
+      }));
+    } catch (error) {
+      logger.error('Error getting contest participants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Official submissions made before the contest ended, oldest first, with
+   * the contest entry each one counts for and its author's username
+   *
+   * @returns {Promise<Array<{submission: Submission, participantId: number, username: string}>>}
+   */
+  async getOfficialSubmissions() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT s.*, p.id as participant_id, u.username
+      FROM submissions s
+      JOIN contest_participants p ON p.contest_id = s.contest_id AND (p.user_id = s.user_id OR p.team_id = s.team_id)
+      JOIN users u ON u.id = s.user_id
+      WHERE s.contest_id = $1 AND s.virtual_participation_id IS NULL AND s.submitted_at <= $2
+      ORDER BY s.submitted_at, s.id
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, this.endTime]);
+      return result.rows.map(row => ({
+        submission: new Submission(row),
+        participantId: row.participant_id,
+        username: row.username
+      }));
+    } catch (error) {
+      logger.error('Error getting official contest submissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record whether accepted solutions still have to be queued against new hack tests
+   */
+  async setSystemTestsRejudgePending(pending) {
+    const pool = getPostgreSQLPool();
+    const query = 'UPDATE contests SET system_tests_rejudge_pending = $1 WHERE id = $2';
+
+    try {
+      await pool.query(query, [pending, this.id]);
+      this.systemTestsRejudgePending = pending;
+    } catch (error) {
+      logger.error('Error updating contest system tests state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of the official submissions of the contest waiting in Pending
+   */
+  async getPendingSubmissionIds() {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT id FROM submissions
+      WHERE contest_id = $1 AND virtual_participation_id IS NULL AND status = $2
+      ORDER BY id
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, SUBMISSION_STATUS.PENDING]);
+      return result.rows.map(row => row.id);
+    } catch (error) {
+      logger.error('Error getting pending contest submissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether any official submission of the contest is still waiting for a verdict
+   */
+  async hasPendingSubmissions() {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT 1 FROM submissions
+      WHERE contest_id = $1 AND virtual_participation_id IS NULL AND status = ANY($2)
+      LIMIT 1
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, PENDING_STATUSES]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking pending contest submissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Participants whose rating the contest changes: official, ranked (so not
+   * disqualified) and with at least one submission, with their current rating.
+   * Ranks still count unofficial participants; only the order matters.
+   *
+   * @returns {Promise<Array<{userId: number, rating: number, rank: number}>>}
+   */
+  async getRatedParticipants() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT p.user_id, p.rank, u.rating
+      FROM contest_participants p
+      JOIN users u ON u.id = p.user_id
+      WHERE p.contest_id = $1
+        AND p.is_official
+        AND p.rank IS NOT NULL
+        AND EXISTS (
+          SELECT 1 FROM submissions s
+          WHERE s.contest_id = $1 AND s.user_id = p.user_id AND s.virtual_participation_id IS NULL
+        )
+      ORDER BY p.rank
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows.map(row => ({ userId: row.user_id, rating: row.rating, rank: row.rank }));
+    } catch (error) {
+      logger.error('Error getting rated contest participants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disqualify a participant, or lift the disqualification. In team
+   * contests this applies to the user's team.
+   *
+   * @returns {Promise<Object|null>} the participant row, or null if the user is not a participant
+   */
+  async setDisqualified(userId, { disqualified, reason = null, by = null }) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE contest_participants
+      SET
+        disqualified = $1,
+        disqualification_reason = $2,
+        disqualified_by = $3,
+        disqualified_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE contest_id = $4
+        AND (user_id = $5 OR team_id IN (SELECT team_id FROM team_members WHERE user_id = $5))
+      RETURNING *
+    `;
+
+    const values = disqualified ? [true, reason, by, this.id, userId] : [false, null, null, this.id, userId];
+
+    try {
+      const result = await pool.query(query, values);
+      if (result.rows[0]) {
+        logger.info(`User ${userId} ${disqualified ? 'disqualified from' : 'reinstated in'} contest ${this.id}`);
+      }
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error updating participant disqualification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sanitize contest data for API response. The access code and invite
+   * token of a private contest are only shown to managers (`includeSecrets`).
+   */
+  toJSON(includeSecrets = false) {
+    return {
+      id: this.id,
+      title: this.title,
+      description: this.description,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.duration,
+      type: this.type,
+      isPublic: this.isPublic,
+      ...(includeSecrets === true && { accessCode: this.accessCode, inviteToken: this.inviteToken }),
+      status: this.status,
+      maxParticipants: this.maxParticipants,
+      registrationStart: this.registrationStart,
+      registrationEnd: this.registrationEnd,
+      hacksEnabled: this.hacksEnabled,
+      participationMode: this.participationMode,
+      freezeDuration: this.freezeDuration,
+      freezeTime: this.getFreezeTime(),
+      scoreboardFrozen: this.isScoreboardFrozen(),
+      isRated: this.isRated,
+      ratedMinRating: this.ratedMinRating,
+      ratedMaxRating: this.ratedMaxRating,
+      ratingsAppliedAt: this.ratingsAppliedAt,
+      phase: this.getPhase(),
+      registrationOpen: this.isRegistrationOpen(),
+      participantCount: this.participantCount,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Contest;
@@ -0,0 +1,277 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const logger = require('../utils/logger');
+const { HACK_STATUS } = require('../utils/constants');
+
+class Hack {
+  constructor(hackData) {
+    this.id = hackData.id;
+    this.contestId = hackData.contest_id;
+    this.problemId = hackData.problem_id;
+    this.submissionId = hackData.submission_id;
+    this.hackerId = hackData.hacker_id;
+    this.defenderId = hackData.defender_id;
+    this.inputData = hackData.input_data;
+    this.answerData = hackData.answer_data;
+    this.status = hackData.status || HACK_STATUS.PENDING;
+    this.judgedBy = hackData.judged_by;
+    this.verdict = hackData.verdict;
+    this.message = hackData.message;
+    this.addedToTests = hackData.added_to_tests === true;
+    this.createdAt = hackData.created_at;
+    this.judgedAt = hackData.judged_at;
+  }
+
+  /**
+   * Create a new hack attempt against a submission
+   */
+  static async create(hackData) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      INSERT INTO hacks (contest_id, problem_id, submission_id, hacker_id, defender_id, input_data)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      hackData.contestId,
+      hackData.problemId,
+      hackData.submissionId,
+      hackData.hackerId,
+      hackData.defenderId,
+      hackData.inputData
+    ];
+
+    try {
+      const result = await pool.query(query, values);
+      logger.info(`Hack created: ${result.rows[0].id} against submission ${hackData.submissionId}`);
+      return new Hack(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating hack:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find hack by ID
+   */
+  static async findById(id) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT * FROM hacks WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? new Hack(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding hack by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get hacks with pagination and filtering
+   */
+  static async getAll(options = {}) {
+    const pool = getPostgreSQLPool();
+    const {
+      limit = 20,
+      offset = 0,
+      contestId,
+      problemId,
+      submissionId,
+      hackerId,
+      defenderId,
+      status
+    } = options;
+
+    const filters = {
+      contest_id: contestId,
+      problem_id: problemId,
+      submission_id: submissionId,
+      hacker_id: hackerId,
+      defender_id: defenderId,
+      status
+    };
+
+    const whereConditions = [];
+    const queryParams = [];
+
+    Object.entries(filters).forEach(([column, value]) => {
+      if (value) {
+        queryParams.push(value);
+        whereConditions.push(`${column} = $${queryParams.length}`);
+      }
+    });
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const paramIndex = queryParams.length + 1;
+
+    const query = `
+      SELECT * FROM hacks
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    try {
+      const result = await pool.query(query, [...queryParams, limit, offset]);
+      const hacks = result.rows.map(row => new Hack(row));
+
+      const countQuery = `SELECT COUNT(*) FROM hacks ${whereClause}`;
+      const countResult = await pool.query(countQuery, queryParams);
+      const totalCount = parseInt(countResult.rows[0].count);
+
+      return {
+        hacks,
+        totalCount,
+        hasMore: offset + limit < totalCount
+      };
+    } catch (error) {
+      logger.error('Error getting hacks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether any hack of the contest is still waiting for its outcome
+   */
+  static async hasPending(contestId) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT 1 FROM hacks WHERE contest_id = $1 AND status = ANY($2) LIMIT 1';
+
+    try {
+      const result = await pool.query(query, [contestId, [HACK_STATUS.PENDING, HACK_STATUS.JUDGING]]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking pending hacks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Successful hacks of a contest whose inputs are not system tests yet
+   */
+  static async getUntestedSuccessful(contestId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT * FROM hacks
+      WHERE contest_id = $1 AND status = $2 AND added_to_tests = false
+      ORDER BY id
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId, HACK_STATUS.SUCCESSFUL]);
+      return result.rows.map(row => new Hack(row));
+    } catch (error) {
+      logger.error('Error getting successful hacks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Flag hacks whose inputs were added to the system tests
+   */
+  static async markAddedToTests(hackIds) {
+    const pool = getPostgreSQLPool();
+    const query = 'UPDATE hacks SET added_to_tests = true WHERE id = ANY($1)';
+
+    try {
+      await pool.query(query, [hackIds]);
+    } catch (error) {
+      logger.error('Error marking hacks as added to tests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the hack for a judge worker: it must still be Pending, or Judging
+   * by `takeOverFrom`. Returns null when someone else has it.
+   */
+  async claim(workerId, { takeOverFrom = null } = {}) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      UPDATE hacks
+      SET status = $1, judged_by = $2
+      WHERE id = $3 AND (status = $4 OR (status = $1 AND judged_by = $5))
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [HACK_STATUS.JUDGING, workerId, this.id, HACK_STATUS.PENDING, takeOverFrom]);
+      return result.rows[0] ? new Hack(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming hack:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a claimed hack back, Pending, so that a retry can claim it
+   */
+  async releaseClaim(workerId) {
+    const pool = getPostgreSQLPool();
+    const query = 'UPDATE hacks SET status = $1, judged_by = NULL WHERE id = $2 AND status = $3 AND judged_by = $4';
+
+    try {
+      await pool.query(query, [HACK_STATUS.PENDING, this.id, HACK_STATUS.JUDGING, workerId]);
+    } catch (error) {
+      logger.error('Error releasing hack claim:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the outcome of the hack
+   */
+  async updateResult(result) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE hacks
+      SET status = $1, verdict = $2, message = $3, answer_data = $4, judged_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `;
+
+    const values = [
+      result.status,
+      result.verdict || null,
+      result.message || null,
+      result.answerData ?? null,
+      this.id
+    ];
+
+    try {
+      const updated = await pool.query(query, values);
+      logger.info(`Hack ${this.id} judged: ${result.status}`);
+      return new Hack(updated.rows[0]);
+    } catch (error) {
+      logger.error('Error updating hack result:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sanitize hack data for API response
+   */
+  toJSON(includeInput = false) {
+    return {
+      id: this.id,
+      contestId: this.contestId,
+      problemId: this.problemId,
+      submissionId: this.submissionId,
+      hackerId: this.hackerId,
+      defenderId: this.defenderId,
+      ...(includeInput === true && { inputData: this.inputData, answerData: this.answerData }),
+      status: this.status,
+      verdict: this.verdict,
+      message: this.message,
+      addedToTests: this.addedToTests,
+      createdAt: this.createdAt,
+      judgedAt: this.judgedAt
+    };
+  }
+}
+
+module.exports = Hack;
@@ -0,0 +1,165 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const logger = require('../utils/logger');
+const { PLAGIARISM_STATUS } = require('../utils/constants');
+
+/**
+ * A group of contest submissions to one problem, in one language, whose
+ * sources are suspiciously similar (see utils/plagiarism.js)
+ */
+class PlagiarismCluster {
+  constructor(clusterData) {
+    this.id = clusterData.id;
+    this.contestId = clusterData.contest_id;
+    this.problemId = clusterData.problem_id;
+    this.language = clusterData.language;
+    this.submissionIds = clusterData.submission_ids || [];
+    this.userIds = clusterData.user_ids || [];
+    this.pairs = clusterData.pairs || [];
+    this.maxSimilarity = clusterData.max_similarity;
+    this.status = clusterData.status || PLAGIARISM_STATUS.OPEN;
+    this.reviewedBy = clusterData.reviewed_by;
+    this.reviewedAt = clusterData.reviewed_at;
+    this.createdAt = clusterData.created_at;
+  }
+
+  /**
+   * Replace the contest's unreviewed clusters with the result of a new check.
+   * Clusters moderators already reviewed are kept and not flagged again.
+   *
+   * @param {number} contestId
+   * @param {Object[]} clusters - { problemId, language, submissionIds, userIds, pairs, maxSimilarity }
+   * @returns {Promise<PlagiarismCluster[]>} the clusters flagged for review
+   */
+  static async replaceOpen(contestId, clusters) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    const insertQuery = `
+      INSERT INTO plagiarism_clusters (
+        contest_id, problem_id, language, submission_ids, user_ids, pairs, max_similarity
+      )
+      SELECT $1, $2, $3, $4::int[], $5::int[], $6, $7
+      WHERE NOT EXISTS (
+        SELECT 1 FROM plagiarism_clusters WHERE contest_id = $1 AND submission_ids = $4::int[]
+      )
+      RETURNING *
+    `;
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM plagiarism_clusters WHERE contest_id = $1 AND status = $2',
+        [contestId, PLAGIARISM_STATUS.OPEN]
+      );
+
+      const flagged = [];
+      for (const cluster of clusters) {
+        const result = await client.query(insertQuery, [
+          contestId,
+          cluster.problemId,
+          cluster.language,
+          [...cluster.submissionIds].sort((a, b) => a - b),
+          cluster.userIds,
+          JSON.stringify(cluster.pairs),
+          cluster.maxSimilarity
+        ]);
+        flagged.push(...result.rows.map(row => new PlagiarismCluster(row)));
+      }
+
+      await client.query('COMMIT');
+      return flagged;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error storing plagiarism clusters:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find cluster by ID
+   */
+  static async findById(id) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT * FROM plagiarism_clusters WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? new PlagiarismCluster(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding plagiarism cluster by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the clusters of a contest, most similar first
+   */
+  static async getByContest(contestId, status = null) {
+    const pool = getPostgreSQLPool();
+
+    let query = 'SELECT * FROM plagiarism_clusters WHERE contest_id = $1';
+    const values = [contestId];
+
+    if (status) {
+      query += ' AND status = $2';
+      values.push(status);
+    }
+
+    query += ' ORDER BY max_similarity DESC, id';
+
+    try {
+      const result = await pool.query(query, values);
+      return result.rows.map(row => new PlagiarismCluster(row));
+    } catch (error) {
+      logger.error('Error getting plagiarism clusters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a moderator's decision on the cluster
+   */
+  async review(status, reviewedBy) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE plagiarism_clusters
+      SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [status, reviewedBy, this.id]);
+      logger.info(`Plagiarism cluster ${this.id} marked ${status} by user ${reviewedBy}`);
+      return new PlagiarismCluster(result.rows[0]);
+    } catch (error) {
+      logger.error('Error reviewing plagiarism cluster:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sanitize cluster data for API response
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      contestId: this.contestId,
+      problemId: this.problemId,
+      language: this.language,
+      submissionIds: this.submissionIds,
+      userIds: this.userIds,
+      pairs: this.pairs,
+      maxSimilarity: this.maxSimilarity,
+      status: this.status,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = PlagiarismCluster;
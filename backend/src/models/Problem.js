@@ -1,5 +1,27 @@
 const { getPostgreSQLPool } = require('../utils/database');
 const logger = require('../utils/logger');
+const { contestVisibleTo } = require('../utils/contestAccess');
+const {
+  CHECKER_TYPES,
+  PROBLEM_TYPES,
+  PROBLEM_DIFFICULTIES,
+  SUBMISSION_STATUS,
+  PENDING_STATUSES
+} = require('../utils/constants');
+
+/**
+ * SQL condition keeping problems out of the problemset while a contest they
+ * belong to has not started, or for good if the viewer (`userParam`) cannot
+ * see that contest
+ */
+function releasedTo(userParam) {
+  return `NOT EXISTS (
+    SELECT 1 FROM contest_problems cp
+    JOIN contests c ON c.id = cp.contest_id
+    WHERE cp.problem_id = p.id
+      AND (c.start_time > CURRENT_TIMESTAMP OR NOT ${contestVisibleTo('c', userParam)})
+  )`;
+}
 
 class Problem {
   constructor(problemData) {
@@ -13,6 +35,14 @@ class Problem {
     this.difficulty = problemData.difficulty;
     this.timeLimit = problemData.time_limit || 2000;
     this.memoryLimit = problemData.memory_limit || 128;
+    this.problemType = problemData.problem_type || PROBLEM_TYPES.STANDARD;
+    this.interactorSource = problemData.interactor_source;
+    this.interactorLanguage = problemData.interactor_language;
+    this.maxQueries = problemData.max_queries;
+    this.checkerType = problemData.checker_type || CHECKER_TYPES.EXACT;
+    this.checkerConfig = problemData.checker_config || {};
+    this.checkerSource = problemData.checker_source;
+    this.checkerLanguage = problemData.checker_language;
     this.tags = problemData.tags || [];
     this.createdBy = problemData.created_by;
     this.totalSubmissions = problemData.total_submissions || 0;
@@ -23,17 +53,17 @@ class Problem {
   }
 
   /**
-   * Create a new problem
+   * Create a new problem, on `db` when it is part of a transaction
    */
-  static async create(problemData) {
-    const pool = getPostgreSQLPool();
-
+  static async create(problemData, db = getPostgreSQLPool()) {
     const query = `
       INSERT INTO problems (
         title, slug, description, input_format, output_format, 
-        constraints, difficulty, time_limit, memory_limit, tags, created_by
+        constraints, difficulty, time_limit, memory_limit, tags, created_by,
+        checker_type, checker_config, checker_source, checker_language,
+        problem_type, interactor_source, interactor_language, max_queries, is_public
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
       RETURNING *
     `;
 
@@ -48,11 +78,20 @@ class Problem {
       problemData.timeLimit || 2000,
       problemData.memoryLimit || 128,
       problemData.tags || [],
-      problemData.createdBy
+      problemData.createdBy,
+      problemData.checkerType || CHECKER_TYPES.EXACT,
+      problemData.checkerConfig || {},
+      problemData.checkerSource || null,
+      problemData.checkerLanguage || null,
+      problemData.problemType || PROBLEM_TYPES.STANDARD,
+      problemData.interactorSource || null,
+      problemData.interactorLanguage || null,
+      problemData.maxQueries || null,
+      problemData.isPublic ?? true
     ];
 
     try {
-      const result = await pool.query(query, values);
+      const result = await db.query(query, values);
       logger.info(`Problem created: ${problemData.title}`);
       return new Problem(result.rows[0]);
     } catch (error) {
@@ -62,14 +101,120 @@ class Problem {
   }
 
   /**
-   * Find problem by ID
+   * Create a problem with its test groups, tests and preparation files in
+   * one transaction, so a failure leaves nothing behind
+   *
+   * @param {Object} problemData - as for create()
+   * @param {Object} data
+   * @param {Object[]} data.groups - { name, points, dependencies }, in judging order
+   * @param {Object[]} data.tests - { inputData, expectedOutput, isSample, points, group, generator }
+   * @param {Object[]} data.files - { kind, name, language, source, tag }
+   * @returns {Promise<Problem>}
+   */
+  static async createWithTests(problemData, { groups = [], tests, files }) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const problem = await Problem.create(problemData, client);
+
+      const groupIds = new Map();
+      for (const [index, group] of groups.entries()) {
+        const result = await client.query(
+          `INSERT INTO test_groups (problem_id, name, points, dependencies, position)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [problem.id, group.name, group.points || 0, group.dependencies || [], index + 1]
+        );
+        groupIds.set(group.name, result.rows[0].id);
+      }
+
+      for (const test of tests) {
+        await client.query(
+          `INSERT INTO test_cases (problem_id, input_data, expected_output, is_sample, points, group_id, generator)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            problem.id,
+            test.inputData,
+            test.expectedOutput,
+            test.isSample || false,
+            test.points ?? 1,
+            test.group ? groupIds.get(test.group) : null,
+            test.generator || null
+          ]
+        );
+      }
+
+      for (const file of files) {
+        await client.query(
+          `INSERT INTO problem_files (problem_id, kind, name, language, source, tag)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [problem.id, file.kind, file.name, file.language, file.source, file.tag || null]
+        );
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Problem ${problem.title} created with ${tests.length} tests`);
+      return problem;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error creating problem with tests:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Keep an uploaded problem package until a judge worker imports it
+   *
+   * @returns {Promise<number>} upload ID
    */
-  static async findById(id) {
+  static async stagePackage(archive, uploadedBy) {
     const pool = getPostgreSQLPool();
-    const query = 'SELECT * FROM problems WHERE id = $1 AND is_public = true';
+    const query = 'INSERT INTO problem_package_uploads (archive, uploaded_by) VALUES ($1, $2) RETURNING id';
 
     try {
-      const result = await pool.query(query, [id]);
+      const result = await pool.query(query, [archive, uploadedBy]);
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Error staging problem package:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a staged package upload and return it, or null if it is gone
+   *
+   * @returns {Promise<{archive: Buffer, uploadedBy: number}|null>}
+   */
+  static async takeStagedPackage(uploadId) {
+    const pool = getPostgreSQLPool();
+    const query = 'DELETE FROM problem_package_uploads WHERE id = $1 RETURNING archive, uploaded_by';
+
+    try {
+      const result = await pool.query(query, [uploadId]);
+      return result.rows[0] ? { archive: result.rows[0].archive, uploadedBy: result.rows[0].uploaded_by } : null;
+    } catch (error) {
+      logger.error('Error taking staged problem package:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find problem by ID. Without `includePrivate` only problems of the
+   * problemset as `userId` sees it are found.
+   */
+  static async findById(id, { includePrivate = false, userId = null } = {}) {
+    const pool = getPostgreSQLPool();
+    const query = includePrivate
+      ? 'SELECT * FROM problems WHERE id = $1'
+      : `SELECT * FROM problems p WHERE p.id = $1 AND p.is_public = true AND ${releasedTo('$2')}`;
+
+    try {
+      const result = await pool.query(query, includePrivate ? [id] : [id, userId]);
       return result.rows[0] ? new Problem(result.rows[0]) : null;
     } catch (error) {
       logger.error('Error finding problem by ID:', error);
@@ -80,12 +225,12 @@ class Problem {
   /**
    * Find problem by slug
    */
-  static async findBySlug(slug) {
+  static async findBySlug(slug, { userId = null } = {}) {
     const pool = getPostgreSQLPool();
-    const query = 'SELECT * FROM problems WHERE slug = $1 AND is_public = true';
+    const query = `SELECT * FROM problems p WHERE p.slug = $1 AND p.is_public = true AND ${releasedTo('$2')}`;
 
     try {
-      const result = await pool.query(query, [slug]);
+      const result = await pool.query(query, [slug, userId]);
       return result.rows[0] ? new Problem(result.rows[0]) : null;
     } catch (error) {
       logger.error('Error finding problem by slug:', error);
@@ -105,15 +250,16 @@ class Problem {
       tags,
       search,
       sortBy = 'created_at',
-      sortOrder = 'DESC'
+      sortOrder = 'DESC',
+      userId = null
     } = options;
 
-    let whereConditions = ['is_public = true'];
-    let queryParams = [];
-    let paramIndex = 1;
+    let whereConditions = ['is_public = true', releasedTo('$1')];
+    let queryParams = [userId];
+    let paramIndex = 2;
 
     // Add difficulty filter
-    if (difficulty && ['Easy', 'Medium', 'Hard'].includes(difficulty)) {
+    if (difficulty && PROBLEM_DIFFICULTIES.includes(difficulty)) {
       whereConditions.push(`difficulty = $${paramIndex}`);
       queryParams.push(difficulty);
       paramIndex++;
@@ -152,7 +298,7 @@ class Problem {
       const problems = result.rows.map(row => new Problem(row));
 
       // Get total count for pagination
-      const countQuery = `SELECT COUNT(*) FROM problems WHERE ${whereClause}`;
+      const countQuery = `SELECT COUNT(*) FROM problems p WHERE ${whereClause}`;
       const countResult = await pool.query(countQuery, queryParams.slice(0, -2));
       const totalCount = parseInt(countResult.rows[0].count);
 
@@ -174,7 +320,7 @@ class Problem {
     const pool = getPostgreSQLPool();
 
     let query = `
-      SELECT id, input_data, expected_output, is_sample, points
+      SELECT id, group_id, input_data, expected_output, is_sample, points, generator
       FROM test_cases 
       WHERE problem_id = $1
     `;
@@ -201,8 +347,8 @@ class Problem {
     const pool = getPostgreSQLPool();
 
     const query = `
-      INSERT INTO test_cases (problem_id, input_data, expected_output, is_sample, points)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO test_cases (problem_id, input_data, expected_output, is_sample, points, group_id, generator)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
 
@@ -211,7 +357,9 @@ class Problem {
       testCaseData.inputData,
       testCaseData.expectedOutput,
       testCaseData.isSample || false,
-      testCaseData.points || 1
+      testCaseData.points ?? 1,
+      testCaseData.groupId || null,
+      testCaseData.generator || null
     ];
 
     try {
@@ -224,6 +372,354 @@ class Problem {
     }
   }
 
+  /**
+   * Import a batch of tests and groups in one transaction, either replacing
+   * the problem's test data or appending to it. Tests are added in the given
+   * order and refer to groups by name.
+   *
+   * @param {Object} data
+   * @param {Object[]} data.tests - { inputData, expectedOutput, isSample, points, group }
+   * @param {Object[]} [data.groups] - { name, points, dependencies }, in judging order
+   * @param {boolean} [data.replace] - drop existing tests and groups first
+   * @returns {Promise<Object>} counts of what was removed and added
+   */
+  async importTests({ tests, groups = [], replace = false }) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    const report = {
+      mode: replace ? 'replace' : 'append',
+      testsRemoved: 0,
+      groupsRemoved: 0,
+      testsAdded: 0,
+      groupsAdded: 0,
+      samplesAdded: 0
+    };
+
+    try {
+      await client.query('BEGIN');
+
+      if (replace) {
+        const removedTests = await client.query('DELETE FROM test_cases WHERE problem_id = $1', [this.id]);
+        const removedGroups = await client.query('DELETE FROM test_groups WHERE problem_id = $1', [this.id]);
+        report.testsRemoved = removedTests.rowCount;
+        report.groupsRemoved = removedGroups.rowCount;
+      }
+
+      const existing = await client.query(
+        'SELECT id, name, position FROM test_groups WHERE problem_id = $1',
+        [this.id]
+      );
+      const groupIds = new Map(existing.rows.map(group => [group.name, group.id]));
+      let position = existing.rows.reduce((max, group) => Math.max(max, group.position), 0);
+
+      for (const group of groups) {
+        position++;
+        const result = await client.query(
+          `INSERT INTO test_groups (problem_id, name, points, dependencies, position)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id`,
+          [this.id, group.name, group.points || 0, group.dependencies || [], position]
+        );
+        groupIds.set(group.name, result.rows[0].id);
+        report.groupsAdded++;
+      }
+
+      for (const test of tests) {
+        await client.query(
+          `INSERT INTO test_cases (problem_id, input_data, expected_output, is_sample, points, group_id)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            this.id,
+            test.inputData,
+            test.expectedOutput,
+            test.isSample || false,
+            test.points ?? 1,
+            test.group ? groupIds.get(test.group) : null
+          ]
+        );
+        report.testsAdded++;
+        if (test.isSample) {
+          report.samplesAdded++;
+        }
+      }
+
+      const total = await client.query('SELECT COUNT(*) FROM test_cases WHERE problem_id = $1', [this.id]);
+      report.totalTests = parseInt(total.rows[0].count);
+
+      await client.query('COMMIT');
+      logger.info(`${report.testsAdded} tests imported into problem: ${this.title} (${report.mode})`);
+      return report;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error importing test cases:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get test groups (subtasks) in judging order
+   */
+  async getTestGroups() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT id, name, points, dependencies, position
+      FROM test_groups
+      WHERE problem_id = $1
+      ORDER BY position
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting test groups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a test group (subtask). Dependencies name groups that must already exist,
+   * which keeps them ahead of this one in judging order.
+   */
+  async addTestGroup(groupData) {
+    const pool = getPostgreSQLPool();
+    const dependencies = groupData.dependencies || [];
+
+    const existing = await this.getTestGroups();
+    const existingNames = existing.map(group => group.name);
+    const unknown = dependencies.filter(name => !existingNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown test group dependencies: ${unknown.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO test_groups (problem_id, name, points, dependencies, position)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const position = groupData.position
+      ?? existing.reduce((max, group) => Math.max(max, group.position), 0) + 1;
+
+    const values = [
+      this.id,
+      groupData.name,
+      groupData.points || 0,
+      dependencies,
+      position
+    ];
+
+    try {
+      const result = await pool.query(query, values);
+      logger.info(`Test group ${groupData.name} added to problem: ${this.title}`);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error adding test group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the problem's preparation files (generators, validator, solutions)
+   */
+  async getFiles(kind = null) {
+    const pool = getPostgreSQLPool();
+
+    let query = `
+      SELECT id, kind, name, language, source, tag
+      FROM problem_files
+      WHERE problem_id = $1
+    `;
+    const values = [this.id];
+
+    if (kind) {
+      query += ' AND kind = $2';
+      values.push(kind);
+    }
+
+    query += ' ORDER BY kind, id';
+
+    try {
+      const result = await pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting problem files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a preparation file (generator, validator or solution)
+   */
+  async addFile(fileData) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      INSERT INTO problem_files (problem_id, kind, name, language, source, tag)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      this.id,
+      fileData.kind,
+      fileData.name,
+      fileData.language,
+      fileData.source,
+      fileData.tag || null
+    ];
+
+    try {
+      const result = await pool.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error adding problem file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the problem with its tests and files
+   */
+  async delete() {
+    const pool = getPostgreSQLPool();
+
+    try {
+      await pool.query('DELETE FROM problems WHERE id = $1', [this.id]);
+      logger.info(`Problem deleted: ${this.title}`);
+    } catch (error) {
+      logger.error('Error deleting problem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish the problem in the problemset or take it out
+   */
+  async setPublic(isPublic) {
+    const pool = getPostgreSQLPool();
+    const query = 'UPDATE problems SET is_public = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *';
+
+    try {
+      const result = await pool.query(query, [isPublic, this.id]);
+      logger.info(`Problem ${this.title} made ${isPublic ? 'public' : 'private'}`);
+      return new Problem(result.rows[0]);
+    } catch (error) {
+      logger.error('Error changing problem visibility:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checker settings used by the judge
+   */
+  getChecker() {
+    return {
+      type: this.checkerType,
+      config: this.checkerConfig,
+      source: this.checkerSource,
+      language: this.checkerLanguage
+    };
+  }
+
+  /**
+   * Whether solutions talk to an interactor instead of reading static input
+   */
+  get isInteractive() {
+    return this.problemType === PROBLEM_TYPES.INTERACTIVE;
+  }
+
+  /**
+   * Interactor settings used by the judge, or null for standard problems
+   */
+  getInteractor() {
+    if (!this.isInteractive) {
+      return null;
+    }
+
+    return {
+      source: this.interactorSource,
+      language: this.interactorLanguage,
+      maxQueries: this.maxQueries
+    };
+  }
+
+  /**
+   * Change how outputs are checked
+   */
+  async updateChecker(checkerData) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE problems
+      SET
+        checker_type = $1,
+        checker_config = $2,
+        checker_source = $3,
+        checker_language = $4,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `;
+
+    const values = [
+      checkerData.checkerType,
+      checkerData.checkerConfig || {},
+      checkerData.checkerSource || null,
+      checkerData.checkerLanguage || null,
+      this.id
+    ];
+
+    try {
+      const result = await pool.query(query, values);
+      logger.info(`Checker updated for problem: ${this.title} (${checkerData.checkerType})`);
+      return new Problem(result.rows[0]);
+    } catch (error) {
+      logger.error('Error updating problem checker:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the problem type and, for interactive problems, the interactor
+   */
+  async updateInteractor(interactorData) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE problems
+      SET
+        problem_type = $1,
+        interactor_source = $2,
+        interactor_language = $3,
+        max_queries = $4,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `;
+
+    const values = [
+      interactorData.problemType,
+      interactorData.interactorSource || null,
+      interactorData.interactorLanguage || null,
+      interactorData.maxQueries || null,
+      this.id
+    ];
+
+    try {
+      const result = await pool.query(query, values);
+      logger.info(`Interactor updated for problem: ${this.title} (${interactorData.problemType})`);
+      return new Problem(result.rows[0]);
+    } catch (error) {
+      logger.error('Error updating problem interactor:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update problem statistics
    */
@@ -249,6 +745,42 @@ class Problem {
     }
   }
 
+  /**
+   * Recount problem statistics from the submissions table, e.g. after a rejudge.
+   * Counts the same submissions as updateStatistics(): everything the judge
+   * finished except internal errors.
+   */
+  async recalculateStatistics() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE problems p
+      SET
+        total_submissions = stats.total,
+        accepted_submissions = stats.accepted,
+        updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT
+          COUNT(*) as total,
+          COUNT(CASE WHEN status = $2 THEN 1 END) as accepted
+        FROM submissions
+        WHERE problem_id = $1 AND NOT (status = ANY($3))
+      ) stats
+      WHERE p.id = $1
+      RETURNING p.*
+    `;
+
+    const excluded = [...PENDING_STATUSES, SUBMISSION_STATUS.INTERNAL_ERROR];
+
+    try {
+      const result = await pool.query(query, [this.id, SUBMISSION_STATUS.ACCEPTED, excluded]);
+      return new Problem(result.rows[0]);
+    } catch (error) {
+      logger.error('Error recalculating problem statistics:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's submission status for this problem
    */
@@ -259,8 +791,16 @@ class Problem {
       SELECT 
         COUNT(*) as total_attempts,
         COUNT(CASE WHEN status = 'Accepted' THEN 1 END) as accepted_attempts,
-        MAX(CASE WHEN status = 'Accepted' THEN score ELSE 0 END) as best_score,
-        MIN(CASE WHEN status = 'Accepted' THEN execution_time ELSE NULL END) as best_time
+        MAX(score) as best_score,
+        MIN(CASE WHEN status = 'Accepted' THEN execution_time ELSE NULL END) as best_time,
+        (
+          SELECT COALESCE(SUM(points), 0) FROM test_groups WHERE problem_id = $1
+        ) as group_points,
+        (
+          SELECT COALESCE(SUM(points), 0) FROM test_cases
+          WHERE problem_id = $1
+            AND (group_id IS NULL OR NOT EXISTS (SELECT 1 FROM test_groups WHERE problem_id = $1))
+        ) as test_points
       FROM submissions 
       WHERE problem_id = $1 AND user_id = $2
     `;
@@ -273,6 +813,7 @@ class Problem {
         totalAttempts: parseInt(stats.total_attempts),
         acceptedAttempts: parseInt(stats.accepted_attempts),
         bestScore: parseInt(stats.best_score || 0),
+        maxScore: parseInt(stats.group_points) + parseInt(stats.test_points),
         bestTime: stats.best_time,
         isAccepted: stats.accepted_attempts > 0
       };
@@ -329,7 +870,11 @@ class Problem {
       difficulty: this.difficulty,
       timeLimit: this.timeLimit,
       memoryLimit: this.memoryLimit,
+      problemType: this.problemType,
+      maxQueries: this.maxQueries,
+      checkerType: this.checkerType,
       tags: this.tags,
+      isPublic: this.isPublic,
       totalSubmissions: this.totalSubmissions,
       acceptedSubmissions: this.acceptedSubmissions,
       acceptanceRate: this.acceptanceRate,
@@ -0,0 +1,231 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const User = require('./User');
+const { calculateRatingChanges } = require('../utils/rating');
+const logger = require('../utils/logger');
+
+/**
+ * A user's rating change from one rated contest
+ */
+class RatingChange {
+  constructor(changeData) {
+    this.id = changeData.id;
+    this.contestId = changeData.contest_id;
+    this.contestTitle = changeData.contest_title;
+    this.userId = changeData.user_id;
+    this.username = changeData.username;
+    this.oldRating = changeData.old_rating;
+    this.newRating = changeData.new_rating;
+    this.delta = changeData.delta;
+    this.rank = changeData.rank;
+    this.seed = changeData.seed;
+    this.createdAt = changeData.created_at;
+  }
+
+  /**
+   * Calculate the rating changes of a contest and apply them to the users.
+   * The participants' ratings are read again and locked in the transaction
+   * that applies the changes, so a contest rated at the same time cannot
+   * have its result overwritten. Nothing happens if the contest's ratings
+   * were applied in the meantime.
+   *
+   * @param {number} contestId
+   * @param {Object[]} participants - { userId, rank } (see utils/rating.js)
+   * @returns {Promise<Object[]|null>} the changes ({ userId, oldRating, newRating, delta, rank, seed }),
+   *   or null if they were already applied
+   */
+  static async applyContest(contestId, participants) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const claimed = await client.query(
+        `UPDATE contests SET ratings_applied_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND ratings_applied_at IS NULL
+         RETURNING id`,
+        [contestId]
+      );
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const locked = await client.query(
+        'SELECT id, rating FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [participants.map(participant => participant.userId)]
+      );
+      const ratings = new Map(locked.rows.map(row => [row.id, row.rating]));
+      const changes = calculateRatingChanges(
+        participants
+          .filter(participant => ratings.has(participant.userId))
+          .map(participant => ({ ...participant, rating: ratings.get(participant.userId) }))
+      );
+
+      for (const change of changes) {
+        await client.query(
+          `INSERT INTO rating_changes (contest_id, user_id, old_rating, new_rating, delta, rank, seed)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [contestId, change.userId, change.oldRating, change.newRating, change.delta, change.rank, change.seed]
+        );
+        await client.query(
+          `UPDATE users
+           SET rating = $1, rank_title = $2, max_rating = GREATEST(max_rating, $1),
+               contests_participated = contests_participated + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $3`,
+          [change.newRating, User.getRankTitle(change.newRating), change.userId]
+        );
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Rating changes of contest ${contestId} applied to ${changes.length} users`);
+      return changes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error applying rating changes:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Whether a participant of the contest has had a rating change from a
+   * later contest, which a rollback of this one would overwrite
+   */
+  static async hasLaterChanges(contestId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT 1
+      FROM rating_changes rc
+      JOIN rating_changes later ON later.user_id = rc.user_id AND later.id > rc.id
+      WHERE rc.contest_id = $1
+      LIMIT 1
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking later rating changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo the rating changes of a contest: restore each user's previous
+   * rating, rank title, max rating and contest count, and drop the records
+   *
+   * @returns {Promise<number>} users restored
+   */
+  static async rollbackContest(contestId) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const changes = await client.query(
+        'DELETE FROM rating_changes WHERE contest_id = $1 RETURNING user_id, old_rating',
+        [contestId]
+      );
+
+      for (const change of changes.rows) {
+        // Max rating over what is left: the first rating the user ever had and every later result
+        await client.query(
+          `UPDATE users
+           SET rating = $1, rank_title = $2,
+               max_rating = GREATEST(
+                 $1,
+                 (SELECT MAX(new_rating) FROM rating_changes WHERE user_id = $3),
+                 (SELECT old_rating FROM rating_changes WHERE user_id = $3 ORDER BY id LIMIT 1)
+               ),
+               contests_participated = GREATEST(contests_participated - 1, 0),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $3`,
+          [change.old_rating, User.getRankTitle(change.old_rating), change.user_id]
+        );
+      }
+
+      await client.query('UPDATE contests SET ratings_applied_at = NULL WHERE id = $1', [contestId]);
+      await client.query('COMMIT');
+
+      logger.info(`Rating changes of contest ${contestId} rolled back for ${changes.rows.length} users`);
+      return changes.rows.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error rolling back rating changes:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the rating changes of a contest, best place first
+   */
+  static async getByContest(contestId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT rc.*, u.username
+      FROM rating_changes rc
+      JOIN users u ON u.id = rc.user_id
+      WHERE rc.contest_id = $1
+      ORDER BY rc.rank, u.username
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId]);
+      return result.rows.map(row => new RatingChange(row));
+    } catch (error) {
+      logger.error('Error getting contest rating changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's rating history, oldest first
+   */
+  static async getByUser(userId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT rc.*, c.title as contest_title
+      FROM rating_changes rc
+      JOIN contests c ON c.id = rc.contest_id
+      WHERE rc.user_id = $1
+      ORDER BY rc.id
+    `;
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rows.map(row => new RatingChange(row));
+    } catch (error) {
+      logger.error('Error getting user rating history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sanitize rating change data for API response
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      contestId: this.contestId,
+      contestTitle: this.contestTitle,
+      userId: this.userId,
+      username: this.username,
+      oldRating: this.oldRating,
+      newRating: this.newRating,
+      delta: this.delta,
+      rank: this.rank,
+      seed: this.seed,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = RatingChange;
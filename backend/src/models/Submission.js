@@ -1 +1,506 @@
-// Submission.js - Generated file
+const { getPostgreSQLPool } = require('../utils/database');
+const { SUBMISSION_STATUS, PENDING_STATUSES, CONTEST_TYPES } = require('../utils/constants');
+const logger = require('../utils/logger');
+const { contestVisibleTo } = require('../utils/contestAccess');
+
+class Submission {
+  constructor(submissionData) {
+    this.id = submissionData.id;
+    this.userId = submissionData.user_id;
+    this.problemId = submissionData.problem_id;
+    this.contestId = submissionData.contest_id;
+    this.virtualParticipationId = submissionData.virtual_participation_id;
+    this.teamId = submissionData.team_id;
+    this.language = submissionData.language;
+    this.code = submissionData.code;
+    this.status = submissionData.status || SUBMISSION_STATUS.PENDING;
+    this.verdict = submissionData.verdict;
+    this.verdictDetail = submissionData.verdict_detail;
+    this.executionTime = submissionData.execution_time;
+    this.memoryUsed = submissionData.memory_used;
+    this.score = submissionData.score || 0;
+    this.testCasesPassed = submissionData.test_cases_passed || 0;
+    this.totalTestCases = submissionData.total_test_cases || 0;
+    this.groupResults = submissionData.group_results || null;
+    this.errorMessage = submissionData.error_message;
+    this.judgedBy = submissionData.judged_by;
+    this.submittedAt = submissionData.submitted_at;
+    this.judgedAt = submissionData.judged_at;
+  }
+
+  /**
+   * Create a new submission
+   */
+  static async create(submissionData) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      INSERT INTO submissions (user_id, problem_id, contest_id, virtual_participation_id, team_id, language, code)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      submissionData.userId,
+      submissionData.problemId,
+      submissionData.contestId || null,
+      submissionData.virtualParticipationId || null,
+      submissionData.teamId || null,
+      submissionData.language,
+      submissionData.code
+    ];
+
+    try {
+      const result = await pool.query(query, values);
+      logger.info(`Submission created: ${result.rows[0].id} (problem ${submissionData.problemId})`);
+      return new Submission(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating submission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find submission by ID
+   */
+  static async findById(id) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT * FROM submissions WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? new Submission(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding submission by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get submissions with pagination and filtering. With `hideFrozenResults`,
+   * filtering by status skips submissions whose result a frozen scoreboard
+   * hides, except those of `viewerId`.
+   */
+  static async getAll(options = {}) {
+    const pool = getPostgreSQLPool();
+    const {
+      limit = 20,
+      offset = 0,
+      userId,
+      problemId,
+      contestId,
+      status,
+      excludeUserId,
+      hideFrozenResults = false,
+      hidePrivateContests = false,
+      viewerId = null
+    } = options;
+
+    let whereConditions = [];
+    let queryParams = [];
+    let paramIndex = 1;
+
+    if (userId) {
+      whereConditions.push(`user_id = $${paramIndex}`);
+      queryParams.push(userId);
+      paramIndex++;
+    }
+
+    if (problemId) {
+      whereConditions.push(`problem_id = $${paramIndex}`);
+      queryParams.push(problemId);
+      paramIndex++;
+    }
+
+    if (contestId) {
+      whereConditions.push(`contest_id = $${paramIndex}`);
+      queryParams.push(contestId);
+      paramIndex++;
+    }
+
+    if (status) {
+      whereConditions.push(`status = $${paramIndex}`);
+      queryParams.push(status);
+      paramIndex++;
+    }
+
+    if (status && hideFrozenResults) {
+      // Same rule as Contest#hidesResultOf()
+      whereConditions.push(`NOT EXISTS (
+        SELECT 1 FROM contests c
+        WHERE c.id = submissions.contest_id
+          AND c.type = $${paramIndex}
+          AND c.freeze_duration > 0
+          AND c.unfrozen_at IS NULL
+          AND submissions.submitted_at >= c.end_time - c.freeze_duration * INTERVAL '1 minute'
+          AND submissions.submitted_at < c.end_time
+          AND submissions.user_id IS DISTINCT FROM $${paramIndex + 1}
+      )`);
+      queryParams.push(CONTEST_TYPES.ICPC, viewerId);
+      paramIndex += 2;
+    }
+
+    if (hidePrivateContests) {
+      // Submissions to a contest the viewer cannot see, other than their own
+      whereConditions.push(`(
+        contest_id IS NULL
+        OR user_id IS NOT DISTINCT FROM $${paramIndex}
+        OR EXISTS (SELECT 1 FROM contests c WHERE c.id = submissions.contest_id AND ${contestVisibleTo('c', `$${paramIndex}`)})
+      )`);
+      queryParams.push(viewerId);
+      paramIndex++;
+    }
+
+    if (excludeUserId) {
+      whereConditions.push(`user_id <> $${paramIndex}`);
+      queryParams.push(excludeUserId);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const query = `
+      SELECT * FROM submissions
+      ${whereClause}
+      ORDER BY submitted_at DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    queryParams.push(limit, offset);
+
+    try {
+      const result = await pool.query(query, queryParams);
+      const submissions = result.rows.map(row => new Submission(row));
+
+      const countQuery = `SELECT COUNT(*) FROM submissions ${whereClause}`;
+      const countResult = await pool.query(countQuery, queryParams.slice(0, -2));
+      const totalCount = parseInt(countResult.rows[0].count);
+
+      return {
+        submissions,
+        totalCount,
+        hasMore: offset + limit < totalCount
+      };
+    } catch (error) {
+      logger.error('Error getting submissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Latest accepted submission of every participant to every problem of a
+   * contest, counting only official submissions made before the contest ended.
+   * In team contests the participant is the team, not each member.
+   */
+  static async getFinalAccepted(contestId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT DISTINCT ON (s.team_id, CASE WHEN s.team_id IS NULL THEN s.user_id END, s.problem_id) s.*
+      FROM submissions s
+      JOIN contests c ON c.id = s.contest_id
+      WHERE s.contest_id = $1 AND s.status = $2 AND s.submitted_at <= c.end_time
+        AND s.virtual_participation_id IS NULL
+      ORDER BY s.team_id, CASE WHEN s.team_id IS NULL THEN s.user_id END, s.problem_id, s.submitted_at DESC, s.id DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId, SUBMISSION_STATUS.ACCEPTED]);
+      return result.rows.map(row => new Submission(row));
+    } catch (error) {
+      logger.error('Error getting final accepted submissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset judged submissions to Pending for a rejudge, recording their current
+   * result in rejudge_history. Submissions still waiting for the judge are left alone.
+   *
+   * @param {Object} filters - submissionId, problemId and/or contestId; optional statuses
+   * @param {number} requestedBy - moderator's user ID
+   * @returns {Promise<number[]>} IDs of the submissions to rejudge
+   */
+  static async resetForRejudge(filters, requestedBy) {
+    const pool = getPostgreSQLPool();
+    const { submissionId, problemId, contestId, statuses } = filters;
+
+    let whereConditions = ['NOT (status = ANY($1))'];
+    let queryParams = [PENDING_STATUSES];
+    let paramIndex = 2;
+
+    if (submissionId) {
+      whereConditions.push(`id = $${paramIndex}`);
+      queryParams.push(submissionId);
+      paramIndex++;
+    }
+
+    if (problemId) {
+      whereConditions.push(`problem_id = $${paramIndex}`);
+      queryParams.push(problemId);
+      paramIndex++;
+    }
+
+    if (contestId) {
+      whereConditions.push(`contest_id = $${paramIndex}`);
+      queryParams.push(contestId);
+      paramIndex++;
+    }
+
+    if (statuses && statuses.length > 0) {
+      whereConditions.push(`status = ANY($${paramIndex})`);
+      queryParams.push(statuses);
+      paramIndex++;
+    }
+
+    // Data-modifying CTEs share one snapshot, so history gets the pre-reset values
+    const query = `
+      WITH targets AS (
+        SELECT * FROM submissions
+        WHERE ${whereConditions.join(' AND ')}
+        FOR UPDATE
+      ),
+      history AS (
+        INSERT INTO rejudge_history (
+          submission_id, previous_status, previous_verdict, previous_verdict_detail,
+          previous_score, previous_test_cases_passed, previous_judged_at, requested_by
+        )
+        SELECT id, status, verdict, verdict_detail, score, test_cases_passed, judged_at, $${paramIndex}
+        FROM targets
+      )
+      UPDATE submissions
+      SET status = $${paramIndex + 1}, verdict = NULL, verdict_detail = NULL, judged_at = NULL
+      WHERE id IN (SELECT id FROM targets)
+      RETURNING id
+    `;
+
+    queryParams.push(requestedBy, SUBMISSION_STATUS.PENDING);
+
+    try {
+      const result = await pool.query(query, queryParams);
+      logger.info(`${result.rows.length} submissions reset for rejudge by user ${requestedBy}`);
+      return result.rows.map(row => row.id).sort((a, b) => a - b);
+    } catch (error) {
+      logger.error('Error resetting submissions for rejudge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get earlier results of this submission, newest first
+   */
+  async getRejudgeHistory() {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      SELECT rh.*, u.username as requested_by_username
+      FROM rejudge_history rh
+      LEFT JOIN users u ON u.id = rh.requested_by
+      WHERE rh.submission_id = $1
+      ORDER BY rh.requested_at DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error getting rejudge history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End time of the contest this submission was made in, null for practice submissions
+   */
+  async getContestEndTime() {
+    if (!this.contestId) {
+      return null;
+    }
+
+    const pool = getPostgreSQLPool();
+
+    try {
+      const result = await pool.query('SELECT end_time FROM contests WHERE id = $1', [this.contestId]);
+      return result.rows.length > 0 ? result.rows[0].end_time : null;
+    } catch (error) {
+      logger.error('Error getting contest end time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the submission for a judge worker: it must still be Pending, or
+   * Judging by `takeOverFrom`. Returns null when someone else has it.
+   */
+  async claim(workerId, { takeOverFrom = null } = {}) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE submissions
+      SET status = $1, judged_by = $2
+      WHERE id = $3 AND (status = $4 OR (status = $1 AND judged_by = $5))
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        SUBMISSION_STATUS.JUDGING,
+        workerId,
+        this.id,
+        SUBMISSION_STATUS.PENDING,
+        takeOverFrom
+      ]);
+      return result.rows[0] ? new Submission(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming submission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a claimed submission back, Pending, so that a retry can claim it
+   */
+  async releaseClaim(workerId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE submissions
+      SET status = $1, judged_by = NULL
+      WHERE id = $2 AND status = $3 AND judged_by = $4
+    `;
+
+    try {
+      await pool.query(query, [SUBMISSION_STATUS.PENDING, this.id, SUBMISSION_STATUS.JUDGING, workerId]);
+    } catch (error) {
+      logger.error('Error releasing submission claim:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the judge result
+   */
+  async updateResult(result) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE submissions
+      SET
+        status = $1,
+        verdict = $2,
+        verdict_detail = $3,
+        execution_time = $4,
+        memory_used = $5,
+        score = $6,
+        test_cases_passed = $7,
+        total_test_cases = $8,
+        group_results = $9,
+        error_message = $10,
+        judged_at = CURRENT_TIMESTAMP
+      WHERE id = $11
+      RETURNING *
+    `;
+
+    const values = [
+      result.status,
+      result.verdict,
+      result.verdictDetail || null,
+      result.executionTime,
+      result.memoryUsed,
+      result.score || 0,
+      result.testCasesPassed,
+      result.totalTestCases,
+      result.groupResults ? JSON.stringify(result.groupResults) : null,
+      result.errorMessage || null,
+      this.id
+    ];
+
+    try {
+      const updated = await pool.query(query, values);
+      logger.info(`Submission ${this.id} judged: ${result.verdict}`);
+      return new Submission(updated.rows[0]);
+    } catch (error) {
+      logger.error('Error updating submission result:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an accepted contest submission as hacked.
+   * Returns null if it is no longer accepted, e.g. someone else hacked it first.
+   */
+  async markHacked(hackId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      UPDATE submissions
+      SET status = $1, verdict = $1, verdict_detail = $2
+      WHERE id = $3 AND status = $4
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        SUBMISSION_STATUS.HACKED,
+        `Failed hack ${hackId}`,
+        this.id,
+        SUBMISSION_STATUS.ACCEPTED
+      ]);
+      return result.rows[0] ? new Submission(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error marking submission as hacked:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Blank out the result in a submission's JSON, for submissions made while
+   * the scoreboard is frozen
+   */
+  static hideResult(data) {
+    return {
+      ...data,
+      status: SUBMISSION_STATUS.PENDING,
+      verdict: null,
+      verdictDetail: null,
+      executionTime: null,
+      memoryUsed: null,
+      score: null,
+      testCasesPassed: null,
+      groupResults: null,
+      errorMessage: null,
+      judgedAt: null,
+      resultHidden: true
+    };
+  }
+
+  /**
+   * Sanitize submission data for API response
+   */
+  toJSON(includeCode = false) {
+    return {
+      id: this.id,
+      userId: this.userId,
+      problemId: this.problemId,
+      contestId: this.contestId,
+      isVirtual: Boolean(this.virtualParticipationId),
+      teamId: this.teamId,
+      language: this.language,
+      ...(includeCode === true && { code: this.code }),
+      status: this.status,
+      verdict: this.verdict,
+      verdictDetail: this.verdictDetail,
+      executionTime: this.executionTime,
+      memoryUsed: this.memoryUsed,
+      score: this.score,
+      testCasesPassed: this.testCasesPassed,
+      totalTestCases: this.totalTestCases,
+      groupResults: this.groupResults,
+      errorMessage: this.errorMessage,
+      submittedAt: this.submittedAt,
+      judgedAt: this.judgedAt
+    };
+  }
+}
+
+module.exports = Submission;
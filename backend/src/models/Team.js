@@ -0,0 +1,247 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const logger = require('../utils/logger');
+
+/**
+ * A team of users entering team contests together. The captain manages the
+ * team: its details, invitations, members and contest registrations.
+ */
+class Team {
+  constructor(teamData) {
+    this.id = teamData.id;
+    this.name = teamData.name;
+    this.organization = teamData.organization;
+    this.captainId = teamData.captain_id;
+    this.memberCount = teamData.member_count || 0;
+    this.createdAt = teamData.created_at;
+    this.updatedAt = teamData.updated_at;
+  }
+
+  /**
+   * Create a team with its captain as first member
+   */
+  static async create({ name, organization, captainId }) {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO teams (name, organization, captain_id)
+         VALUES ($1, $2, $3)
+         RETURNING *, 1 as member_count`,
+        [name, organization || null, captainId]
+      );
+      await client.query(
+        'INSERT INTO team_members (team_id, user_id) VALUES ($1, $2)',
+        [result.rows[0].id, captainId]
+      );
+      await client.query('COMMIT');
+
+      const team = new Team(result.rows[0]);
+      logger.info(`Team created: ${team.name} (${team.id})`);
+      return team;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error creating team:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find team by ID
+   */
+  static async findById(id) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT t.*, (SELECT COUNT(*) FROM team_members tm WHERE tm.team_id = t.id)::int as member_count
+      FROM teams t
+      WHERE t.id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? new Team(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding team by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the teams a user is a member of
+   */
+  static async getByUser(userId) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT t.*, (SELECT COUNT(*) FROM team_members tm WHERE tm.team_id = t.id)::int as member_count
+      FROM teams t
+      JOIN team_members m ON m.team_id = t.id
+      WHERE m.user_id = $1
+      ORDER BY t.name
+    `;
+
+    try {
+      const result = await pool.query(query, [userId]);
+      return result.rows.map(row => new Team(row));
+    } catch (error) {
+      logger.error('Error getting user teams:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update team name and organization
+   */
+  async update({ name, organization }) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      UPDATE teams
+      SET name = COALESCE($1, name), organization = COALESCE($2, organization), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [name ?? null, organization ?? null, this.id]);
+      logger.info(`Team updated: ${result.rows[0].name} (${this.id})`);
+      return new Team({ ...result.rows[0], member_count: this.memberCount });
+    } catch (error) {
+      logger.error('Error updating team:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the members of the team, captain first
+   *
+   * @returns {Promise<Array<{userId: number, username: string, rating: number, isCaptain: boolean, joinedAt: Date}>>}
+   */
+  async getMembers() {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT tm.user_id, tm.joined_at, u.username, u.rating
+      FROM team_members tm
+      JOIN users u ON u.id = tm.user_id
+      WHERE tm.team_id = $1
+      ORDER BY tm.user_id = $2 DESC, tm.joined_at
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, this.captainId]);
+      return result.rows.map(row => ({
+        userId: row.user_id,
+        username: row.username,
+        rating: row.rating,
+        isCaptain: row.user_id === this.captainId,
+        joinedAt: row.joined_at
+      }));
+    } catch (error) {
+      logger.error('Error getting team members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user is a member of the team
+   */
+  async isMember(userId) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2';
+
+    try {
+      const result = await pool.query(query, [this.id, userId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking team member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from the team
+   *
+   * @returns {Promise<boolean>} whether the user was a member
+   */
+  async removeMember(userId) {
+    const pool = getPostgreSQLPool();
+    const query = 'DELETE FROM team_members WHERE team_id = $1 AND user_id = $2';
+
+    try {
+      const result = await pool.query(query, [this.id, userId]);
+      if (result.rowCount > 0) {
+        logger.info(`User ${userId} left team ${this.id}`);
+      }
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error removing team member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether any member of the team already takes part in a contest, on
+   * their own or with another team
+   */
+  async hasMemberInContest(contestId) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT 1
+      FROM team_members tm
+      JOIN contest_participants cp ON cp.contest_id = $1
+        AND (cp.user_id = tm.user_id
+          OR cp.team_id IN (SELECT team_id FROM team_members WHERE user_id = tm.user_id))
+      WHERE tm.team_id = $2
+      LIMIT 1
+    `;
+
+    try {
+      const result = await pool.query(query, [contestId, this.id]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking team members in contest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the team is registered for a contest that has not ended; its
+   * roster cannot change then
+   */
+  async hasActiveRegistration() {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT 1
+      FROM contest_participants cp
+      JOIN contests c ON c.id = cp.contest_id
+      WHERE cp.team_id = $1 AND c.end_time > CURRENT_TIMESTAMP
+      LIMIT 1
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking team registrations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sanitize team data for API response
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      organization: this.organization,
+      captainId: this.captainId,
+      memberCount: this.memberCount,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Team;
@@ -0,0 +1,191 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const logger = require('../utils/logger');
+const { TEAM_INVITE_STATUS, TEAM_MAX_MEMBERS } = require('../utils/constants');
+
+/**
+ * An invitation from a team's captain for a user to join the team
+ */
+class TeamInvite {
+  constructor(inviteData) {
+    this.id = inviteData.id;
+    this.teamId = inviteData.team_id;
+    this.teamName = inviteData.team_name;
+    this.userId = inviteData.user_id;
+    this.username = inviteData.username;
+    this.invitedBy = inviteData.invited_by;
+    this.status = inviteData.status || TEAM_INVITE_STATUS.PENDING;
+    this.createdAt = inviteData.created_at;
+    this.respondedAt = inviteData.responded_at;
+  }
+
+  /**
+   * Invite a user to a team
+   *
+   * @returns {Promise<TeamInvite|null>} null if the user already has a pending invite to the team
+   */
+  static async create({ teamId, userId, invitedBy }) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      INSERT INTO team_invites (team_id, user_id, invited_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (team_id, user_id) WHERE status = 'pending' DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [teamId, userId, invitedBy]);
+      if (!result.rows[0]) {
+        return null;
+      }
+      logger.info(`User ${userId} invited to team ${teamId}`);
+      return new TeamInvite(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating team invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find invite by ID
+   */
+  static async findById(id) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT ti.*, t.name as team_name, u.username
+      FROM team_invites ti
+      JOIN teams t ON t.id = ti.team_id
+      JOIN users u ON u.id = ti.user_id
+      WHERE ti.id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows[0] ? new TeamInvite(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding team invite by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending invites, either those a user has received or those a team has sent
+   *
+   * @param {Object} filters - userId or teamId
+   */
+  static async getPending({ userId, teamId }) {
+    const pool = getPostgreSQLPool();
+    const query = `
+      SELECT ti.*, t.name as team_name, u.username
+      FROM team_invites ti
+      JOIN teams t ON t.id = ti.team_id
+      JOIN users u ON u.id = ti.user_id
+      WHERE ti.status = $1 AND ${teamId ? 'ti.team_id' : 'ti.user_id'} = $2
+      ORDER BY ti.created_at DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [TEAM_INVITE_STATUS.PENDING, teamId || userId]);
+      return result.rows.map(row => new TeamInvite(row));
+    } catch (error) {
+      logger.error('Error getting pending team invites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept the invite and join the team, unless it is full. The team row is
+   * locked so concurrent acceptances cannot exceed TEAM_MAX_MEMBERS.
+   *
+   * @returns {Promise<boolean>} whether the user joined; false if the team is full
+   */
+  async accept() {
+    const pool = getPostgreSQLPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const team = await client.query(
+        `SELECT (SELECT COUNT(*) FROM team_members WHERE team_id = $1)::int as member_count
+         FROM teams WHERE id = $1 FOR UPDATE`,
+        [this.teamId]
+      );
+      if (team.rows[0].member_count >= TEAM_MAX_MEMBERS) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(
+        `INSERT INTO team_members (team_id, user_id)
+         VALUES ($1, $2)
+         ON CONFLICT (team_id, user_id) DO NOTHING`,
+        [this.teamId, this.userId]
+      );
+      await this.respond(client, TEAM_INVITE_STATUS.ACCEPTED);
+      await client.query('COMMIT');
+
+      logger.info(`User ${this.userId} joined team ${this.teamId}`);
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error accepting team invite:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Decline the invite
+   */
+  async decline() {
+    try {
+      await this.respond(getPostgreSQLPool(), TEAM_INVITE_STATUS.DECLINED);
+      logger.info(`User ${this.userId} declined the invite to team ${this.teamId}`);
+    } catch (error) {
+      logger.error('Error declining team invite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the user's answer, with the given client or pool
+   */
+  async respond(db, status) {
+    const result = await db.query(
+      `UPDATE team_invites SET status = $1, responded_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING status, responded_at`,
+      [status, this.id]
+    );
+    this.status = result.rows[0].status;
+    this.respondedAt = result.rows[0].responded_at;
+  }
+
+  /**
+   * Whether the invite still awaits an answer
+   */
+  isPending() {
+    return this.status === TEAM_INVITE_STATUS.PENDING;
+  }
+
+  /**
+   * Sanitize team invite data for API response
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      teamId: this.teamId,
+      teamName: this.teamName,
+      userId: this.userId,
+      username: this.username,
+      invitedBy: this.invitedBy,
+      status: this.status,
+      createdAt: this.createdAt,
+      respondedAt: this.respondedAt
+    };
+  }
+}
+
+module.exports = TeamInvite;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outcome of one test. Input, output and answer are truncated previews.
+ */
+const testSchema = new mongoose.Schema({
+  testNumber: { type: Number, required: true },
+  testCaseId: Number,
+  isSample: { type: Boolean, default: false },
+  verdict: { type: String, required: true },
+  time: Number, // milliseconds
+  memory: Number, // KB
+  exitCode: Number,
+  input: String,
+  output: String,
+  answer: String,
+  checkerComment: String
+}, { _id: false });
+
+/**
+ * Per-test judging results of a submission, one document per submission.
+ * The submissions table in PostgreSQL only keeps the aggregate result;
+ * a rejudge replaces the document.
+ */
+const testResultSchema = new mongoose.Schema({
+  submissionId: { type: Number, required: true, unique: true },
+  problemId: { type: Number, required: true },
+  contestId: { type: Number, default: null },
+  userId: { type: Number, required: true },
+  tests: [testSchema],
+  judgedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'submission_test_results'
+});
+
+/**
+ * Store the test results of a judged submission, replacing earlier ones
+ */
+testResultSchema.statics.saveForSubmission = function(submission, tests) {
+  return this.findOneAndReplace(
+    { submissionId: submission.id },
+    {
+      submissionId: submission.id,
+      problemId: submission.problemId,
+      contestId: submission.contestId || null,
+      userId: submission.userId,
+      tests,
+      judgedAt: new Date()
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Get the test results of a submission
+ */
+testResultSchema.statics.findBySubmissionId = function(submissionId) {
+  return this.findOne({ submissionId }).lean();
+};
+
+module.exports = mongoose.model('TestResult', testResultSchema);
@@ -19,6 +19,7 @@ class User {
     this.totalProblemsSolved = userData.total_problems_solved || 0;
     this.contestsParticipated = userData.contests_participated || 0;
     this.maxRating = userData.max_rating || 1200;
+    this.role = userData.role || 'user';
     this.isVerified = userData.is_verified || false;
     this.isActive = userData.is_active !== false;
     this.createdAt = userData.created_at;
@@ -107,6 +108,22 @@ class User {
     }
   }
 
+  /**
+   * Find the active users with the given usernames or emails
+   */
+  static async findByIdentifiers(identifiers) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT * FROM users WHERE (username = ANY($1) OR email = ANY($1)) AND is_active = true';
+
+    try {
+      const result = await pool.query(query, [identifiers]);
+      return result.rows.map(row => new User(row));
+    } catch (error) {
+      logger.error('Error finding users by username or email:', error);
+      throw error;
+    }
+  }
+
   /**
    * Authenticate user
    */
@@ -289,6 +306,13 @@ class User {
    * Get rank title based on rating
    */
   getRankTitle(rating) {
+    return User.getRankTitle(rating);
+  }
+
+  /**
+   * Rank title for a rating
+   */
+  static getRankTitle(rating) {
     if (rating >= 3000) return 'Legendary Grandmaster';
     if (rating >= 2600) return 'International Grandmaster';
     if (rating >= 2400) return 'Grandmaster';
@@ -320,6 +344,7 @@ class User {
       totalProblemsSolved: this.totalProblemsSolved,
       contestsParticipated: this.contestsParticipated,
       maxRating: this.maxRating,
+      role: this.role,
       isVerified: this.isVerified,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
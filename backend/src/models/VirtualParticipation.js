@@ -0,0 +1,92 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const logger = require('../utils/logger');
+
+/**
+ * A user replaying a finished contest on their own clock: minute 0 is when
+ * they started, and they have the contest's duration to submit
+ */
+class VirtualParticipation {
+  constructor(participationData) {
+    this.id = participationData.id;
+    this.contestId = participationData.contest_id;
+    this.userId = participationData.user_id;
+    this.startedAt = participationData.started_at;
+    this.endsAt = participationData.ends_at;
+  }
+
+  /**
+   * Start a virtual participation now
+   *
+   * @returns {Promise<VirtualParticipation|null>} null if the user already has one for the contest
+   */
+  static async create(contest, userId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      INSERT INTO virtual_participations (contest_id, user_id, ends_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))
+      ON CONFLICT (contest_id, user_id) DO NOTHING
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [contest.id, userId, contest.duration]);
+      if (!result.rows[0]) {
+        return null;
+      }
+      logger.info(`User ${userId} started a virtual participation in contest ${contest.id}`);
+      return new VirtualParticipation(result.rows[0]);
+    } catch (error) {
+      logger.error('Error starting virtual participation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's virtual participation in a contest
+   */
+  static async findByContestAndUser(contestId, userId) {
+    const pool = getPostgreSQLPool();
+    const query = 'SELECT * FROM virtual_participations WHERE contest_id = $1 AND user_id = $2';
+
+    try {
+      const result = await pool.query(query, [contestId, userId]);
+      return result.rows[0] ? new VirtualParticipation(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding virtual participation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the user's virtual contest is still going on
+   */
+  isRunning(now = new Date()) {
+    return now < new Date(this.endsAt);
+  }
+
+  /**
+   * Time into the virtual contest, capped at its end (milliseconds)
+   */
+  getElapsed(now = new Date()) {
+    const end = Math.min(now.getTime(), new Date(this.endsAt).getTime());
+    return Math.max(end - new Date(this.startedAt).getTime(), 0);
+  }
+
+  /**
+   * Sanitize virtual participation data for API response
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      contestId: this.contestId,
+      userId: this.userId,
+      startedAt: this.startedAt,
+      endsAt: this.endsAt,
+      running: this.isRunning(),
+      elapsedMinutes: Math.floor(this.getElapsed() / 60000)
+    };
+  }
+}
+
+module.exports = VirtualParticipation;
@@ -0,0 +1,11 @@
+const express = require('express');
+const AdminController = require('../controllers/adminController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+router.get('/judge', AdminController.getJudgeStatus);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const ContestApiController = require('../controllers/contestApiController');
+const { optionalAuth } = require('../middleware/auth');
+const {
+  validateContestApiEndpoint,
+  validateEventFeed,
+  validateId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// ICPC Contest API (CLICS)
+router.get('/contests', optionalAuth, ContestApiController.getContests);
+router.get('/contests/:id', optionalAuth, validateId, ContestApiController.getContest);
+router.get('/contests/:id/event-feed', optionalAuth, validateEventFeed, ContestApiController.getEventFeed);
+router.get('/contests/:id/:endpoint', optionalAuth, validateContestApiEndpoint, ContestApiController.getEndpoint);
+router.get(
+  '/contests/:id/:endpoint/:objectId',
+  optionalAuth,
+  validateContestApiEndpoint,
+  ContestApiController.getEndpoint
+);
+
+module.exports = router;
@@ -1 +1,84 @@
-// contests.js - Generated file
+const express = require('express');
+const ContestController = require('../controllers/contestController');
+const ScoreboardController = require('../controllers/scoreboardController');
+const ClarificationController = require('../controllers/clarificationController');
+const ContestAccessController = require('../controllers/contestAccessController');
+const ContestApiController = require('../controllers/contestApiController');
+const { authenticateToken, optionalAuth, requireModerator } = require('../middleware/auth');
+const {
+  validateContestCreation,
+  validateContestUpdate,
+  validateContestList,
+  validateContestRegistration,
+  validateContestSubmission,
+  validateContestAccess,
+  validateContestWhitelist,
+  validateContestAccessRevocation,
+  validateScoreboard,
+  validateContestExport,
+  validateClarification,
+  validateClarificationAnswer,
+  validateAnnouncement,
+  validatePagination,
+  validateId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', optionalAuth, validateContestList, validatePagination, ContestController.getContests);
+router.post('/', authenticateToken, requireModerator, validateContestCreation, ContestController.createContest);
+router.get('/:id', optionalAuth, validateId, ContestController.getContest);
+router.patch('/:id', authenticateToken, requireModerator, validateContestUpdate, ContestController.updateContest);
+router.delete('/:id', authenticateToken, requireModerator, validateId, ContestController.deleteContest);
+router.get('/:id/problems', optionalAuth, validateId, ContestController.getProblems);
+router.post('/:id/registration', authenticateToken, validateContestRegistration, ContestController.register);
+router.delete('/:id/registration', authenticateToken, validateId, ContestController.unregister);
+router.post('/:id/access', authenticateToken, validateContestAccess, ContestAccessController.joinContest);
+router.get('/:id/access', authenticateToken, requireModerator, validateId, ContestAccessController.getAccessList);
+router.post(
+  '/:id/access/whitelist',
+  authenticateToken,
+  requireModerator,
+  validateContestWhitelist,
+  ContestAccessController.whitelist
+);
+router.delete(
+  '/:id/access/:userId',
+  authenticateToken,
+  requireModerator,
+  validateContestAccessRevocation,
+  ContestAccessController.revokeAccess
+);
+router.post('/:id/invite-link', authenticateToken, requireModerator, validateId, ContestAccessController.renewInviteLink);
+router.post('/:id/virtual', authenticateToken, validateId, ContestController.startVirtual);
+router.get('/:id/virtual', authenticateToken, validateId, ContestController.getVirtual);
+router.post(
+  '/:id/problems/:problemId/submissions',
+  authenticateToken,
+  validateContestSubmission,
+  ContestController.submit
+);
+router.get('/:id/scoreboard', optionalAuth, validateScoreboard, ScoreboardController.getScoreboard);
+router.get('/:id/export/standings', optionalAuth, validateContestExport, ContestApiController.exportStandings);
+router.get(
+  '/:id/export/submissions',
+  authenticateToken,
+  requireModerator,
+  validateId,
+  ContestApiController.exportSubmissions
+);
+router.post('/:id/resolver/next', authenticateToken, requireModerator, validateId, ScoreboardController.revealNext);
+router.post('/:id/resolver/finish', authenticateToken, requireModerator, validateId, ScoreboardController.unfreeze);
+router.get('/:id/clarifications', authenticateToken, validateId, ClarificationController.getClarifications);
+router.post('/:id/clarifications', authenticateToken, validateClarification, ClarificationController.askQuestion);
+router.post('/:id/clarifications/read', authenticateToken, validateId, ClarificationController.markRead);
+router.patch(
+  '/:id/clarifications/:clarificationId',
+  authenticateToken,
+  requireModerator,
+  validateClarificationAnswer,
+  ClarificationController.answerQuestion
+);
+router.post('/:id/announcements', authenticateToken, requireModerator, validateAnnouncement, ClarificationController.announce);
+
+module.exports = router;
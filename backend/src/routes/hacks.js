@@ -0,0 +1,32 @@
+const express = require('express');
+const HackController = require('../controllers/hackController');
+const { authenticateToken, optionalAuth, requireModerator } = require('../middleware/auth');
+const {
+  validateHack,
+  validateHackTarget,
+  validateHackList,
+  validatePagination,
+  validateId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', validateHackList, validatePagination, HackController.getHacks);
+router.post('/', authenticateToken, validateHack, HackController.createHack);
+router.get(
+  '/contests/:contestId/problems/:problemId/submissions',
+  authenticateToken,
+  validateHackTarget,
+  validatePagination,
+  HackController.getTargets
+);
+router.post(
+  '/contests/:contestId/tests',
+  authenticateToken,
+  requireModerator,
+  validateHackTarget,
+  HackController.addToSystemTests
+);
+router.get('/:id', optionalAuth, validateId, HackController.getHack);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const LanguageController = require('../controllers/languageController');
+
+const router = express.Router();
+
+router.get('/', LanguageController.getLanguages);
+
+module.exports = router;
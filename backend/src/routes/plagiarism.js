@@ -0,0 +1,31 @@
+const express = require('express');
+const PlagiarismController = require('../controllers/plagiarismController');
+const { authenticateToken, requireModerator } = require('../middleware/auth');
+const {
+  validateContestId,
+  validatePlagiarismClusters,
+  validatePlagiarismReview,
+  validateDisqualification,
+  validateId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireModerator);
+
+router.get('/contests/:contestId/clusters', validatePlagiarismClusters, PlagiarismController.getClusters);
+router.post('/contests/:contestId/check', validateContestId, PlagiarismController.checkContest);
+router.post(
+  '/contests/:contestId/participants/:userId/disqualification',
+  validateDisqualification,
+  PlagiarismController.setDisqualified
+);
+router.delete(
+  '/contests/:contestId/participants/:userId/disqualification',
+  validateDisqualification,
+  PlagiarismController.setDisqualified
+);
+router.get('/clusters/:id', validateId, PlagiarismController.getCluster);
+router.patch('/clusters/:id', validatePlagiarismReview, PlagiarismController.reviewCluster);
+
+module.exports = router;
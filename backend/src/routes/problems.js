@@ -1 +1,29 @@
-// problems.js - Generated file
+const express = require('express');
+const ProblemController = require('../controllers/problemController');
+const { authenticateToken, optionalAuth, requireModerator } = require('../middleware/auth');
+const { uploadArchive } = require('../middleware/upload');
+const {
+  validateProblemCreation,
+  validateProblemList,
+  validateProblemSlug,
+  validateCheckerUpdate,
+  validateInteractorUpdate,
+  validateProblemVisibility,
+  validateTestUpload,
+  validatePagination,
+  validateId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', optionalAuth, validateProblemList, validatePagination, ProblemController.getProblems);
+router.get('/:slug', optionalAuth, validateProblemSlug, ProblemController.getProblem);
+router.post('/', authenticateToken, requireModerator, validateProblemCreation, ProblemController.createProblem);
+router.put('/:id/checker', authenticateToken, validateCheckerUpdate, ProblemController.updateChecker);
+router.put('/:id/interactor', authenticateToken, validateInteractorUpdate, ProblemController.updateInteractor);
+router.put('/:id/visibility', authenticateToken, validateProblemVisibility, ProblemController.setVisibility);
+router.post('/import', authenticateToken, requireModerator, uploadArchive, ProblemController.importPackage);
+router.get('/:id/package', authenticateToken, validateId, ProblemController.exportPackage);
+router.post('/:id/tests/archive', authenticateToken, uploadArchive, validateTestUpload, ProblemController.uploadTests);
+
+module.exports = router;
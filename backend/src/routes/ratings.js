@@ -0,0 +1,13 @@
+const express = require('express');
+const RatingController = require('../controllers/ratingController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateContestId, validateUserId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/contests/:contestId', validateContestId, RatingController.getContestChanges);
+router.post('/contests/:contestId', authenticateToken, requireAdmin, validateContestId, RatingController.applyRatings);
+router.delete('/contests/:contestId', authenticateToken, requireAdmin, validateContestId, RatingController.rollbackRatings);
+router.get('/users/:userId', validateUserId, RatingController.getUserHistory);
+
+module.exports = router;
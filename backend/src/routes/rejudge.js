@@ -0,0 +1,15 @@
+const express = require('express');
+const RejudgeController = require('../controllers/rejudgeController');
+const { authenticateToken, requireModerator } = require('../middleware/auth');
+const { validateRejudge, validateId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireModerator);
+
+router.post('/submissions/:id', validateRejudge, RejudgeController.rejudgeSubmission);
+router.get('/submissions/:id/history', validateId, RejudgeController.getHistory);
+router.post('/problems/:id', validateRejudge, RejudgeController.rejudgeProblem);
+router.post('/contests/:id', validateRejudge, RejudgeController.rejudgeContest);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const RunController = require('../controllers/runController');
+const { authenticateToken } = require('../middleware/auth');
+const { customRunLimiter } = require('../middleware/rateLimiter');
+const { validateCustomRun } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.post('/', authenticateToken, customRunLimiter, validateCustomRun, RunController.run);
+
+module.exports = router;
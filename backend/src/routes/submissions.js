@@ -1 +1,13 @@
-// submissions.js - Generated file
+const express = require('express');
+const SubmissionController = require('../controllers/submissionController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { validateSubmission, validatePagination, validateId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/', optionalAuth, validatePagination, SubmissionController.getSubmissions);
+router.post('/problem/:problemId', authenticateToken, validateSubmission, SubmissionController.submit);
+router.get('/:id', optionalAuth, validateId, SubmissionController.getSubmission);
+router.get('/:id/tests', optionalAuth, validateId, SubmissionController.getTestResults);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const TeamController = require('../controllers/teamController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const {
+  validateTeamCreation,
+  validateTeamUpdate,
+  validateTeamInvite,
+  validateTeamInviteResponse,
+  validateTeamMember,
+  validateId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.post('/', authenticateToken, validateTeamCreation, TeamController.createTeam);
+router.get('/mine', authenticateToken, TeamController.getMyTeams);
+router.get('/invites', authenticateToken, TeamController.getMyInvites);
+router.post('/invites/:id', authenticateToken, validateTeamInviteResponse, TeamController.respondToInvite);
+router.get('/:id', optionalAuth, validateId, TeamController.getTeam);
+router.patch('/:id', authenticateToken, validateTeamUpdate, TeamController.updateTeam);
+router.post('/:id/invites', authenticateToken, validateTeamInvite, TeamController.inviteMember);
+router.delete('/:id/members/:userId', authenticateToken, validateTeamMember, TeamController.removeMember);
+
+module.exports = router;
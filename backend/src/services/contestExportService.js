@@ -0,0 +1,211 @@
+const Contest = require('../models/Contest');
+const standingsService = require('./standingsService');
+const { getPublicLanguages } = require('../config/languages');
+const { toCsv } = require('../utils/csv');
+const clics = require('../utils/clics');
+const logger = require('../utils/logger');
+const { CONTEST_TYPES, CONTEST_API_ENDPOINTS } = require('../utils/constants');
+
+// Collections sent by the event feed; the state goes last and the scoreboard is not an event
+const FEED_ENDPOINTS = CONTEST_API_ENDPOINTS.filter(endpoint => !['state', 'scoreboard'].includes(endpoint));
+
+// How often the event feeds of a contest look for changes
+const FEED_POLL_INTERVAL = 5000;
+
+/**
+ * Contest results for the outside world: CSV files for spreadsheets and the
+ * ICPC Contest API (CLICS) for broadcast tools (see utils/clics.js).
+ *
+ * Exports show what the public scoreboard shows: results hidden by a
+ * scoreboard freeze stay hidden unless `full` is asked for by a manager.
+ */
+class ContestExportService {
+  constructor() {
+    // Pollers of contests with open event feeds, by contest ID and `full`
+    this.feeds = new Map();
+  }
+
+  /**
+   * Standings as CSV: one line per participant in rank order, one column
+   * per problem. A cell shows the points earned (`+` and the rejected
+   * attempts in ICPC contests), `-` and the rejected attempts of an
+   * unsolved problem, or `?` while attempts are pending. IOI cells show the
+   * best score of every attempted problem.
+   */
+  async getStandingsCsv(contest, { full = false } = {}) {
+    const scoreboard = await standingsService.getScoreboard(contest, { full });
+    const icpc = contest.type === CONTEST_TYPES.ICPC;
+    const ioi = contest.type === CONTEST_TYPES.IOI;
+
+    const header = ['Rank', 'Participant', 'Score', 'Penalty', ...scoreboard.problems.map(problem => problem.index)];
+    const rows = scoreboard.rows.map(row => [
+      row.disqualified ? 'DQ' : row.rank,
+      row.teamName || row.username,
+      row.score,
+      row.penalty,
+      ...row.cells.map(cell => {
+        if (ioi && (cell.solved || cell.rejected > 0)) {
+          return cell.points;
+        }
+        if (cell.solved) {
+          return icpc ? `+${cell.rejected || ''} (${cell.time})` : `${cell.points} (${cell.time})`;
+        }
+        if (cell.pending > 0) {
+          return '?';
+        }
+        return cell.rejected > 0 ? `-${cell.rejected}` : '';
+      })
+    ]);
+
+    return toCsv(header, rows);
+  }
+
+  /**
+   * Official submissions as CSV, oldest first, with their verdicts. Only
+   * for managers, so nothing is hidden.
+   */
+  async getSubmissionsCsv(contest) {
+    const [problems, submissions] = await Promise.all([
+      contest.getProblems(),
+      contest.getOfficialSubmissions()
+    ]);
+    const labels = new Map(problems.map(({ problem, index }) => [problem.id, index]));
+
+    const header = [
+      'ID', 'Submitted At', 'Contest Minute', 'Participant ID', 'User', 'Problem', 'Language',
+      'Status', 'Score', 'Time (ms)', 'Memory (KB)'
+    ];
+    const rows = submissions.map(({ submission, participantId, username }) => [
+      submission.id,
+      new Date(submission.submittedAt).toISOString(),
+      Math.floor((new Date(submission.submittedAt) - new Date(contest.startTime)) / 60000),
+      participantId,
+      username,
+      labels.get(submission.problemId),
+      submission.language,
+      submission.status,
+      submission.score,
+      submission.executionTime,
+      submission.memoryUsed
+    ]);
+
+    return toCsv(header, rows);
+  }
+
+  /**
+   * A Contest API endpoint of a contest (CONTEST_API_ENDPOINTS). Problems
+   * stay hidden until the contest starts unless `full`.
+   */
+  async getEndpoint(contest, endpoint, { full = false } = {}) {
+    switch (endpoint) {
+      case 'judgement-types':
+        return clics.formatJudgementTypes();
+      case 'languages':
+        return clics.formatLanguages(getPublicLanguages());
+      case 'problems':
+        return full || contest.hasStarted() ? clics.formatProblems(await contest.getProblems()) : [];
+      case 'teams':
+        return clics.formatTeams(await contest.getParticipants());
+      case 'submissions':
+        return clics.formatSubmissions(contest, await contest.getOfficialSubmissions());
+      case 'judgements':
+        return clics.formatJudgements(contest, await contest.getOfficialSubmissions(), { full });
+      case 'state':
+        return clics.formatState(contest);
+      case 'scoreboard':
+        return clics.formatScoreboard(contest, await standingsService.getScoreboard(contest, { full }));
+      default:
+        throw new Error(`Unknown Contest API endpoint: ${endpoint}`);
+    }
+  }
+
+  /**
+   * Event feed events for whatever changed since the previous call: the
+   * first call describes the whole contest, later ones only new or changed
+   * objects. `seen` holds what was sent (by type and ID) between calls.
+   *
+   * @param {Object} contest
+   * @param {Map<string, string>} seen
+   * @returns {Promise<Object[]>} events: { type, id, data }
+   */
+  async getFeedEvents(contest, seen, { full = false } = {}) {
+    const events = [];
+    const push = (type, id, data) => {
+      const key = `${type}:${id}`;
+      const json = JSON.stringify(data);
+      if (seen.get(key) !== json) {
+        seen.set(key, json);
+        events.push({ type, id, data });
+      }
+    };
+
+    push('contests', null, clics.formatContest(contest));
+
+    const submissions = await contest.getOfficialSubmissions();
+    for (const endpoint of FEED_ENDPOINTS) {
+      let objects;
+      if (endpoint === 'submissions') {
+        objects = clics.formatSubmissions(contest, submissions);
+      } else if (endpoint === 'judgements') {
+        // Sent without a type while pending, then again once judged
+        objects = clics.formatJudgements(contest, submissions, { full });
+      } else {
+        objects = await this.getEndpoint(contest, endpoint, { full });
+      }
+      objects.forEach(object => push(endpoint, object.id, object));
+    }
+
+    push('state', null, clics.formatState(contest));
+
+    return events;
+  }
+
+  /**
+   * Follow the event feed of a contest after sending it once with `seen`.
+   * Every open feed of a contest shares one poller, so the database load
+   * does not grow with the number of feeds. `listener` gets the events of
+   * each poll, an empty list when nothing changed, and null once the contest
+   * is gone; events may repeat ones a late joiner already has.
+   *
+   * @returns {Function} stops following
+   */
+  watchFeed(contestId, { full = false, seen }, listener) {
+    const key = `${contestId}:${full}`;
+    let feed = this.feeds.get(key);
+    if (!feed) {
+      feed = { listeners: new Set(), seen: new Map(seen), polling: false };
+      feed.timer = setInterval(() => this.pollFeed(contestId, full, feed), FEED_POLL_INTERVAL);
+      this.feeds.set(key, feed);
+    }
+    feed.listeners.add(listener);
+
+    return () => {
+      feed.listeners.delete(listener);
+      if (feed.listeners.size === 0 && this.feeds.get(key) === feed) {
+        clearInterval(feed.timer);
+        this.feeds.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Look for changes of a followed contest and hand them to its feeds
+   */
+  async pollFeed(contestId, full, feed) {
+    if (feed.polling) {
+      return;
+    }
+    feed.polling = true;
+    try {
+      const contest = await Contest.findById(contestId);
+      const events = contest ? await this.getFeedEvents(contest, feed.seen, { full }) : null;
+      feed.listeners.forEach(listener => listener(events));
+    } catch (error) {
+      logger.error(`Event feed of contest ${contestId} failed:`, error);
+    } finally {
+      feed.polling = false;
+    }
+  }
+}
+
+module.exports = new ContestExportService();
@@ -0,0 +1,187 @@
+const cron = require('node-cron');
+const Contest = require('../models/Contest');
+const Hack = require('../models/Hack');
+const { getPostgreSQLPool } = require('../utils/database');
+const hackService = require('./hackService');
+const ratingService = require('./ratingService');
+const standingsService = require('./standingsService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+const { CONTEST_STATUS } = require('../utils/constants');
+
+// How often API servers check for contests to move on (node-cron with seconds)
+const SWEEP_SCHEDULE = '*/10 * * * * *';
+
+// Advisory lock key, so only one API server sweeps at a time
+const SWEEP_LOCK_ID = 72001;
+
+// Lifecycle states in order; contests only ever move forward
+const LIFECYCLE = [
+  CONTEST_STATUS.SCHEDULED,
+  CONTEST_STATUS.REGISTRATION_OPEN,
+  CONTEST_STATUS.RUNNING,
+  CONTEST_STATUS.SYSTEM_TESTING,
+  CONTEST_STATUS.FINISHED
+];
+
+/**
+ * Moves contests through their lifecycle as their times pass:
+ * scheduled → registration_open → running → system_testing → finished.
+ *
+ * The state is stored on the contest, so after a restart the next sweep
+ * picks up where the last one stopped and goes through every state that was
+ * missed in order, announcing each one. System testing adds successful hack
+ * inputs to the tests and rejudges accepted solutions against them; once
+ * nothing is left to judge, the final ranks are computed, rated contests are
+ * rated and the contest is finished. Every step can safely be repeated.
+ */
+class ContestLifecycleService {
+  constructor() {
+    this.task = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Start moving contests on, catching up on anything missed while down
+   */
+  startSchedule() {
+    if (this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(SWEEP_SCHEDULE, () => this.runSweep());
+    this.runSweep();
+    logger.info('⏱️ Contest lifecycle scheduled');
+  }
+
+  /**
+   * Sweep unless the previous one is still running
+   */
+  runSweep() {
+    if (this.sweeping) {
+      return;
+    }
+
+    this.sweeping = true;
+    this.sweep()
+      .catch(error => logger.error('Contest lifecycle sweep failed:', error))
+      .finally(() => { this.sweeping = false; });
+  }
+
+  /**
+   * Move every unfinished contest on as far as it can go. The sweep holds a
+   * session-level advisory lock on a connection of its own, so with several
+   * API servers only one sweeps at a time without keeping a transaction
+   * open. On error the connection is discarded, which drops the lock too.
+   */
+  async sweep(now = new Date()) {
+    const client = await getPostgreSQLPool().connect();
+    let connectionError;
+
+    try {
+      const lock = await client.query('SELECT pg_try_advisory_lock($1) as locked', [SWEEP_LOCK_ID]);
+      if (!lock.rows[0].locked) {
+        return;
+      }
+
+      try {
+        const contests = await Contest.getUnfinished();
+        for (const contest of contests) {
+          try {
+            await this.advance(contest, now);
+          } catch (error) {
+            logger.error(`Lifecycle of contest ${contest.id} failed:`, error);
+          }
+        }
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [SWEEP_LOCK_ID]);
+      }
+    } catch (error) {
+      connectionError = error;
+      throw error;
+    } finally {
+      client.release(connectionError);
+    }
+  }
+
+  /**
+   * Move a contest through each state its times call for, then run system
+   * testing if that is where it is
+   */
+  async advance(contest, now = new Date()) {
+    const due = LIFECYCLE.indexOf(contest.getScheduledStatus(now));
+
+    while (LIFECYCLE.indexOf(contest.status) < due) {
+      const next = LIFECYCLE[LIFECYCLE.indexOf(contest.status) + 1];
+      if (!(await this.transition(contest, next))) {
+        return;
+      }
+    }
+
+    if (contest.status === CONTEST_STATUS.SYSTEM_TESTING) {
+      await this.runSystemTests(contest);
+    }
+  }
+
+  /**
+   * Record the move to `status` and tell the contest's followers
+   *
+   * @returns {Promise<boolean>} whether the contest moved
+   */
+  async transition(contest, status) {
+    const previous = contest.status;
+    if (!(await contest.setStatus(previous, status))) {
+      return false;
+    }
+
+    websocketService.emitContestStatus(contest, previous);
+    return true;
+  }
+
+  /**
+   * System testing of an ended contest. Hacks sent before the end are judged
+   * first, since a successful one changes a submission and adds a test. New
+   * hack tests send the accepted solutions back to the judge; the contest's
+   * rejudge flag makes sure that happens even if a sweep stopped halfway.
+   * Once every official submission is judged the contest is finalized.
+   */
+  async runSystemTests(contest) {
+    if (contest.hacksEnabled && await Hack.hasPending(contest.id)) {
+      return;
+    }
+
+    if (contest.hacksEnabled) {
+      await hackService.addToSystemTests(contest);
+    }
+
+    if (contest.systemTestsRejudgePending) {
+      await hackService.rejudgeSystemTests(contest);
+      return;
+    }
+
+    if (await contest.hasPendingSubmissions()) {
+      return;
+    }
+
+    await this.finalize(contest);
+  }
+
+  /**
+   * Compute the final ranks, apply rating changes to a rated contest and
+   * mark it finished
+   */
+  async finalize(contest) {
+    await standingsService.recalculate(contest.id);
+
+    if (contest.isRated && !contest.ratingsAppliedAt) {
+      await ratingService.applyContest(contest);
+    }
+
+    if (await this.transition(contest, CONTEST_STATUS.FINISHED)) {
+      websocketService.emitStandingsUpdate(contest.id);
+      logger.info(`Contest ${contest.id} finalized`);
+    }
+  }
+}
+
+module.exports = new ContestLifecycleService();
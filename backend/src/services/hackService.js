@@ -0,0 +1,90 @@
+const Hack = require('../models/Hack');
+const Problem = require('../models/Problem');
+const Submission = require('../models/Submission');
+const judgeService = require('./judgeService');
+const logger = require('../utils/logger');
+const { SUBMISSION_STATUS } = require('../utils/constants');
+
+/**
+ * Contest hacks after the contest: successful hack inputs become system tests
+ */
+class HackService {
+  /**
+   * Add the inputs of a contest's successful hacks to their problems' tests,
+   * with the reference solution's answers. An input already among a
+   * problem's tests is not added again. Hack tests are worth no points.
+   *
+   * The contest is flagged for a rejudge (see rejudgeSystemTests()) before
+   * the first test is added, so a crash in between still leaves the rejudge
+   * to do.
+   *
+   * @param {Contest} contest
+   * @returns {Promise<number>} number of tests added
+   */
+  async addToSystemTests(contest) {
+    const hacks = await Hack.getUntestedSuccessful(contest.id);
+    if (hacks.length === 0) {
+      return 0;
+    }
+
+    const hacksByProblem = new Map();
+    hacks.forEach(hack => {
+      hacksByProblem.set(hack.problemId, [...(hacksByProblem.get(hack.problemId) || []), hack]);
+    });
+
+    let added = 0;
+    for (const [problemId, problemHacks] of hacksByProblem) {
+      const problem = await Problem.findById(problemId, { includePrivate: true });
+      if (!problem) {
+        continue;
+      }
+
+      const inputs = new Set((await problem.getTestCases()).map(testCase => testCase.input_data));
+      for (const hack of problemHacks) {
+        if (inputs.has(hack.inputData)) {
+          continue;
+        }
+        if (!contest.systemTestsRejudgePending) {
+          await contest.setSystemTestsRejudgePending(true);
+        }
+        await problem.addTestCase({
+          inputData: hack.inputData,
+          expectedOutput: hack.answerData,
+          points: 0
+        });
+        inputs.add(hack.inputData);
+        added++;
+      }
+    }
+
+    await Hack.markAddedToTests(hacks.map(hack => hack.id));
+    logger.info(`${added} hack tests added from contest ${contest.id}`);
+
+    return added;
+  }
+
+  /**
+   * Send a contest's accepted solutions back to the judge against its new
+   * hack tests, then clear the contest's rejudge flag. Until the flag is
+   * cleared every call queues again all of the contest's Pending
+   * submissions, so those reset by a call that failed before queueing them
+   * are not left behind; workers drop the duplicates.
+   *
+   * @param {Contest} contest
+   * @returns {Promise<number>} number of submissions queued
+   */
+  async rejudgeSystemTests(contest) {
+    await Submission.resetForRejudge(
+      { contestId: contest.id, statuses: [SUBMISSION_STATUS.ACCEPTED] },
+      null
+    );
+    const submissionIds = await contest.getPendingSubmissionIds();
+    await judgeService.queueRejudge(submissionIds);
+    await contest.setSystemTestsRejudgePending(false);
+
+    logger.info(`System testing of contest ${contest.id}: ${submissionIds.length} solutions rejudged`);
+    return submissionIds.length;
+  }
+}
+
+module.exports = new HackService();
@@ -1 +1,182 @@
-// judgeService.js - Generated file
+const crypto = require('crypto');
+const {
+  QUEUES,
+  EXCHANGES,
+  connectRabbitMQ,
+  onReconnect,
+  getChannel,
+  publish,
+  getQueueDepths,
+  subscribe
+} = require('../config/rabbitmq');
+const Contest = require('../models/Contest');
+const Submission = require('../models/Submission');
+const websocketService = require('./websocketService');
+const judgeWorkerRegistry = require('./judgeWorkerRegistry');
+const logger = require('../utils/logger');
+const { CUSTOM_RUN_DEFAULTS, PACKAGE_BUILD_TIMEOUT } = require('../utils/constants');
+
+/**
+ * API-side half of the judge: queues submissions, custom runs and package
+ * builds for the judge workers (judge/scripts/judgeWorker.js) and relays
+ * their progress to clients.
+ */
+class JudgeService {
+  constructor() {
+    this.initialized = false;
+    this.replyQueue = null;
+    // correlationId -> { resolve, reject, timer } of requests awaiting a worker
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Connect to the queue and start listening for judge events
+   */
+  async init() {
+    if (this.initialized) {
+      return;
+    }
+
+    await connectRabbitMQ();
+    await subscribe(EXCHANGES.JUDGE_EVENTS, (event) => this.handleJudgeEvent(event));
+    await this.listenForReplies();
+    // The reply queue went away with the old connection
+    onReconnect(() => this.listenForReplies());
+
+    this.initialized = true;
+    logger.info('⚖️ Judge service initialized');
+  }
+
+  /**
+   * Queue a submission for judging; contest submissions go ahead of practice
+   * ones. Virtual contest submissions are practice.
+   */
+  async queueSubmission(submission) {
+    const queue = submission.contestId && !submission.virtualParticipationId ? QUEUES.CONTEST : QUEUES.PRACTICE;
+    publish(queue, { submissionId: submission.id });
+    logger.info(`Submission ${submission.id} queued for judging on ${queue}`);
+  }
+
+  /**
+   * Queue submissions reset by a rejudge. They go to their own queue so
+   * workers keep judging new submissions in between.
+   */
+  async queueRejudge(submissionIds) {
+    submissionIds.forEach(submissionId => publish(QUEUES.REJUDGES, { submissionId }));
+    logger.info(`${submissionIds.length} submissions queued for rejudge`);
+  }
+
+  /**
+   * Queue a hack attempt; hacks have their own lane right after contest submissions
+   */
+  async queueHack(hack) {
+    publish(QUEUES.HACKS, { hackId: hack.id });
+    logger.info(`Hack ${hack.id} queued for judging`);
+  }
+
+  /**
+   * Run code on custom input through a judge worker and wait for the output.
+   * Nothing is stored; rejects if no worker answers in time.
+   */
+  runCustom({ code, language, stdin, timeLimit, memoryLimit }) {
+    return this.request(
+      QUEUES.CUSTOM_RUNS,
+      { code, language, stdin, timeLimit, memoryLimit },
+      CUSTOM_RUN_DEFAULTS.REPLY_TIMEOUT
+    );
+  }
+
+  /**
+   * Have a judge worker import a staged problem package (see
+   * processPackageImport() in judge/scripts/judgeWorker.js). Only the upload
+   * ID goes through the queue; the archive stays in the database.
+   */
+  importPackage(uploadId, createdBy) {
+    return this.request(QUEUES.PACKAGES, { uploadId, createdBy }, PACKAGE_BUILD_TIMEOUT);
+  }
+
+  /**
+   * Send a request to the judge workers and wait for the reply
+   */
+  request(queue, payload, timeout) {
+    const correlationId = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(correlationId);
+        reject(new Error('Timed out waiting for a judge worker'));
+      }, timeout);
+
+      this.pendingRequests.set(correlationId, { resolve, reject, timer });
+
+      publish(queue, payload, {
+        replyTo: this.replyQueue,
+        correlationId,
+        persistent: false,
+        expiration: String(timeout)
+      });
+    });
+  }
+
+  /**
+   * Queue depths and live judge workers, for monitoring
+   */
+  async getStatus() {
+    const [queues, workers] = await Promise.all([
+      getQueueDepths(),
+      judgeWorkerRegistry.getWorkers()
+    ]);
+
+    return { queues, workers };
+  }
+
+  /**
+   * Declare this instance's private reply queue for worker requests
+   */
+  async listenForReplies() {
+    const channel = getChannel();
+    const { queue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+    this.replyQueue = queue;
+
+    await channel.consume(queue, (message) => {
+      if (!message) {
+        return;
+      }
+
+      const pending = this.pendingRequests.get(message.properties.correlationId);
+      if (!pending) {
+        return;
+      }
+
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(message.properties.correlationId);
+
+      try {
+        pending.resolve(JSON.parse(message.content.toString()));
+      } catch (error) {
+        pending.reject(error);
+      }
+    }, { noAck: true });
+  }
+
+  /**
+   * Forward a submission, hack or standings change published by a judge
+   * worker. Followers of a submission other than its author do not see a
+   * result the frozen scoreboard hides.
+   */
+  async handleJudgeEvent({ submission, hack, standings }) {
+    if (submission) {
+      const contest = submission.contestId ? await Contest.findById(submission.contestId) : null;
+      const hidden = contest && contest.hidesResultOf(submission.submittedAt);
+      websocketService.emitSubmissionUpdate(submission, hidden ? Submission.hideResult(submission) : submission);
+    }
+    if (hack) {
+      websocketService.emitHackUpdate(hack);
+    }
+    if (standings) {
+      websocketService.emitStandingsUpdate(standings.contestId);
+    }
+  }
+}
+
+module.exports = new JudgeService();
@@ -0,0 +1,195 @@
+const os = require('os');
+const { getRedisClient } = require('../utils/database');
+const logger = require('../utils/logger');
+const { WORKER_HEARTBEAT } = require('../utils/constants');
+
+const WORKERS_KEY = 'judge:workers';
+const REAP_LOCK_TTL = 30000; // milliseconds
+
+const workerKey = (workerId) => `judge:worker:${workerId}`;
+const jobsKey = (workerId) => `judge:worker:${workerId}:jobs`;
+const reapLockKey = (workerId) => `judge:worker:${workerId}:reaping`;
+const jobField = (queue, payload) => `${queue}:${payload.submissionId ?? payload.hackId}`;
+
+/**
+ * Judge workers registered in Redis.
+ *
+ * Each worker keeps a hash with its details and counters alive through
+ * heartbeats, and lists the jobs it is working on. When a worker's hash
+ * expires the worker is considered dead and its jobs are queued again by
+ * whichever worker notices first.
+ *
+ * Without Redis every method is a no-op.
+ */
+class JudgeWorkerRegistry {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+  }
+
+  /**
+   * Write this worker's heartbeat; also (re-)registers it
+   */
+  async heartbeat({ concurrency, activeJobs }) {
+    const redis = getRedisClient();
+    if (!redis) {
+      return;
+    }
+
+    const key = workerKey(this.workerId);
+
+    await redis
+      .multi()
+      .sadd(WORKERS_KEY, this.workerId)
+      .hsetnx(key, 'startedAt', Date.now())
+      .hset(key, {
+        hostname: os.hostname(),
+        pid: process.pid,
+        concurrency,
+        activeJobs,
+        lastHeartbeat: Date.now()
+      })
+      .pexpire(key, WORKER_HEARTBEAT.TTL)
+      .exec();
+  }
+
+  /**
+   * Whether a worker is still sending heartbeats. Without Redis no worker is
+   * known to be alive; RabbitMQ only delivers a job again once its worker's
+   * connection is gone.
+   */
+  async isAlive(workerId) {
+    const redis = getRedisClient();
+    if (!redis) {
+      return false;
+    }
+
+    return (await redis.exists(workerKey(workerId))) === 1;
+  }
+
+  /**
+   * Remember that this worker took a job from `queue`
+   */
+  async trackJob(queue, payload) {
+    const redis = getRedisClient();
+    if (!redis) {
+      return;
+    }
+
+    await redis.hset(jobsKey(this.workerId), jobField(queue, payload), JSON.stringify({ queue, payload }));
+  }
+
+  /**
+   * Forget a finished job and count it in this worker's throughput
+   */
+  async finishJob(queue, payload, succeeded) {
+    const redis = getRedisClient();
+    if (!redis) {
+      return;
+    }
+
+    await redis
+      .multi()
+      .hdel(jobsKey(this.workerId), jobField(queue, payload))
+      .hincrby(workerKey(this.workerId), succeeded ? 'jobsCompleted' : 'jobsFailed', 1)
+      .hset(workerKey(this.workerId), 'lastJobAt', Date.now())
+      .exec();
+  }
+
+  /**
+   * Remove this worker on shutdown. Its unacked messages go back to their
+   * queues when the RabbitMQ connection closes.
+   */
+  async deregister() {
+    const redis = getRedisClient();
+    if (!redis) {
+      return;
+    }
+
+    await redis
+      .multi()
+      .srem(WORKERS_KEY, this.workerId)
+      .del(workerKey(this.workerId), jobsKey(this.workerId))
+      .exec();
+  }
+
+  /**
+   * Queue again the jobs of workers whose heartbeat expired
+   *
+   * @param {Function} requeue - (queue, payload) => void
+   * @returns {Promise<number>} number of jobs queued again
+   */
+  async reapDeadWorkers(requeue) {
+    const redis = getRedisClient();
+    if (!redis) {
+      return 0;
+    }
+
+    let requeued = 0;
+    const workerIds = await redis.smembers(WORKERS_KEY);
+
+    for (const workerId of workerIds) {
+      if (await redis.exists(workerKey(workerId))) {
+        continue;
+      }
+
+      // Only one live worker gets to reap a dead one
+      const locked = await redis.set(reapLockKey(workerId), this.workerId, 'PX', REAP_LOCK_TTL, 'NX');
+      if (!locked) {
+        continue;
+      }
+
+      const jobs = Object.values(await redis.hgetall(jobsKey(workerId))).map(job => JSON.parse(job));
+      jobs.forEach(({ queue, payload }) => requeue(queue, payload));
+      requeued += jobs.length;
+
+      await redis.multi().srem(WORKERS_KEY, workerId).del(jobsKey(workerId)).exec();
+      logger.warn(`Judge worker ${workerId} stopped sending heartbeats, ${jobs.length} jobs queued again`);
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Live workers with their counters and current jobs
+   */
+  async getWorkers() {
+    const redis = getRedisClient();
+    if (!redis) {
+      return [];
+    }
+
+    const workerIds = await redis.smembers(WORKERS_KEY);
+    const workers = [];
+
+    for (const workerId of workerIds) {
+      const info = await redis.hgetall(workerKey(workerId));
+      if (Object.keys(info).length === 0) {
+        continue; // dead, waiting to be reaped
+      }
+
+      const jobs = Object.values(await redis.hgetall(jobsKey(workerId))).map(job => JSON.parse(job));
+      const startedAt = parseInt(info.startedAt);
+      const jobsCompleted = parseInt(info.jobsCompleted) || 0;
+      const uptimeMinutes = (Date.now() - startedAt) / 60000;
+
+      workers.push({
+        id: workerId,
+        hostname: info.hostname,
+        pid: parseInt(info.pid),
+        concurrency: parseInt(info.concurrency),
+        activeJobs: parseInt(info.activeJobs) || 0,
+        jobs,
+        jobsCompleted,
+        jobsFailed: parseInt(info.jobsFailed) || 0,
+        jobsPerMinute: uptimeMinutes > 0 ? Number((jobsCompleted / uptimeMinutes).toFixed(2)) : 0,
+        startedAt: new Date(startedAt),
+        lastHeartbeat: new Date(parseInt(info.lastHeartbeat)),
+        lastJobAt: info.lastJobAt ? new Date(parseInt(info.lastJobAt)) : null
+      });
+    }
+
+    return workers;
+  }
+}
+
+module.exports = new JudgeWorkerRegistry();
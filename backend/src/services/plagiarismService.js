@@ -0,0 +1,94 @@
+const cron = require('node-cron');
+const Contest = require('../models/Contest');
+const Submission = require('../models/Submission');
+const PlagiarismCluster = require('../models/PlagiarismCluster');
+const { QUEUES, publish } = require('../config/rabbitmq');
+const { findClusters } = require('../utils/plagiarism');
+const logger = require('../utils/logger');
+
+// How often API servers look for contests that ended
+const SWEEP_SCHEDULE = '* * * * *';
+
+/**
+ * Post-contest plagiarism checks. API servers queue a check for every contest
+ * that ends; a judge worker runs it and stores suspicious clusters for
+ * moderators to review.
+ */
+class PlagiarismService {
+  constructor() {
+    this.task = null;
+  }
+
+  /**
+   * Start queueing checks for contests as they end
+   */
+  startSchedule() {
+    if (this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(SWEEP_SCHEDULE, () => {
+      this.queueEndedContests().catch(error => logger.error('Plagiarism check sweep failed:', error));
+    });
+    logger.info('🕵️ Plagiarism checks scheduled');
+  }
+
+  /**
+   * Queue a check for each contest that finished since the last sweep. A check
+   * that cannot be queued is released for the next sweep.
+   */
+  async queueEndedContests() {
+    const contestIds = await Contest.claimPlagiarismChecks();
+
+    for (const contestId of contestIds) {
+      try {
+        this.queueCheck(contestId);
+      } catch (error) {
+        logger.error(`Queueing the plagiarism check of contest ${contestId} failed:`, error);
+        await Contest.releasePlagiarismCheck(contestId);
+      }
+    }
+  }
+
+  /**
+   * Queue a plagiarism check of a contest on the judge workers
+   */
+  queueCheck(contestId) {
+    publish(QUEUES.PLAGIARISM, { contestId });
+    logger.info(`Plagiarism check of contest ${contestId} queued`);
+  }
+
+  /**
+   * Compare the final accepted submissions of a contest, per problem and
+   * language, and flag clusters of similar ones for review
+   *
+   * @returns {Promise<PlagiarismCluster[]>} newly flagged clusters
+   */
+  async checkContest(contestId) {
+    const submissions = await Submission.getFinalAccepted(contestId);
+
+    const groups = new Map();
+    submissions.forEach(submission => {
+      const key = `${submission.problemId}:${submission.language}`;
+      groups.set(key, [...(groups.get(key) || []), submission]);
+    });
+
+    const clusters = [];
+    for (const group of groups.values()) {
+      const { problemId, language } = group[0];
+      findClusters(group).forEach(cluster => clusters.push({ ...cluster, problemId, language }));
+    }
+
+    const flagged = await PlagiarismCluster.replaceOpen(contestId, clusters);
+
+    if (flagged.length > 0) {
+      logger.warn(`Plagiarism check of contest ${contestId}: ${flagged.length} clusters flagged for review`);
+    } else {
+      logger.info(`Plagiarism check of contest ${contestId}: nothing suspicious in ${submissions.length} submissions`);
+    }
+
+    return flagged;
+  }
+}
+
+module.exports = new PlagiarismService();
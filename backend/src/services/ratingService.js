@@ -0,0 +1,41 @@
+const RatingChange = require('../models/RatingChange');
+const standingsService = require('./standingsService');
+const logger = require('../utils/logger');
+
+/**
+ * Rating changes of rated contests (see utils/rating.js)
+ */
+class RatingService {
+  /**
+   * Rank the contest one last time and apply the resulting rating changes
+   *
+   * @returns {Promise<Object[]|null>} the changes, or null if they were already applied
+   */
+  async applyContest(contest) {
+    await standingsService.recalculate(contest.id);
+
+    const participants = await contest.getRatedParticipants();
+    const changes = await RatingChange.applyContest(contest.id, participants);
+    if (!changes) {
+      return null;
+    }
+
+    logger.info(`Contest ${contest.id} rated: ${changes.length} participants`);
+    return changes;
+  }
+
+  /**
+   * Undo the rating changes of a contest. Refused while a participant has a
+   * rating change from a later contest, since that one starts from this result.
+   *
+   * @returns {Promise<number|null>} users restored, or null if refused
+   */
+  async rollbackContest(contest) {
+    if (await RatingChange.hasLaterChanges(contest.id)) {
+      return null;
+    }
+    return RatingChange.rollbackContest(contest.id);
+  }
+}
+
+module.exports = new RatingService();
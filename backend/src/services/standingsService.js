@@ -0,0 +1,426 @@
+const { getPostgreSQLPool } = require('../utils/database');
+const logger = require('../utils/logger');
+const {
+  SUBMISSION_STATUS,
+  PENDING_STATUSES,
+  PENALTY_PER_WRONG_ATTEMPT,
+  NON_PENALIZED_STATUSES,
+  HACK_STATUS,
+  HACK_POINTS,
+  CONTEST_TYPES,
+  CODEFORCES_SCORING
+} = require('../utils/constants');
+
+/**
+ * Points of a problem in a Codeforces contest: the maximum loses
+ * 1/DECAY_MINUTES of itself per minute until acceptance and a fixed amount
+ * per rejected attempt, but never drops below MIN_RATIO of it.
+ * recalculate() applies the same formula in SQL.
+ */
+function codeforcesPoints(maxPoints, minute, rejected) {
+  return Math.max(
+    Math.floor(maxPoints * CODEFORCES_SCORING.MIN_RATIO),
+    maxPoints - Math.floor(minute * maxPoints / CODEFORCES_SCORING.DECAY_MINUTES)
+      - CODEFORCES_SCORING.WRONG_ATTEMPT_PENALTY * rejected
+  );
+}
+
+// Cell key of a virtual participant's ghost row, which has no contest_participants entry
+const GHOST_PARTICIPANT = 'virtual';
+
+/**
+ * Contest standings kept in contest_participants (score, penalty, rank)
+ */
+class StandingsService {
+  /**
+   * Recompute score, penalty and rank of every participant from their
+   * submissions made before the contest ended.
+   *
+   * A solved problem is worth its contest points, or 1 in ICPC contests where
+   * the score is the solved count. Its penalty is the minutes from contest
+   * start to the first accepted submission plus a fixed penalty for each
+   * earlier rejected attempt; compilation and internal errors do not count.
+   * Codeforces contests have no penalty time: the points decay with the
+   * minute of acceptance and the rejected attempts instead (see codeforcesPoints).
+   * IOI contests have no penalty either: each problem is worth the best
+   * score of any of its submissions, solved or not.
+   * Outside ICPC and IOI contests hack points are added to the score: a hacked
+   * submission is no longer accepted, so the defender loses the problem's
+   * points. Disqualified participants keep their score but are left out of
+   * the ranking. In team contests a participant is a team, credited with the
+   * submissions its members made for it.
+   */
+  async recalculate(contestId) {
+    const pool = getPostgreSQLPool();
+
+    const query = `
+      WITH attempts AS (
+        SELECT
+          s.id, p.id as participant_id, s.problem_id, s.status, s.submitted_at, s.score, c.type,
+          CASE WHEN c.type = $9 THEN 1 ELSE cp.points END as points
+        FROM submissions s
+        JOIN contests c ON c.id = s.contest_id
+        JOIN contest_problems cp ON cp.contest_id = s.contest_id AND cp.problem_id = s.problem_id
+        JOIN contest_participants p ON p.contest_id = s.contest_id AND (p.user_id = s.user_id OR p.team_id = s.team_id)
+        WHERE s.contest_id = $1
+          AND s.virtual_participation_id IS NULL
+          AND s.submitted_at <= c.end_time
+          AND NOT (s.status = ANY($2))
+      ),
+      solved AS (
+        SELECT DISTINCT ON (participant_id, problem_id) participant_id, problem_id, submitted_at as accepted_at, points
+        FROM attempts
+        WHERE status = $3
+        ORDER BY participant_id, problem_id, submitted_at, id
+      ),
+      problem_results AS (
+        SELECT
+          sv.participant_id,
+          sv.points,
+          FLOOR(EXTRACT(EPOCH FROM (sv.accepted_at - c.start_time)) / 60) as minute,
+          (
+            SELECT COUNT(*) FROM attempts a
+            WHERE a.participant_id = sv.participant_id
+              AND a.problem_id = sv.problem_id
+              AND a.submitted_at < sv.accepted_at
+          ) as rejected,
+          c.type
+        FROM solved sv
+        JOIN contests c ON c.id = $1
+      ),
+      problem_scores AS (
+        SELECT
+          participant_id,
+          CASE WHEN type = $10
+            THEN GREATEST(FLOOR(points * $11), points - FLOOR(minute * points / $12) - $13 * rejected)
+            ELSE points
+          END as points,
+          CASE WHEN type = $10 THEN 0 ELSE minute + $4 * rejected END as penalty
+        FROM problem_results
+        WHERE type <> $14
+        UNION ALL
+        SELECT participant_id, MAX(score) as points, 0 as penalty
+        FROM attempts
+        WHERE type = $14
+        GROUP BY participant_id, problem_id
+      ),
+      hack_points AS (
+        SELECT
+          p.id as participant_id,
+          SUM(CASE WHEN h.status = $5 THEN $6::int WHEN h.status = $7 THEN $8::int ELSE 0 END) as points
+        FROM hacks h
+        JOIN contest_participants p ON p.contest_id = h.contest_id AND p.user_id = h.hacker_id
+        WHERE h.contest_id = $1
+          AND NOT EXISTS (SELECT 1 FROM contests WHERE id = $1 AND type IN ($9, $14))
+        GROUP BY p.id
+      ),
+      totals AS (
+        SELECT
+          p.id as participant_id,
+          p.disqualified,
+          COALESCE(SUM(pr.points), 0) + COALESCE(MAX(hp.points), 0) as score,
+          COALESCE(SUM(pr.penalty), 0) as penalty
+        FROM contest_participants p
+        LEFT JOIN problem_scores pr ON pr.participant_id = p.id
+        LEFT JOIN hack_points hp ON hp.participant_id = p.id
+        WHERE p.contest_id = $1
+        GROUP BY p.id, p.disqualified
+      ),
+      ranked AS (
+        SELECT
+          participant_id,
+          score,
+          penalty,
+          CASE WHEN disqualified THEN NULL
+            ELSE RANK() OVER (PARTITION BY disqualified ORDER BY score DESC, penalty ASC)
+          END as rank
+        FROM totals
+      )
+      UPDATE contest_participants p
+      SET score = r.score, penalty = r.penalty, rank = r.rank
+      FROM ranked r
+      WHERE p.id = r.participant_id
+    `;
+
+    const ignored = [...PENDING_STATUSES, ...NON_PENALIZED_STATUSES];
+
+    try {
+      const result = await pool.query(query, [
+        contestId,
+        ignored,
+        SUBMISSION_STATUS.ACCEPTED,
+        PENALTY_PER_WRONG_ATTEMPT,
+        HACK_STATUS.SUCCESSFUL,
+        HACK_POINTS.SUCCESSFUL,
+        HACK_STATUS.UNSUCCESSFUL,
+        HACK_POINTS.UNSUCCESSFUL,
+        CONTEST_TYPES.ICPC,
+        CONTEST_TYPES.CODEFORCES,
+        CODEFORCES_SCORING.MIN_RATIO,
+        CODEFORCES_SCORING.DECAY_MINUTES,
+        CODEFORCES_SCORING.WRONG_ATTEMPT_PENALTY,
+        CONTEST_TYPES.IOI
+      ]);
+      logger.info(`Standings of contest ${contestId} recalculated (${result.rowCount} participants)`);
+    } catch (error) {
+      logger.error('Error recalculating contest standings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the scoreboard of a contest from its submissions, scored like
+   * recalculate(), with one cell per participant and problem.
+   *
+   * A cell holds the rejected attempts, whether and when (minutes from the
+   * start) the problem was solved, whether it was solved first, the best
+   * score of its attempts (what it is worth in IOI contests), and how many
+   * attempts have no result to show yet. While the scoreboard is frozen,
+   * attempts made after the freeze are shown as pending unless the resolver
+   * has revealed the cell; `full` shows every result regardless.
+   *
+   * For a `virtual` participation the scoreboard shows the contest as it
+   * stood at the same elapsed time, with the virtual participant added as a
+   * ghost row whose submissions are placed on the contest's clock.
+   *
+   * Rows are contest participants: users, or teams in team contests.
+   * `officialOnly` leaves out users registered outside the rated range, so
+   * ranks and first solves are among official participants only.
+   */
+  async getScoreboard(contest, { full = false, virtual = null, officialOnly = false } = {}) {
+    const pool = getPostgreSQLPool();
+    const icpc = contest.type === CONTEST_TYPES.ICPC;
+    const ioi = contest.type === CONTEST_TYPES.IOI;
+    const frozen = !full && contest.isScoreboardFrozen();
+    const freezeTime = contest.getFreezeTime();
+    const startTime = new Date(contest.startTime).getTime();
+    const cutoff = virtual
+      ? new Date(Math.min(startTime + virtual.getElapsed(), new Date(contest.endTime).getTime()))
+      : new Date(contest.endTime);
+
+    try {
+      const [problems, participants, official, ghost, reveals, hacks] = await Promise.all([
+        contest.getProblems(),
+        pool.query(
+          `SELECT p.id, p.user_id, u.username, p.team_id, t.name as team_name, p.disqualified, p.is_official
+           FROM contest_participants p
+           LEFT JOIN users u ON u.id = p.user_id
+           LEFT JOIN teams t ON t.id = p.team_id
+           WHERE p.contest_id = $1 AND (p.is_official OR NOT $2)`,
+          [contest.id, officialOnly]
+        ),
+        pool.query(
+          `SELECT s.id, p.id as participant_id, s.problem_id, s.status, s.score, s.submitted_at
+           FROM submissions s
+           JOIN contest_participants p ON p.contest_id = s.contest_id AND (p.user_id = s.user_id OR p.team_id = s.team_id)
+           WHERE s.contest_id = $1 AND s.virtual_participation_id IS NULL
+             AND s.submitted_at <= $2 AND NOT (s.status = ANY($3))
+             AND (p.is_official OR NOT $4)
+           ORDER BY s.submitted_at, s.id`,
+          [contest.id, cutoff, NON_PENALIZED_STATUSES, officialOnly]
+        ),
+        virtual ? pool.query(
+          `SELECT s.id, s.problem_id, s.status, s.score, s.submitted_at, u.username
+           FROM submissions s
+           JOIN users u ON u.id = s.user_id
+           WHERE s.virtual_participation_id = $1 AND NOT (s.status = ANY($2))
+           ORDER BY s.submitted_at, s.id`,
+          [virtual.id, NON_PENALIZED_STATUSES]
+        ) : { rows: [] },
+        pool.query('SELECT participant_id, problem_id FROM scoreboard_reveals WHERE contest_id = $1', [contest.id]),
+        icpc || ioi ? { rows: [] } : pool.query(
+          `SELECT hacker_id, SUM(CASE WHEN status = $2 THEN $3::int WHEN status = $4 THEN $5::int ELSE 0 END) as points
+           FROM hacks
+           WHERE contest_id = $1 AND created_at <= $6
+           GROUP BY hacker_id`,
+          [contest.id, HACK_STATUS.SUCCESSFUL, HACK_POINTS.SUCCESSFUL, HACK_STATUS.UNSUCCESSFUL, HACK_POINTS.UNSUCCESSFUL, cutoff]
+        )
+      ]);
+
+      // Ghost submissions are moved to the contest's clock and merged in time order
+      const virtualStart = virtual ? new Date(virtual.startedAt).getTime() : 0;
+      const attempts = [
+        ...official.rows,
+        ...ghost.rows.map(row => ({
+          ...row,
+          participant_id: GHOST_PARTICIPANT,
+          virtual: true,
+          submitted_at: new Date(startTime + new Date(row.submitted_at).getTime() - virtualStart)
+        }))
+      ].sort((a, b) => (new Date(a.submitted_at) - new Date(b.submitted_at)) || (a.id - b.id));
+
+      if (virtual) {
+        const username = ghost.rows[0]?.username
+          || (await pool.query('SELECT username FROM users WHERE id = $1', [virtual.userId])).rows[0].username;
+        participants.rows.push({ id: GHOST_PARTICIPANT, user_id: virtual.userId, username, disqualified: false, virtual: true });
+      }
+
+      const disqualified = new Set(participants.rows.filter(row => row.disqualified).map(row => row.id));
+      const revealed = new Set(reveals.rows.map(row => `${row.participant_id}:${row.problem_id}`));
+      const hackPoints = new Map(hacks.rows.map(row => [row.hacker_id, parseInt(row.points)]));
+      const firstSolved = new Set();
+      const cells = new Map();
+
+      for (const attempt of attempts) {
+        const key = `${attempt.participant_id}:${attempt.problem_id}`;
+        if (!cells.has(key)) {
+          cells.set(key, { solved: false, rejected: 0, pending: 0, frozen: false, time: null, firstToSolve: false, bestScore: 0 });
+        }
+        const cell = cells.get(key);
+
+        if (cell.solved) {
+          continue;
+        }
+
+        if (frozen && !attempt.virtual && new Date(attempt.submitted_at) >= freezeTime && !revealed.has(key)) {
+          cell.pending++;
+          cell.frozen = true;
+        } else if (PENDING_STATUSES.includes(attempt.status)) {
+          cell.pending++;
+        } else if (attempt.status === SUBMISSION_STATUS.ACCEPTED) {
+          cell.solved = true;
+          cell.bestScore = Math.max(cell.bestScore, attempt.score || 0);
+          cell.time = Math.floor((new Date(attempt.submitted_at).getTime() - startTime) / 60000);
+
+          // Attempts are in submission order, so the first solve seen is the first overall
+          if (!firstSolved.has(attempt.problem_id) && !disqualified.has(attempt.participant_id) && !attempt.virtual) {
+            firstSolved.add(attempt.problem_id);
+            cell.firstToSolve = true;
+          }
+        } else {
+          cell.rejected++;
+          cell.bestScore = Math.max(cell.bestScore, attempt.score || 0);
+        }
+      }
+
+      const rows = participants.rows.map(participant => {
+        let score = icpc || ioi || !participant.user_id ? 0 : hackPoints.get(participant.user_id) || 0;
+        let penalty = 0;
+
+        const problemCells = problems.map(({ problem, points }) => {
+          const cell = cells.get(`${participant.id}:${problem.id}`)
+            || { solved: false, rejected: 0, pending: 0, frozen: false, time: null, firstToSolve: false, bestScore: 0 };
+
+          if (ioi) {
+            score += cell.bestScore;
+            return { problemId: problem.id, ...cell, points: cell.bestScore };
+          }
+
+          if (!cell.solved) {
+            return { problemId: problem.id, ...cell, points: 0 };
+          }
+
+          let earned = icpc ? 1 : points;
+          if (contest.type === CONTEST_TYPES.CODEFORCES) {
+            earned = codeforcesPoints(points, cell.time, cell.rejected);
+          } else {
+            penalty += cell.time + PENALTY_PER_WRONG_ATTEMPT * cell.rejected;
+          }
+          score += earned;
+          return { problemId: problem.id, ...cell, points: earned };
+        });
+
+        return {
+          participantId: participant.virtual ? null : participant.id,
+          userId: participant.user_id,
+          username: participant.username || null,
+          teamId: participant.team_id || null,
+          teamName: participant.team_name || null,
+          disqualified: participant.disqualified,
+          official: participant.is_official === true,
+          virtual: participant.virtual === true,
+          rank: null,
+          score,
+          penalty,
+          cells: problemCells
+        };
+      });
+
+      rows.sort((a, b) => (a.disqualified - b.disqualified)
+        || (b.score - a.score)
+        || (a.penalty - b.penalty)
+        || (a.username || a.teamName).localeCompare(b.username || b.teamName));
+
+      rows.filter(row => !row.disqualified).forEach((row, i, ranked) => {
+        const previous = ranked[i - 1];
+        row.rank = previous && previous.score === row.score && previous.penalty === row.penalty ? previous.rank : i + 1;
+      });
+
+      return {
+        contestId: contest.id,
+        type: contest.type,
+        frozen,
+        freezeTime,
+        officialOnly,
+        virtualParticipation: virtual ? virtual.toJSON() : null,
+        problems: problems.map(({ problem, index, points }) => ({
+          id: problem.id,
+          index,
+          title: problem.title,
+          points: icpc ? 1 : points
+        })),
+        rows
+      };
+    } catch (error) {
+      logger.error('Error building contest scoreboard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolver step: reveal the frozen cell of the lowest ranked participant
+   * that still has one (their first such problem), and rank again. Once no
+   * frozen cell is left the contest is marked unfrozen.
+   *
+   * @returns {Promise<Object>} { reveal, finished, scoreboard }; reveal is null if nothing was left to reveal
+   */
+  async revealNext(contest, revealedBy) {
+    const pool = getPostgreSQLPool();
+    const before = await this.getScoreboard(contest);
+
+    const target = [...before.rows].reverse()
+      .map(row => ({ row, cell: row.cells.find(cell => cell.frozen) }))
+      .find(({ cell }) => cell);
+
+    let reveal = null;
+    let scoreboard = before;
+
+    if (target) {
+      try {
+        await pool.query(
+          `INSERT INTO scoreboard_reveals (contest_id, participant_id, problem_id, revealed_by)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (participant_id, problem_id) DO NOTHING`,
+          [contest.id, target.row.participantId, target.cell.problemId, revealedBy]
+        );
+      } catch (error) {
+        logger.error('Error revealing scoreboard cell:', error);
+        throw error;
+      }
+
+      scoreboard = await this.getScoreboard(contest);
+      const row = scoreboard.rows.find(candidate => candidate.participantId === target.row.participantId);
+
+      reveal = {
+        participantId: row.participantId,
+        userId: row.userId,
+        teamId: row.teamId,
+        problemId: target.cell.problemId,
+        cell: row.cells.find(cell => cell.problemId === target.cell.problemId),
+        previousRank: target.row.rank,
+        rank: row.rank
+      };
+    }
+
+    const finished = !scoreboard.rows.some(row => row.cells.some(cell => cell.frozen));
+    if (finished) {
+      await contest.markUnfrozen();
+      scoreboard.frozen = false;
+    }
+
+    return { reveal, finished, scoreboard };
+  }
+}
+
+module.exports = new StandingsService();
+module.exports.codeforcesPoints = codeforcesPoints;
@@ -1 +1,192 @@
-// websocketService.js - Generated file
+const jwt = require('jsonwebtoken');
+const Contest = require('../models/Contest');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { SOCKET_EVENTS } = require('../utils/constants');
+
+/**
+ * Socket.IO wrapper. Authenticated sockets join a private `user:<id>` room;
+ * anyone can follow a single submission through its `submission:<id>` room
+ * and a contest's scoreboard through its `contest:<id>` room, except for
+ * private contests and their submissions, which need access to the contest.
+ */
+class WebSocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach connection handlers to the Socket.IO server
+   */
+  init(io) {
+    this.io = io;
+
+    io.on('connection', (socket) => {
+      const userId = this.authenticate(socket);
+      if (userId) {
+        socket.join(`user:${userId}`);
+      }
+
+      socket.on('submission:subscribe', async (submissionId) => {
+        const submission = await Submission.findById(parseInt(submissionId)).catch(() => null);
+        if (submission && (!submission.contestId || await this.canFollowContest(submission.contestId, userId))) {
+          socket.join(`submission:${submission.id}`);
+        }
+      });
+
+      socket.on('submission:unsubscribe', (submissionId) => {
+        socket.leave(`submission:${parseInt(submissionId)}`);
+      });
+
+      socket.on('contest:subscribe', async (contestId) => {
+        if (await this.canFollowContest(parseInt(contestId), userId)) {
+          socket.join(`contest:${parseInt(contestId)}`);
+        }
+      });
+
+      socket.on('contest:unsubscribe', (contestId) => {
+        socket.leave(`contest:${parseInt(contestId)}`);
+      });
+
+      socket.on('disconnect', () => {
+        logger.debug(`Socket disconnected: ${socket.id}`);
+      });
+    });
+
+    logger.info('🔌 WebSocket service initialized');
+  }
+
+  /**
+   * Resolve the user behind a socket from the token sent in the handshake
+   */
+  authenticate(socket) {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return null;
+    }
+
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET).id;
+    } catch (error) {
+      logger.warn('Socket authentication failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a socket's user may follow a contest: anyone for a public one,
+   * moderators and users with access (Contest#hasAccess) for a private one
+   */
+  async canFollowContest(contestId, userId) {
+    try {
+      const contest = await Contest.findById(contestId);
+      if (!contest || contest.isPublic) {
+        return Boolean(contest);
+      }
+      if (!userId) {
+        return false;
+      }
+
+      const user = await User.findById(userId);
+      return Boolean(user) && (['admin', 'moderator'].includes(user.role) || await contest.hasAccess(userId));
+    } catch (error) {
+      logger.error('Checking contest access of a socket failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Emit an event to a room
+   */
+  emitToRoom(room, event, data) {
+    if (!this.io) {
+      return;
+    }
+    this.io.to(room).emit(event, data);
+  }
+
+  /**
+   * Emit an event to every socket of a user
+   */
+  emitToUser(userId, event, data) {
+    this.emitToRoom(`user:${userId}`, event, data);
+  }
+
+  /**
+   * Notify the owner and any followers of a submission about its new state.
+   * `followerView` is what followers get instead, e.g. with the result
+   * hidden by a frozen scoreboard.
+   */
+  emitSubmissionUpdate(submission, followerView = submission) {
+    this.emitToUser(submission.userId, SOCKET_EVENTS.SUBMISSION_UPDATE, submission);
+    if (!this.io) {
+      return;
+    }
+    this.io
+      .to(`submission:${submission.id}`)
+      .except(`user:${submission.userId}`)
+      .emit(SOCKET_EVENTS.SUBMISSION_UPDATE, followerView);
+  }
+
+  /**
+   * Notify the hacker and the defender about a hack's new state
+   */
+  emitHackUpdate(hack) {
+    if (!this.io) {
+      return;
+    }
+    this.io
+      .to(`user:${hack.hackerId}`)
+      .to(`user:${hack.defenderId}`)
+      .emit(SOCKET_EVENTS.HACK_UPDATE, hack);
+  }
+
+  /**
+   * Tell scoreboard viewers that a contest's standings changed; they fetch
+   * the scoreboard again, which keeps frozen results hidden
+   */
+  emitStandingsUpdate(contestId) {
+    this.emitToRoom(`contest:${contestId}`, SOCKET_EVENTS.STANDINGS_UPDATE, { contestId });
+  }
+
+  /**
+   * Tell everyone following a contest that it moved to another lifecycle
+   * state, e.g. that it started and its problems can be fetched
+   */
+  emitContestStatus(contest, previousStatus) {
+    this.emitToRoom(`contest:${contest.id}`, SOCKET_EVENTS.CONTEST_STATUS, {
+      contestId: contest.id,
+      status: contest.status,
+      previousStatus
+    });
+  }
+
+  /**
+   * Show scoreboard viewers a cell revealed by the resolver
+   */
+  emitScoreboardReveal(contestId, step) {
+    this.emitToRoom(`contest:${contestId}`, SOCKET_EVENTS.SCOREBOARD_REVEAL, { contestId, ...step });
+  }
+
+  /**
+   * Deliver an answered clarification: to everyone in the contest if it was
+   * made public, otherwise only to the participant who asked
+   */
+  emitClarification(clarification) {
+    if (clarification.isPublic) {
+      this.emitToRoom(`contest:${clarification.contestId}`, SOCKET_EVENTS.CLARIFICATION_UPDATE, clarification.toJSON());
+    } else {
+      this.emitToUser(clarification.userId, SOCKET_EVENTS.CLARIFICATION_UPDATE, clarification.toJSON(true));
+    }
+  }
+
+  /**
+   * Push a jury announcement to everyone in the contest
+   */
+  emitAnnouncement(announcement) {
+    this.emitToRoom(`contest:${announcement.contestId}`, SOCKET_EVENTS.CONTEST_ANNOUNCEMENT, announcement.toJSON());
+  }
+}
+
+module.exports = new WebSocketService();
@@ -0,0 +1,208 @@
+const {
+  SUBMISSION_STATUS,
+  CONTEST_TYPES,
+  CONTEST_STATUS,
+  PENALTY_PER_WRONG_ATTEMPT
+} = require('./constants');
+
+/**
+ * Objects of the ICPC Contest API (CLICS, 2022-07 version) built from this
+ * judge's contests, problems, participants and submissions. Contest
+ * participants are CLICS teams, whether they are users or teams here, and
+ * each submission has one judgement with the submission's ID.
+ */
+
+// Judgement types, by the submission status they stand for
+const JUDGEMENT_TYPES = [
+  { id: 'AC', name: 'Accepted', penalty: false, solved: true, status: SUBMISSION_STATUS.ACCEPTED },
+  { id: 'WA', name: 'Wrong Answer', penalty: true, solved: false, status: SUBMISSION_STATUS.WRONG_ANSWER },
+  { id: 'TLE', name: 'Time Limit Exceeded', penalty: true, solved: false, status: SUBMISSION_STATUS.TIME_LIMIT_EXCEEDED },
+  { id: 'MLE', name: 'Memory Limit Exceeded', penalty: true, solved: false, status: SUBMISSION_STATUS.MEMORY_LIMIT_EXCEEDED },
+  { id: 'OLE', name: 'Output Limit Exceeded', penalty: true, solved: false, status: SUBMISSION_STATUS.OUTPUT_LIMIT_EXCEEDED },
+  { id: 'RTE', name: 'Run-Time Error', penalty: true, solved: false, status: SUBMISSION_STATUS.RUNTIME_ERROR },
+  { id: 'CE', name: 'Compile Error', penalty: false, solved: false, status: SUBMISSION_STATUS.COMPILATION_ERROR },
+  { id: 'JE', name: 'Judging Error', penalty: false, solved: false, status: SUBMISSION_STATUS.INTERNAL_ERROR },
+  { id: 'HCK', name: 'Hacked', penalty: true, solved: false, status: SUBMISSION_STATUS.HACKED }
+];
+
+const JUDGEMENT_TYPE_BY_STATUS = new Map(JUDGEMENT_TYPES.map(type => [type.status, type.id]));
+
+/**
+ * CLICS absolute time (ISO 8601), or null
+ */
+function absTime(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+/**
+ * CLICS relative time `(-)h:mm:ss.uuu` of a duration in milliseconds
+ */
+function relTime(ms) {
+  const sign = ms < 0 ? '-' : '';
+  const abs = Math.abs(Math.round(ms));
+  const hours = Math.floor(abs / 3600000);
+  const minutes = Math.floor(abs / 60000) % 60;
+  const seconds = Math.floor(abs / 1000) % 60;
+  const millis = abs % 1000;
+  const pad = (value, length) => String(value).padStart(length, '0');
+  return `${sign}${hours}:${pad(minutes, 2)}:${pad(seconds, 2)}.${pad(millis, 3)}`;
+}
+
+/**
+ * Time of `time` on the contest clock
+ */
+function contestTime(contest, time) {
+  return relTime(new Date(time).getTime() - new Date(contest.startTime).getTime());
+}
+
+function formatContest(contest) {
+  return {
+    id: String(contest.id),
+    name: contest.title,
+    formal_name: contest.title,
+    start_time: absTime(contest.startTime),
+    duration: relTime(contest.duration * 60000),
+    scoreboard_freeze_duration: contest.getFreezeTime() ? relTime(contest.freezeDuration * 60000) : null,
+    scoreboard_type: contest.type === CONTEST_TYPES.ICPC ? 'pass-fail' : 'score',
+    penalty_time: [CONTEST_TYPES.CODEFORCES, CONTEST_TYPES.IOI].includes(contest.type) ? 0 : PENALTY_PER_WRONG_ATTEMPT
+  };
+}
+
+function formatJudgementTypes() {
+  return JUDGEMENT_TYPES.map(({ id, name, penalty, solved }) => ({ id, name, penalty, solved }));
+}
+
+function formatLanguages(languages) {
+  return languages.map(language => ({ id: language.id, name: language.name }));
+}
+
+/**
+ * @param {Object[]} problems - entries of Contest#getProblems()
+ */
+function formatProblems(problems) {
+  return problems.map(({ problem, index, points }, ordinal) => ({
+    id: String(problem.id),
+    label: index,
+    name: problem.title,
+    ordinal,
+    time_limit: problem.timeLimit / 1000,
+    max_score: points
+  }));
+}
+
+/**
+ * @param {Object[]} participants - entries of Contest#getParticipants()
+ */
+function formatTeams(participants) {
+  return participants.map(participant => ({
+    id: String(participant.id),
+    name: participant.teamName || participant.username,
+    display_name: participant.teamName || participant.username,
+    organization_id: null,
+    affiliation: participant.organization || null,
+    hidden: participant.disqualified === true
+  }));
+}
+
+/**
+ * @param {Object[]} submissions - entries of Contest#getOfficialSubmissions()
+ */
+function formatSubmissions(contest, submissions) {
+  return submissions.map(({ submission, participantId }) => ({
+    id: String(submission.id),
+    language_id: submission.language,
+    problem_id: String(submission.problemId),
+    team_id: String(participantId),
+    time: absTime(submission.submittedAt),
+    contest_time: contestTime(contest, submission.submittedAt)
+  }));
+}
+
+/**
+ * Judgements of the submissions. Pending ones have no type or end time, and
+ * neither do submissions made during a scoreboard freeze unless `full`.
+ */
+function formatJudgements(contest, submissions, { full = false } = {}) {
+  const hideAfter = !full && contest.isScoreboardFrozen() ? contest.getFreezeTime() : null;
+
+  return submissions.map(({ submission }) => {
+    const hidden = hideAfter && new Date(submission.submittedAt) >= hideAfter;
+    const type = hidden ? null : JUDGEMENT_TYPE_BY_STATUS.get(submission.status) || null;
+
+    return {
+      id: String(submission.id),
+      submission_id: String(submission.id),
+      judgement_type_id: type,
+      start_time: absTime(submission.submittedAt),
+      start_contest_time: contestTime(contest, submission.submittedAt),
+      end_time: type ? absTime(submission.judgedAt) : null,
+      end_contest_time: type && submission.judgedAt ? contestTime(contest, submission.judgedAt) : null,
+      max_run_time: type && submission.executionTime !== null && submission.executionTime !== undefined
+        ? submission.executionTime / 1000
+        : null
+    };
+  });
+}
+
+/**
+ * Contest state: when it started, froze, ended, thawed and was finalized
+ */
+function formatState(contest, now = new Date()) {
+  const freezeTime = contest.getFreezeTime();
+  const finalized = contest.status === CONTEST_STATUS.FINISHED ? contest.statusChangedAt : null;
+
+  return {
+    started: contest.hasStarted(now) ? absTime(contest.startTime) : null,
+    frozen: freezeTime && freezeTime <= now ? absTime(freezeTime) : null,
+    ended: contest.hasEnded(now) ? absTime(contest.endTime) : null,
+    thawed: absTime(contest.unfrozenAt),
+    finalized: absTime(finalized),
+    end_of_updates: finalized && (!freezeTime || contest.unfrozenAt) ? absTime(finalized) : null
+  };
+}
+
+/**
+ * @param {Object} scoreboard - result of standingsService.getScoreboard()
+ */
+function formatScoreboard(contest, scoreboard, now = new Date()) {
+  const clock = Math.min(now.getTime(), new Date(contest.endTime).getTime());
+
+  return {
+    time: absTime(now),
+    contest_time: relTime(Math.max(clock - new Date(contest.startTime).getTime(), 0)),
+    state: formatState(contest, now),
+    rows: scoreboard.rows
+      .filter(row => !row.disqualified && row.participantId)
+      .map(row => ({
+        rank: row.rank,
+        team_id: String(row.participantId),
+        score: {
+          num_solved: row.cells.filter(cell => cell.solved).length,
+          total_time: row.penalty,
+          ...(scoreboard.type !== CONTEST_TYPES.ICPC && { score: row.score })
+        },
+        problems: row.cells.map(cell => ({
+          problem_id: String(cell.problemId),
+          num_judged: cell.rejected + (cell.solved ? 1 : 0),
+          num_pending: cell.pending,
+          solved: cell.solved,
+          ...(scoreboard.type !== CONTEST_TYPES.ICPC && { score: cell.points }),
+          ...(cell.solved && { time: cell.time, first_to_solve: cell.firstToSolve })
+        }))
+      }))
+  };
+}
+
+module.exports = {
+  JUDGEMENT_TYPES,
+  relTime,
+  formatContest,
+  formatJudgementTypes,
+  formatLanguages,
+  formatProblems,
+  formatTeams,
+  formatSubmissions,
+  formatJudgements,
+  formatState,
+  formatScoreboard
+};
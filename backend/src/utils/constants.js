@@ -1 +1,332 @@
-// constants.js - Generated file
+/**
+ * Submission statuses. Final statuses double as the short verdict name that
+ * the rest of the codebase compares against (e.g. status = 'Accepted').
+ */
+const SUBMISSION_STATUS = {
+  PENDING: 'Pending',
+  JUDGING: 'Judging',
+  ACCEPTED: 'Accepted',
+  WRONG_ANSWER: 'Wrong Answer',
+  TIME_LIMIT_EXCEEDED: 'Time Limit Exceeded',
+  MEMORY_LIMIT_EXCEEDED: 'Memory Limit Exceeded',
+  OUTPUT_LIMIT_EXCEEDED: 'Output Limit Exceeded',
+  RUNTIME_ERROR: 'Runtime Error',
+  COMPILATION_ERROR: 'Compilation Error',
+  INTERNAL_ERROR: 'Internal Error',
+  HACKED: 'Hacked' // was accepted, then failed a successful hack during the contest
+};
+
+/**
+ * Statuses that mean the judge has not produced a result yet
+ */
+const PENDING_STATUSES = [SUBMISSION_STATUS.PENDING, SUBMISSION_STATUS.JUDGING];
+
+/**
+ * Problem types
+ */
+const PROBLEM_TYPES = {
+  STANDARD: 'standard', // static input -> expected output
+  INTERACTIVE: 'interactive' // solution talks to an interactor program
+};
+
+/**
+ * How a contestant's output is compared with the expected answer
+ */
+const CHECKER_TYPES = {
+  EXACT: 'exact', // line by line, ignoring trailing whitespace
+  TOKEN: 'token', // whitespace-separated tokens
+  FLOAT: 'float', // tokens, numbers compared with absolute/relative tolerance
+  CUSTOM: 'custom' // testlib-style checker program uploaded with the problem
+};
+
+/**
+ * Default tolerance for the float checker
+ */
+const FLOAT_CHECKER_DEFAULTS = {
+  absoluteError: 1e-6,
+  relativeError: 1e-6
+};
+
+/**
+ * Judge defaults
+ */
+const JUDGE_DEFAULTS = {
+  COMPILE_TIME_LIMIT: 10000, // milliseconds
+  COMPILE_MEMORY_LIMIT: 512, // MB
+  OUTPUT_LIMIT: 16 * 1024 * 1024, // bytes
+  CHECKER_TIME_LIMIT: 10000, // milliseconds
+  CHECKER_MEMORY_LIMIT: 512, // MB
+  INTERACTOR_TIME_LIMIT: 10000, // milliseconds
+  STDERR_LIMIT: 64 * 1024, // bytes
+  TEST_DATA_PREVIEW_LIMIT: 1024 // characters of input, output and answer kept per test result
+};
+
+/**
+ * Problem difficulty levels
+ */
+const PROBLEM_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+/**
+ * Kinds of problem preparation files kept with a problem
+ */
+const PROBLEM_FILE_KINDS = {
+  GENERATOR: 'generator',
+  VALIDATOR: 'validator',
+  SOLUTION: 'solution'
+};
+
+/**
+ * Expected outcome of a reference solution in a problem package
+ */
+const SOLUTION_TAGS = {
+  MAIN: 'main', // must be accepted; produces missing answers
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected' // must fail at least one test
+};
+
+/**
+ * Time a judge worker gets to build, check and store an imported problem package
+ */
+const PACKAGE_BUILD_TIMEOUT = 10 * 60 * 1000; // milliseconds
+
+/**
+ * Test data archive upload limits
+ */
+const TEST_ARCHIVE_LIMITS = {
+  MAX_FILE_SIZE: 64 * 1024 * 1024, // bytes, compressed
+  MAX_UNPACKED_SIZE: 512 * 1024 * 1024, // bytes
+  MAX_TESTS: 1000
+};
+
+/**
+ * Fake judge backend (JUDGE_BACKEND=fake) defaults, see judge/scripts/fakeJudge.js
+ */
+const FAKE_JUDGE_DEFAULTS = {
+  SEED: 'fake-judge',
+  DISTRIBUTION: 'AC:60,WA:20,TLE:8,RE:6,MLE:2,CE:4', // verdict code: weight
+  DELAY: '200-1500' // milliseconds, min-max per submission
+};
+
+/**
+ * Judge worker liveness in Redis
+ */
+const WORKER_HEARTBEAT = {
+  INTERVAL: 5000, // milliseconds
+  TTL: 15000 // milliseconds without a heartbeat before a worker counts as dead
+};
+
+/**
+ * "Run on custom input" settings
+ */
+const CUSTOM_RUN_DEFAULTS = {
+  TIME_LIMIT: 2000, // milliseconds, when no problem is given
+  MEMORY_LIMIT: 256, // MB, when no problem is given
+  OUTPUT_LIMIT: 64 * 1024, // bytes of stdout/stderr returned to the client
+  REPLY_TIMEOUT: 60000 // milliseconds to wait for a judge worker
+};
+
+/**
+ * Outcome of a hack attempt
+ */
+const HACK_STATUS = {
+  PENDING: 'Pending',
+  JUDGING: 'Judging',
+  SUCCESSFUL: 'Successful', // the hacked solution failed on the input
+  UNSUCCESSFUL: 'Unsuccessful', // the hacked solution passed
+  INVALID_INPUT: 'Invalid Input', // rejected by the problem's validator
+  SKIPPED: 'Skipped', // the solution was hacked by someone else first
+  INTERNAL_ERROR: 'Internal Error'
+};
+
+/**
+ * Contest score change for the hacker per hack outcome; other outcomes score nothing
+ */
+const HACK_POINTS = {
+  SUCCESSFUL: 100,
+  UNSUCCESSFUL: -50
+};
+
+// Largest hack input a contestant may submit (characters)
+const HACK_INPUT_LIMIT = 256 * 1024;
+
+/**
+ * Plagiarism detection settings (see utils/plagiarism.js)
+ */
+const PLAGIARISM_DEFAULTS = {
+  K_GRAM: 5, // tokens per fingerprinted k-gram
+  WINDOW: 4, // k-grams per winnowing window
+  SIMILARITY_THRESHOLD: 0.8, // Jaccard similarity of fingerprints that flags a pair
+  MIN_TOKENS: 40, // shorter sources are too generic to compare
+  COMMON_FINGERPRINT_RATIO: 0.5, // fingerprints in more of a group's sources are treated as template code
+  MIN_GROUP_FOR_COMMON: 5 // sources needed in a group before template code is filtered
+};
+
+/**
+ * Moderator review state of a flagged plagiarism cluster
+ */
+const PLAGIARISM_STATUS = {
+  OPEN: 'open',
+  CONFIRMED: 'confirmed',
+  DISMISSED: 'dismissed'
+};
+
+/**
+ * Phase of a contest relative to now, used to filter contest listings
+ */
+const CONTEST_PHASES = {
+  UPCOMING: 'upcoming',
+  RUNNING: 'running',
+  PAST: 'past'
+};
+
+/**
+ * Stored lifecycle state of a contest, in the order contests go through it
+ * (see contestLifecycleService)
+ */
+const CONTEST_STATUS = {
+  SCHEDULED: 'scheduled',
+  REGISTRATION_OPEN: 'registration_open',
+  RUNNING: 'running',
+  SYSTEM_TESTING: 'system_testing',
+  FINISHED: 'finished'
+};
+
+/**
+ * How a user got into a private contest
+ */
+const CONTEST_ACCESS_SOURCES = {
+  WHITELIST: 'whitelist',
+  ACCESS_CODE: 'access_code',
+  INVITE_LINK: 'invite_link'
+};
+
+// Most users a manager can whitelist in one request
+const CONTEST_WHITELIST_MAX = 500;
+
+/**
+ * ICPC Contest API (CLICS) endpoints of a contest, in event feed order
+ */
+const CONTEST_API_ENDPOINTS = [
+  'judgement-types',
+  'languages',
+  'problems',
+  'teams',
+  'submissions',
+  'judgements',
+  'state',
+  'scoreboard'
+];
+
+/**
+ * Contest scoring rules
+ */
+const CONTEST_TYPES = {
+  REGULAR: 'Regular', // each solved problem is worth its contest points, plus hack points
+  ICPC: 'ICPC', // solved count, then penalty time; the scoreboard freezes before the end
+  CODEFORCES: 'Codeforces', // problem points decay with the minute of acceptance, plus hack points
+  IOI: 'IOI' // best submission score per problem, partial scores count; no penalty and no hack points
+};
+
+/**
+ * Codeforces contest scoring (see standingsService)
+ */
+const CODEFORCES_SCORING = {
+  DECAY_MINUTES: 250, // a problem loses 1/250 of its maximum points per minute
+  WRONG_ATTEMPT_PENALTY: 50, // points lost per rejected attempt before acceptance
+  MIN_RATIO: 0.3 // a solved problem keeps at least 30% of its maximum
+};
+
+// Minutes before the end of an ICPC contest when its scoreboard freezes
+const ICPC_FREEZE_DURATION = 60;
+
+/**
+ * Who enters a contest: users on their own or teams
+ */
+const PARTICIPATION_MODES = {
+  INDIVIDUAL: 'individual',
+  TEAM: 'team'
+};
+
+// Most members a team can have
+const TEAM_MAX_MEMBERS = 3;
+
+/**
+ * State of an invitation to join a team
+ */
+const TEAM_INVITE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
+// Most problems a contest can have (labelled A to Z)
+const CONTEST_MAX_PROBLEMS = 26;
+
+/**
+ * Rating calculation settings (see utils/rating.js)
+ */
+const RATING_DEFAULTS = {
+  ELO_SCALE: 400, // rating difference at which the stronger participant is 10 times likelier to place above
+  MAX_RATING: 8000, // upper bound when searching for a target rating
+  TOP_ADJUSTMENT_CAP: 10 // most points inflation control takes from each participant
+};
+
+// Contest standings: time penalty per rejected attempt on a solved problem (minutes)
+const PENALTY_PER_WRONG_ATTEMPT = 20;
+
+// Verdicts that do not count as an attempt in contest standings
+const NON_PENALIZED_STATUSES = [
+  SUBMISSION_STATUS.COMPILATION_ERROR,
+  SUBMISSION_STATUS.INTERNAL_ERROR
+];
+
+/**
+ * WebSocket event names
+ */
+const SOCKET_EVENTS = {
+  SUBMISSION_UPDATE: 'submission:update',
+  HACK_UPDATE: 'hack:update',
+  STANDINGS_UPDATE: 'standings:update',
+  SCOREBOARD_REVEAL: 'scoreboard:reveal',
+  CLARIFICATION_UPDATE: 'clarification:update',
+  CONTEST_ANNOUNCEMENT: 'contest:announcement',
+  CONTEST_STATUS: 'contest:status'
+};
+
+module.exports = {
+  SUBMISSION_STATUS,
+  PENDING_STATUSES,
+  PROBLEM_TYPES,
+  CHECKER_TYPES,
+  FLOAT_CHECKER_DEFAULTS,
+  JUDGE_DEFAULTS,
+  PROBLEM_DIFFICULTIES,
+  PROBLEM_FILE_KINDS,
+  SOLUTION_TAGS,
+  PACKAGE_BUILD_TIMEOUT,
+  TEST_ARCHIVE_LIMITS,
+  FAKE_JUDGE_DEFAULTS,
+  WORKER_HEARTBEAT,
+  CUSTOM_RUN_DEFAULTS,
+  HACK_STATUS,
+  HACK_POINTS,
+  HACK_INPUT_LIMIT,
+  PLAGIARISM_DEFAULTS,
+  PLAGIARISM_STATUS,
+  CONTEST_PHASES,
+  CONTEST_STATUS,
+  CONTEST_ACCESS_SOURCES,
+  CONTEST_WHITELIST_MAX,
+  CONTEST_API_ENDPOINTS,
+  CONTEST_TYPES,
+  CODEFORCES_SCORING,
+  ICPC_FREEZE_DURATION,
+  PARTICIPATION_MODES,
+  TEAM_MAX_MEMBERS,
+  TEAM_INVITE_STATUS,
+  CONTEST_MAX_PROBLEMS,
+  RATING_DEFAULTS,
+  PENALTY_PER_WRONG_ATTEMPT,
+  NON_PENALIZED_STATUSES,
+  SOCKET_EVENTS
+};
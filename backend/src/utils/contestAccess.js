@@ -0,0 +1,25 @@
+/**
+ * SQL condition: the user in query parameter `userParam` may see the contest
+ * aliased `contest`. Same rule as Contest#hasAccess(): the contest is public,
+ * or the user was given access or takes part in it, alone or in a team. A
+ * NULL user only sees public contests.
+ *
+ * @param {string} contest - alias of the contests table in the query
+ * @param {string} userParam - placeholder of the user ID, e.g. `$2`
+ * @returns {string}
+ */
+function contestVisibleTo(contest, userParam) {
+  return `(
+    ${contest}.is_public = true
+    OR EXISTS (SELECT 1 FROM contest_access ca WHERE ca.contest_id = ${contest}.id AND ca.user_id = ${userParam})
+    OR EXISTS (
+      SELECT 1 FROM contest_participants cpa
+      WHERE cpa.contest_id = ${contest}.id
+        AND (cpa.user_id = ${userParam} OR cpa.team_id IN (SELECT team_id FROM team_members WHERE user_id = ${userParam}))
+    )
+  )`;
+}
+
+module.exports = {
+  contestVisibleTo
+};
@@ -0,0 +1,28 @@
+/**
+ * Quote a CSV field when it contains a separator, quote or line break. Text
+ * that a spreadsheet would read as a formula (starting with =, +, -, @, tab
+ * or CR) is prefixed with ' so that user-chosen names cannot inject one.
+ */
+function escapeField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a header and rows as CSV (RFC 4180, CRLF line endings)
+ *
+ * @param {string[]} header
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeField,
+  toCsv
+};
@@ -112,6 +112,7 @@ async function createTables() {
       total_problems_solved INTEGER DEFAULT 0,
       contests_participated INTEGER DEFAULT 0,
       max_rating INTEGER DEFAULT 1200,
+      role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
       is_verified BOOLEAN DEFAULT FALSE,
       is_active BOOLEAN DEFAULT TRUE,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -131,6 +132,14 @@ async function createTables() {
       difficulty VARCHAR(20) CHECK (difficulty IN ('Easy', 'Medium', 'Hard')),
       time_limit INTEGER DEFAULT 2000, -- milliseconds
       memory_limit INTEGER DEFAULT 128, -- MB
+      problem_type VARCHAR(20) DEFAULT 'standard' CHECK (problem_type IN ('standard', 'interactive')),
+      interactor_source TEXT, -- interactive problems only (testlib-style)
+      interactor_language VARCHAR(50),
+      max_queries INTEGER, -- interactive problems only, NULL for no limit
+      checker_type VARCHAR(20) DEFAULT 'exact' CHECK (checker_type IN ('exact', 'token', 'float', 'custom')),
+      checker_config JSONB DEFAULT '{}', -- e.g. float tolerances
+      checker_source TEXT, -- custom checker program (testlib-style)
+      checker_language VARCHAR(50),
       tags TEXT[], -- Array of tags
       created_by INTEGER REFERENCES users(id),
       total_submissions INTEGER DEFAULT 0,
@@ -141,18 +150,89 @@ async function createTables() {
     );
   `;
 
+  const createTestGroupsTable = `
+    CREATE TABLE IF NOT EXISTS test_groups (
+      id SERIAL PRIMARY KEY,
+      problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      points INTEGER NOT NULL DEFAULT 0,
+      dependencies TEXT[] DEFAULT '{}', -- names of groups that must also pass
+      position INTEGER NOT NULL,
+      UNIQUE(problem_id, name),
+      UNIQUE(problem_id, position)
+    );
+  `;
+
   const createTestCasesTable = `
     CREATE TABLE IF NOT EXISTS test_cases (
       id SERIAL PRIMARY KEY,
       problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE,
+      group_id INTEGER REFERENCES test_groups(id) ON DELETE SET NULL,
       input_data TEXT NOT NULL,
       expected_output TEXT NOT NULL,
       is_sample BOOLEAN DEFAULT FALSE,
       points INTEGER DEFAULT 1,
+      generator TEXT, -- generator command line the input was produced with, if any
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  const createProblemFilesTable = `
+    CREATE TABLE IF NOT EXISTS problem_files (
+      id SERIAL PRIMARY KEY,
+      problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE,
+      kind VARCHAR(20) NOT NULL CHECK (kind IN ('generator', 'validator', 'solution')),
+      name VARCHAR(100) NOT NULL,
+      language VARCHAR(50) NOT NULL,
+      source TEXT NOT NULL,
+      tag VARCHAR(20), -- solutions only: main, accepted or rejected
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(problem_id, kind, name)
+    );
+  `;
+
+  const createPackageUploadsTable = `
+    CREATE TABLE IF NOT EXISTS problem_package_uploads (
+      id SERIAL PRIMARY KEY,
+      archive BYTEA NOT NULL, -- the uploaded zip, until a judge worker takes it for import
+      uploaded_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
   `;
 
+  const createTeamsTable = `
+    CREATE TABLE IF NOT EXISTS teams (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      organization VARCHAR(255),
+      captain_id INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  const createTeamMembersTable = `
+    CREATE TABLE IF NOT EXISTS team_members (
+      id SERIAL PRIMARY KEY,
+      team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(team_id, user_id)
+    );
+  `;
+
+  const createTeamInvitesTable = `
+    CREATE TABLE IF NOT EXISTS team_invites (
+      id SERIAL PRIMARY KEY,
+      team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- the invited user
+      invited_by INTEGER REFERENCES users(id),
+      status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      responded_at TIMESTAMP
+    );
+  `;
+
   const createContestsTable = `
     CREATE TABLE IF NOT EXISTS contests (
       id SERIAL PRIMARY KEY,
@@ -163,15 +243,41 @@ async function createTables() {
       duration INTEGER NOT NULL, -- minutes
       type VARCHAR(50) DEFAULT 'Regular',
       is_public BOOLEAN DEFAULT TRUE,
+      access_code VARCHAR(64), -- lets users into a private contest
+      invite_token VARCHAR(64) UNIQUE, -- secret of the private contest's invite link
+      status VARCHAR(30) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'registration_open', 'running', 'system_testing', 'finished')),
+      status_changed_at TIMESTAMP, -- when the lifecycle scheduler last moved the contest on
       max_participants INTEGER,
       registration_start TIMESTAMP,
       registration_end TIMESTAMP,
+      hacks_enabled BOOLEAN DEFAULT FALSE,
+      participation_mode VARCHAR(20) DEFAULT 'individual' CHECK (participation_mode IN ('individual', 'team')),
+      freeze_duration INTEGER DEFAULT 60, -- minutes before the end when an ICPC scoreboard freezes, 0 for none
+      unfrozen_at TIMESTAMP, -- when the frozen scoreboard was fully revealed
+      is_rated BOOLEAN DEFAULT FALSE,
+      rated_min_rating INTEGER, -- lowest rating the contest is rated for, NULL for no bound
+      rated_max_rating INTEGER, -- highest rating the contest is rated for, NULL for no bound
+      ratings_applied_at TIMESTAMP, -- when rating changes were applied, NULL if not (or rolled back)
+      plagiarism_checked_at TIMESTAMP, -- when the post-contest plagiarism check was queued
+      system_tests_rejudge_pending BOOLEAN DEFAULT FALSE, -- hack tests were added and accepted solutions are not yet queued against them
       created_by INTEGER REFERENCES users(id),
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
   `;
 
+  const createContestAccessTable = `
+    CREATE TABLE IF NOT EXISTS contest_access (
+      id SERIAL PRIMARY KEY,
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      source VARCHAR(20) NOT NULL CHECK (source IN ('whitelist', 'access_code', 'invite_link')),
+      granted_by INTEGER REFERENCES users(id),
+      granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contest_id, user_id)
+    );
+  `;
+
   const createContestProblemsTable = `
     CREATE TABLE IF NOT EXISTS contest_problems (
       id SERIAL PRIMARY KEY,
@@ -188,11 +294,30 @@ async function createTables() {
     CREATE TABLE IF NOT EXISTS contest_participants (
       id SERIAL PRIMARY KEY,
       contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL for team entries
+      team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE, -- NULL for individual entries
       score INTEGER DEFAULT 0,
       penalty INTEGER DEFAULT 0, -- minutes
-      rank INTEGER,
+      rank INTEGER, -- NULL while disqualified
+      disqualified BOOLEAN DEFAULT FALSE, -- excluded from ranking and rating changes
+      disqualification_reason TEXT,
+      disqualified_by INTEGER REFERENCES users(id),
+      disqualified_at TIMESTAMP,
+      is_official BOOLEAN DEFAULT TRUE, -- FALSE if the user's rating was outside the rated range at registration
       registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contest_id, user_id),
+      UNIQUE(contest_id, team_id),
+      CHECK ((user_id IS NULL) <> (team_id IS NULL))
+    );
+  `;
+
+  const createVirtualParticipationsTable = `
+    CREATE TABLE IF NOT EXISTS virtual_participations (
+      id SERIAL PRIMARY KEY,
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- the user's contest minute 0
+      ends_at TIMESTAMP NOT NULL,
       UNIQUE(contest_id, user_id)
     );
   `;
@@ -203,31 +328,212 @@ async function createTables() {
       user_id INTEGER REFERENCES users(id),
       problem_id INTEGER REFERENCES problems(id),
       contest_id INTEGER REFERENCES contests(id), -- NULL for practice submissions
+      virtual_participation_id INTEGER REFERENCES virtual_participations(id) ON DELETE CASCADE, -- NULL unless virtual
+      team_id INTEGER REFERENCES teams(id), -- team the submission was made for in a team contest
       language VARCHAR(50) NOT NULL,
       code TEXT NOT NULL,
       status VARCHAR(50) DEFAULT 'Pending',
       verdict VARCHAR(100),
+      verdict_detail TEXT, -- checker message
       execution_time INTEGER, -- milliseconds
       memory_used INTEGER, -- KB
       score INTEGER DEFAULT 0,
       test_cases_passed INTEGER DEFAULT 0,
       total_test_cases INTEGER DEFAULT 0,
+      group_results JSONB, -- per test group breakdown for problems with subtasks
       error_message TEXT,
+      judged_by VARCHAR(255), -- judge worker that claimed it
       submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       judged_at TIMESTAMP
     );
   `;
 
+  const createRejudgeHistoryTable = `
+    CREATE TABLE IF NOT EXISTS rejudge_history (
+      id SERIAL PRIMARY KEY,
+      submission_id INTEGER REFERENCES submissions(id) ON DELETE CASCADE,
+      previous_status VARCHAR(50),
+      previous_verdict VARCHAR(100),
+      previous_verdict_detail TEXT,
+      previous_score INTEGER,
+      previous_test_cases_passed INTEGER,
+      previous_judged_at TIMESTAMP,
+      requested_by INTEGER REFERENCES users(id),
+      requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  const createHacksTable = `
+    CREATE TABLE IF NOT EXISTS hacks (
+      id SERIAL PRIMARY KEY,
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE,
+      submission_id INTEGER REFERENCES submissions(id) ON DELETE CASCADE, -- the hacked solution
+      hacker_id INTEGER REFERENCES users(id),
+      defender_id INTEGER REFERENCES users(id),
+      input_data TEXT NOT NULL,
+      answer_data TEXT, -- reference solution output on the input
+      status VARCHAR(50) DEFAULT 'Pending',
+      verdict VARCHAR(100), -- the hacked solution's verdict on the input
+      message TEXT,
+      added_to_tests BOOLEAN DEFAULT FALSE,
+      judged_by VARCHAR(255), -- judge worker that claimed it
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      judged_at TIMESTAMP
+    );
+  `;
+
+  const createPlagiarismClustersTable = `
+    CREATE TABLE IF NOT EXISTS plagiarism_clusters (
+      id SERIAL PRIMARY KEY,
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE,
+      language VARCHAR(50) NOT NULL,
+      submission_ids INTEGER[] NOT NULL,
+      user_ids INTEGER[] NOT NULL,
+      pairs JSONB NOT NULL, -- [{ submissionA, submissionB, similarity }]
+      max_similarity REAL NOT NULL,
+      status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'confirmed', 'dismissed')),
+      reviewed_by INTEGER REFERENCES users(id),
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  const createScoreboardRevealsTable = `
+    CREATE TABLE IF NOT EXISTS scoreboard_reveals (
+      id SERIAL PRIMARY KEY,
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      participant_id INTEGER REFERENCES contest_participants(id) ON DELETE CASCADE,
+      problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE,
+      revealed_by INTEGER REFERENCES users(id),
+      revealed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(participant_id, problem_id)
+    );
+  `;
+
+  const createClarificationsTable = `
+    CREATE TABLE IF NOT EXISTS clarifications (
+      id SERIAL PRIMARY KEY,
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      problem_id INTEGER REFERENCES problems(id) ON DELETE CASCADE, -- NULL for general questions
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL for jury announcements
+      question TEXT, -- NULL for jury announcements
+      answer TEXT,
+      is_public BOOLEAN DEFAULT FALSE,
+      answered_by INTEGER REFERENCES users(id),
+      answered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  const createClarificationReadsTable = `
+    CREATE TABLE IF NOT EXISTS clarification_reads (
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (contest_id, user_id)
+    );
+  `;
+
+  const createRatingChangesTable = `
+    CREATE TABLE IF NOT EXISTS rating_changes (
+      id SERIAL PRIMARY KEY,
+      contest_id INTEGER REFERENCES contests(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      old_rating INTEGER NOT NULL,
+      new_rating INTEGER NOT NULL,
+      delta INTEGER NOT NULL,
+      rank INTEGER NOT NULL, -- place used for the calculation, ties take the lowest place
+      seed REAL NOT NULL, -- expected place from the ratings before the contest
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(contest_id, user_id)
+    );
+  `;
+
+  // Columns and constraints added to the original tables since their first
+  // release; CREATE TABLE IF NOT EXISTS leaves an existing table as it is
+  const upgradeTables = `
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin'));
+
+    ALTER TABLE problems
+      ADD COLUMN IF NOT EXISTS problem_type VARCHAR(20) DEFAULT 'standard' CHECK (problem_type IN ('standard', 'interactive')),
+      ADD COLUMN IF NOT EXISTS interactor_source TEXT,
+      ADD COLUMN IF NOT EXISTS interactor_language VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS max_queries INTEGER,
+      ADD COLUMN IF NOT EXISTS checker_type VARCHAR(20) DEFAULT 'exact' CHECK (checker_type IN ('exact', 'token', 'float', 'custom')),
+      ADD COLUMN IF NOT EXISTS checker_config JSONB DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS checker_source TEXT,
+      ADD COLUMN IF NOT EXISTS checker_language VARCHAR(50);
+
+    ALTER TABLE test_cases
+      ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES test_groups(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS generator TEXT;
+
+    ALTER TABLE contests
+      ADD COLUMN IF NOT EXISTS access_code VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS invite_token VARCHAR(64) UNIQUE,
+      ADD COLUMN IF NOT EXISTS status VARCHAR(30) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'registration_open', 'running', 'system_testing', 'finished')),
+      ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS hacks_enabled BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS participation_mode VARCHAR(20) DEFAULT 'individual' CHECK (participation_mode IN ('individual', 'team')),
+      ADD COLUMN IF NOT EXISTS freeze_duration INTEGER DEFAULT 60,
+      ADD COLUMN IF NOT EXISTS unfrozen_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS is_rated BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS rated_min_rating INTEGER,
+      ADD COLUMN IF NOT EXISTS rated_max_rating INTEGER,
+      ADD COLUMN IF NOT EXISTS ratings_applied_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS plagiarism_checked_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS system_tests_rejudge_pending BOOLEAN DEFAULT FALSE;
+
+    ALTER TABLE contest_participants
+      ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS disqualified BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS disqualification_reason TEXT,
+      ADD COLUMN IF NOT EXISTS disqualified_by INTEGER REFERENCES users(id),
+      ADD COLUMN IF NOT EXISTS disqualified_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS is_official BOOLEAN DEFAULT TRUE;
+    -- Same names as the constraints CREATE TABLE gives them
+    CREATE UNIQUE INDEX IF NOT EXISTS contest_participants_contest_id_team_id_key
+      ON contest_participants(contest_id, team_id);
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'contest_participants_check') THEN
+        ALTER TABLE contest_participants
+          ADD CONSTRAINT contest_participants_check CHECK ((user_id IS NULL) <> (team_id IS NULL));
+      END IF;
+    END $$;
+
+    ALTER TABLE submissions
+      ADD COLUMN IF NOT EXISTS virtual_participation_id INTEGER REFERENCES virtual_participations(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams(id),
+      ADD COLUMN IF NOT EXISTS verdict_detail TEXT,
+      ADD COLUMN IF NOT EXISTS group_results JSONB,
+      ADD COLUMN IF NOT EXISTS judged_by VARCHAR(255);
+  `;
+
   const createIndexes = `
     CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
     CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
     CREATE INDEX IF NOT EXISTS idx_users_rating ON users(rating DESC);
     CREATE INDEX IF NOT EXISTS idx_problems_difficulty ON problems(difficulty);
     CREATE INDEX IF NOT EXISTS idx_problems_tags ON problems USING GIN(tags);
+    CREATE INDEX IF NOT EXISTS idx_test_cases_problem_id ON test_cases(problem_id);
     CREATE INDEX IF NOT EXISTS idx_submissions_user_id ON submissions(user_id);
     CREATE INDEX IF NOT EXISTS idx_submissions_problem_id ON submissions(problem_id);
     CREATE INDEX IF NOT EXISTS idx_submissions_status ON submissions(status);
     CREATE INDEX IF NOT EXISTS idx_submissions_contest_id ON submissions(contest_id);
+    CREATE INDEX IF NOT EXISTS idx_rejudge_history_submission_id ON rejudge_history(submission_id);
+    CREATE INDEX IF NOT EXISTS idx_hacks_contest_id ON hacks(contest_id);
+    CREATE INDEX IF NOT EXISTS idx_hacks_submission_id ON hacks(submission_id);
+    CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members(user_id);
+    CREATE INDEX IF NOT EXISTS idx_team_invites_user_id ON team_invites(user_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_team_invites_pending ON team_invites(team_id, user_id) WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_clarifications_contest_id ON clarifications(contest_id);
+    CREATE INDEX IF NOT EXISTS idx_rating_changes_user_id ON rating_changes(user_id);
+    CREATE INDEX IF NOT EXISTS idx_plagiarism_clusters_contest_id ON plagiarism_clusters(contest_id);
+    CREATE INDEX IF NOT EXISTS idx_contests_status ON contests(status);
     CREATE INDEX IF NOT EXISTS idx_contest_participants_contest_id ON contest_participants(contest_id);
     CREATE INDEX IF NOT EXISTS idx_contest_participants_score ON contest_participants(score DESC);
   `;
@@ -235,11 +541,27 @@ async function createTables() {
   try {
     await pgPool.query(createUsersTable);
     await pgPool.query(createProblemsTable);
+    await pgPool.query(createTestGroupsTable);
     await pgPool.query(createTestCasesTable);
+    await pgPool.query(createProblemFilesTable);
+    await pgPool.query(createPackageUploadsTable);
+    await pgPool.query(createTeamsTable);
+    await pgPool.query(createTeamMembersTable);
+    await pgPool.query(createTeamInvitesTable);
     await pgPool.query(createContestsTable);
+    await pgPool.query(createContestAccessTable);
     await pgPool.query(createContestProblemsTable);
     await pgPool.query(createContestParticipantsTable);
+    await pgPool.query(createVirtualParticipationsTable);
     await pgPool.query(createSubmissionsTable);
+    await pgPool.query(createRejudgeHistoryTable);
+    await pgPool.query(createHacksTable);
+    await pgPool.query(createPlagiarismClustersTable);
+    await pgPool.query(createScoreboardRevealsTable);
+    await pgPool.query(createClarificationsTable);
+    await pgPool.query(createClarificationReadsTable);
+    await pgPool.query(createRatingChangesTable);
+    await pgPool.query(upgradeTables);
     await pgPool.query(createIndexes);
 
     logger.info('✅ Database tables created successfully');
@@ -0,0 +1,220 @@
+const { getLanguage } = require('../config/languages');
+const { PLAGIARISM_DEFAULTS } = require('./constants');
+
+// Reserved words and built-in type names of the supported languages. They
+// carry a program's structure and are kept; every other identifier is
+// replaced by the same placeholder, so renaming variables changes nothing.
+const KEYWORDS = new Set([
+  // C / C++
+  'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'constexpr', 'continue',
+  'default', 'delete', 'do', 'double', 'else', 'enum', 'extern', 'float', 'for', 'goto', 'if',
+  'inline', 'int', 'long', 'namespace', 'new', 'operator', 'private', 'protected', 'public',
+  'register', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'template',
+  'this', 'throw', 'try', 'typedef', 'typename', 'union', 'unsigned', 'using', 'virtual', 'void',
+  'volatile', 'while', 'true', 'false', 'nullptr',
+  // Java
+  'abstract', 'boolean', 'byte', 'extends', 'final', 'finally', 'implements', 'import',
+  'instanceof', 'interface', 'null', 'package', 'super', 'synchronized', 'throws', 'var',
+  // Python
+  'and', 'as', 'assert', 'def', 'del', 'elif', 'except', 'from', 'global', 'in', 'is', 'lambda',
+  'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'with', 'yield', 'True', 'False',
+  // JavaScript
+  'await', 'async', 'function', 'let', 'of', 'typeof', 'undefined'
+]);
+
+const IDENTIFIER = 'ID';
+const STRING = 'STR';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Tokenizer for a language: comments, string literals, identifiers, numbers,
+ * any other single character
+ */
+function buildTokenPattern({ lineComment, blockComment }) {
+  const comments = [];
+  if (lineComment) {
+    comments.push(`${escapeRegExp(lineComment)}[^\\n]*`);
+  }
+  if (blockComment) {
+    comments.push(`${escapeRegExp(blockComment[0])}[\\s\\S]*?(?:${escapeRegExp(blockComment[1])}|$)`);
+  }
+
+  const patterns = [
+    ...(comments.length > 0 ? [`(?<comment>${comments.join('|')})`] : []),
+    '(?<string>"""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'|"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)',
+    '(?<identifier>[A-Za-z_$][\\w$]*)',
+    '\\d[\\w.]*',
+    '\\S'
+  ];
+
+  return new RegExp(patterns.join('|'), 'g');
+}
+
+/**
+ * Reduce source code to canonical tokens: comments and whitespace are
+ * dropped, identifiers other than keywords and all string literals are
+ * replaced by placeholders
+ */
+function normalize(code, language) {
+  const syntax = getLanguage(language) || { lineComment: '//', blockComment: ['/*', '*/'] };
+  const tokens = [];
+
+  for (const match of code.matchAll(buildTokenPattern(syntax))) {
+    const { comment, string, identifier } = match.groups;
+    if (comment !== undefined) {
+      continue;
+    }
+    if (string !== undefined) {
+      tokens.push(STRING);
+    } else if (identifier !== undefined) {
+      tokens.push(KEYWORDS.has(identifier) ? identifier : IDENTIFIER);
+    } else {
+      tokens.push(match[0]);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+/**
+ * Winnowing fingerprints of a token sequence: hash every k-gram and keep the
+ * smallest hash of each window of consecutive k-grams. Copied code keeps
+ * most of its fingerprints even when parts are reordered or padded.
+ */
+function fingerprint(tokens, { k = PLAGIARISM_DEFAULTS.K_GRAM, window = PLAGIARISM_DEFAULTS.WINDOW } = {}) {
+  const hashes = [];
+  for (let i = 0; i + k <= tokens.length; i++) {
+    hashes.push(hash(tokens.slice(i, i + k).join(' ')));
+  }
+
+  if (hashes.length <= window) {
+    return new Set(hashes.length > 0 ? [Math.min(...hashes)] : []);
+  }
+
+  const fingerprints = new Set();
+  for (let start = 0; start + window <= hashes.length; start++) {
+    fingerprints.add(Math.min(...hashes.slice(start, start + window)));
+  }
+
+  return fingerprints;
+}
+
+/**
+ * Jaccard similarity of two fingerprint sets, from 0 to 1
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const value of a) {
+    if (b.has(value)) {
+      shared++;
+    }
+  }
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Find clusters of similar sources among submissions to one problem in one
+ * language. Pairs at or above the threshold from different users are linked,
+ * and every connected group of linked submissions forms a cluster.
+ *
+ * @param {Object[]} submissions - { id, userId, code, language }
+ * @returns {Object[]} clusters: `submissionIds`, `userIds`, `pairs`
+ *   ({ submissionA, submissionB, similarity }) and `maxSimilarity`
+ */
+function findClusters(submissions, options = {}) {
+  const {
+    threshold = PLAGIARISM_DEFAULTS.SIMILARITY_THRESHOLD,
+    minTokens = PLAGIARISM_DEFAULTS.MIN_TOKENS,
+    commonRatio = PLAGIARISM_DEFAULTS.COMMON_FINGERPRINT_RATIO,
+    minGroupForCommon = PLAGIARISM_DEFAULTS.MIN_GROUP_FOR_COMMON
+  } = options;
+
+  const sources = submissions
+    .map(submission => ({ submission, tokens: normalize(submission.code, submission.language) }))
+    .filter(source => source.tokens.length >= minTokens)
+    .map(source => ({ submission: source.submission, fingerprints: fingerprint(source.tokens) }));
+
+  // Fingerprints most sources share are template code (fast I/O, headers)
+  if (sources.length >= minGroupForCommon) {
+    const counts = new Map();
+    sources.forEach(source => source.fingerprints.forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }));
+    sources.forEach(source => {
+      source.fingerprints = new Set(
+        [...source.fingerprints].filter(value => counts.get(value) <= sources.length * commonRatio)
+      );
+    });
+  }
+
+  // Union-find over linked sources
+  const parent = sources.map((source, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      index = parent[index];
+    }
+    return index;
+  };
+  const pairs = [];
+
+  for (let i = 0; i < sources.length; i++) {
+    for (let j = i + 1; j < sources.length; j++) {
+      if (sources[i].submission.userId === sources[j].submission.userId) {
+        continue;
+      }
+      const value = similarity(sources[i].fingerprints, sources[j].fingerprints);
+      if (value >= threshold) {
+        pairs.push({ i, j, similarity: Number(value.toFixed(3)) });
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.i);
+    const cluster = clusters.get(root) || { members: new Set(), pairs: [] };
+    cluster.members.add(pair.i).add(pair.j);
+    cluster.pairs.push({
+      submissionA: sources[pair.i].submission.id,
+      submissionB: sources[pair.j].submission.id,
+      similarity: pair.similarity
+    });
+    clusters.set(root, cluster);
+  }
+
+  return [...clusters.values()].map(cluster => {
+    const members = [...cluster.members].map(index => sources[index].submission);
+    return {
+      submissionIds: members.map(submission => submission.id),
+      userIds: [...new Set(members.map(submission => submission.userId))],
+      pairs: cluster.pairs,
+      maxSimilarity: Math.max(...cluster.pairs.map(pair => pair.similarity))
+    };
+  });
+}
+
+module.exports = {
+  normalize,
+  fingerprint,
+  similarity,
+  findClusters
+};
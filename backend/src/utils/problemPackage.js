@@ -0,0 +1,388 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { getLanguage } = require('../config/languages');
+const { checkGroups, unpackArchive } = require('./testArchive');
+const {
+  CHECKER_TYPES,
+  PROBLEM_TYPES,
+  PROBLEM_DIFFICULTIES,
+  PROBLEM_FILE_KINDS,
+  SOLUTION_TAGS,
+  TEST_ARCHIVE_LIMITS
+} = require('./constants');
+
+const MANIFEST_FILE = 'problem.json';
+
+const STATEMENT_SECTIONS = {
+  description: 'statement/description.md',
+  inputFormat: 'statement/input.md',
+  outputFormat: 'statement/output.md',
+  constraints: 'statement/constraints.md'
+};
+
+/**
+ * Problem packages.
+ *
+ * A package is a zip with a `problem.json` manifest at its root; every
+ * source, statement and test file is referenced from it by its path in the
+ * archive:
+ *
+ *   {
+ *     "title": "A + B", "slug": "a-plus-b", "difficulty": "Easy",
+ *     "timeLimit": 1000, "memoryLimit": 256, "tags": ["math"],
+ *     "type": "standard",
+ *     "statement": { "description": "statement/description.md", "inputFormat": "...",
+ *                    "outputFormat": "...", "constraints": "..." },
+ *     "checker": { "type": "custom", "source": "files/checker.cpp", "language": "cpp" },
+ *     "interactor": { "source": "files/interactor.cpp", "language": "cpp", "maxQueries": 100 },
+ *     "validator": { "source": "files/validator.cpp", "language": "cpp" },
+ *     "generators": [{ "name": "gen", "source": "files/gen.cpp", "language": "cpp" }],
+ *     "solutions": [{ "name": "main", "source": "solutions/main.cpp", "language": "cpp", "tag": "main" }],
+ *     "groups": [{ "name": "subtask1", "points": 40, "dependencies": [] }],
+ *     "tests": [
+ *       { "input": "tests/01.in", "answer": "tests/01.ans", "sample": true },
+ *       { "generator": "gen 10 3", "points": 1, "group": "subtask1" }
+ *     ]
+ *   }
+ *
+ * A test's input is either a file or the output of a generator command line
+ * (generator name followed by its arguments); with both, the file is used and
+ * the command line only kept for reference. Missing answers are produced by
+ * the main solution; interactive problems get an empty answer instead.
+ * `checker` defaults to the exact checker, `interactor` is required for
+ * interactive problems only. `difficulty` is optional. Exactly one solution
+ * must be tagged `main`.
+ */
+
+/**
+ * Read and check the structure of a package. Nothing is compiled or run here;
+ * that is done by a judge worker (judge/scripts/packageBuilder.js).
+ *
+ * @param {Buffer} buffer - the zip file
+ * @returns {Promise<Object>} `pkg` ({ manifest, files }, files keyed by path) and `errors`
+ */
+async function readPackage(buffer) {
+  const errors = [];
+
+  const unpacked = await unpackArchive(buffer, TEST_ARCHIVE_LIMITS.MAX_UNPACKED_SIZE);
+  if (unpacked.error) {
+    return { pkg: null, errors: [unpacked.error] };
+  }
+
+  const files = {};
+  unpacked.files.forEach(entry => {
+    files[entry.name] = entry.data;
+  });
+
+  if (files[MANIFEST_FILE] === undefined) {
+    return { pkg: null, errors: [`${MANIFEST_FILE} is missing`] };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files[MANIFEST_FILE]);
+  } catch (error) {
+    return { pkg: null, errors: [`${MANIFEST_FILE} is not valid JSON: ${error.message}`] };
+  }
+
+  checkManifest(manifest, files, errors);
+
+  return { pkg: { manifest, files }, errors };
+}
+
+/**
+ * Check a program reference ({ source, language })
+ */
+function checkProgram(program, label, files, errors) {
+  if (!program || typeof program !== 'object') {
+    errors.push(`${label} is missing`);
+    return;
+  }
+  if (files[program.source] === undefined) {
+    errors.push(`${label} source ${program.source} is not in the package`);
+  }
+  if (!getLanguage(program.language)) {
+    errors.push(`${label} has unsupported language ${program.language}`);
+  }
+}
+
+/**
+ * Check the manifest and that every file it refers to is present
+ */
+function checkManifest(manifest, files, errors) {
+  if (typeof manifest.title !== 'string' || manifest.title.trim().length < 3) {
+    errors.push('Title must be at least 3 characters');
+  }
+  if (typeof manifest.slug !== 'string' || !/^[a-z0-9-]+$/.test(manifest.slug)) {
+    errors.push('Slug must contain only lowercase letters, digits and hyphens');
+  }
+  if (manifest.difficulty !== undefined && !PROBLEM_DIFFICULTIES.includes(manifest.difficulty)) {
+    errors.push(`Difficulty must be one of ${PROBLEM_DIFFICULTIES.join(', ')}`);
+  }
+  ['timeLimit', 'memoryLimit'].forEach(field => {
+    if (manifest[field] !== undefined && !(Number.isInteger(manifest[field]) && manifest[field] > 0)) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  });
+
+  Object.entries(manifest.statement || {}).forEach(([section, file]) => {
+    if (!STATEMENT_SECTIONS[section]) {
+      errors.push(`Unknown statement section ${section}`);
+    } else if (files[file] === undefined) {
+      errors.push(`Statement file ${file} is not in the package`);
+    }
+  });
+
+  const type = manifest.type || PROBLEM_TYPES.STANDARD;
+  if (!Object.values(PROBLEM_TYPES).includes(type)) {
+    errors.push(`Unknown problem type ${type}`);
+  }
+  if (type === PROBLEM_TYPES.INTERACTIVE) {
+    checkProgram(manifest.interactor, 'Interactor', files, errors);
+  }
+
+  const checker = manifest.checker || {};
+  const checkerType = checker.type || CHECKER_TYPES.EXACT;
+  if (!Object.values(CHECKER_TYPES).includes(checkerType)) {
+    errors.push(`Unknown checker type ${checkerType}`);
+  }
+  if (checkerType === CHECKER_TYPES.CUSTOM) {
+    checkProgram(checker, 'Checker', files, errors);
+  }
+
+  checkProgram(manifest.validator, 'Validator', files, errors);
+
+  const generators = Array.isArray(manifest.generators) ? manifest.generators : [];
+  const generatorNames = [];
+  generators.forEach((generator, index) => {
+    if (!generator || !/^[A-Za-z0-9_-]+$/.test(generator.name || '')) {
+      errors.push(`Generator ${index + 1} needs a name of letters, digits, '-' and '_'`);
+      return;
+    }
+    if (generatorNames.includes(generator.name)) {
+      errors.push(`Generator ${generator.name} is defined more than once`);
+    }
+    checkProgram(generator, `Generator ${generator.name}`, files, errors);
+    generatorNames.push(generator.name);
+  });
+
+  const solutions = Array.isArray(manifest.solutions) ? manifest.solutions : [];
+  const solutionNames = [];
+  solutions.forEach((solution, index) => {
+    if (!solution || !/^[A-Za-z0-9_-]+$/.test(solution.name || '')) {
+      errors.push(`Solution ${index + 1} needs a name of letters, digits, '-' and '_'`);
+      return;
+    }
+    if (solutionNames.includes(solution.name)) {
+      errors.push(`Solution ${solution.name} is defined more than once`);
+    }
+    checkProgram(solution, `Solution ${solution.name}`, files, errors);
+    if (!Object.values(SOLUTION_TAGS).includes(solution.tag)) {
+      errors.push(`Solution ${solution.name} must be tagged ${Object.values(SOLUTION_TAGS).join(', ')}`);
+    }
+    solutionNames.push(solution.name);
+  });
+  if (solutions.filter(solution => solution && solution.tag === SOLUTION_TAGS.MAIN).length !== 1) {
+    errors.push('Exactly one solution must be tagged main');
+  }
+
+  const groups = Array.isArray(manifest.groups) ? manifest.groups : [];
+  const groupNames = [];
+  checkGroups(groups, groupNames, errors);
+
+  const tests = Array.isArray(manifest.tests) ? manifest.tests : [];
+  if (tests.length === 0) {
+    errors.push('Package contains no tests');
+  }
+  if (tests.length > TEST_ARCHIVE_LIMITS.MAX_TESTS) {
+    errors.push(`Package contains more than ${TEST_ARCHIVE_LIMITS.MAX_TESTS} tests`);
+  }
+
+  tests.forEach((test, index) => {
+    const number = index + 1;
+    if (!test || typeof test !== 'object') {
+      errors.push(`Test ${number} is not an object`);
+      return;
+    }
+    if (test.input === undefined && test.generator === undefined) {
+      errors.push(`Test ${number} needs an input file or a generator command line`);
+    }
+    if (test.input !== undefined && files[test.input] === undefined) {
+      errors.push(`Test ${number} input ${test.input} is not in the package`);
+    }
+    if (test.input === undefined && test.generator !== undefined) {
+      const [generatorName] = String(test.generator).trim().split(/\s+/);
+      if (!generatorNames.includes(generatorName)) {
+        errors.push(`Test ${number} uses unknown generator ${generatorName}`);
+      }
+    }
+    if (test.answer !== undefined && files[test.answer] === undefined) {
+      errors.push(`Test ${number} answer ${test.answer} is not in the package`);
+    }
+    if (test.points !== undefined && !(Number.isInteger(test.points) && test.points >= 0)) {
+      errors.push(`Test ${number} must have a non-negative integer number of points`);
+    }
+    if (test.group && !groupNames.includes(test.group)) {
+      errors.push(`Test ${number} belongs to unknown group ${test.group}`);
+    }
+  });
+}
+
+/**
+ * Fields for Problem.create() from a checked package
+ */
+function toProblemData({ manifest, files }) {
+  const statement = manifest.statement || {};
+  const checker = manifest.checker || {};
+  const isCustomChecker = checker.type === CHECKER_TYPES.CUSTOM;
+  const interactor = manifest.type === PROBLEM_TYPES.INTERACTIVE ? manifest.interactor : null;
+
+  return {
+    title: manifest.title.trim(),
+    slug: manifest.slug,
+    description: statement.description ? files[statement.description] : '',
+    inputFormat: statement.inputFormat ? files[statement.inputFormat] : null,
+    outputFormat: statement.outputFormat ? files[statement.outputFormat] : null,
+    constraints: statement.constraints ? files[statement.constraints] : null,
+    difficulty: manifest.difficulty,
+    timeLimit: manifest.timeLimit,
+    memoryLimit: manifest.memoryLimit,
+    tags: manifest.tags,
+    problemType: manifest.type,
+    checkerType: checker.type,
+    checkerConfig: checker.config,
+    checkerSource: isCustomChecker ? files[checker.source] : null,
+    checkerLanguage: isCustomChecker ? checker.language : null,
+    interactorSource: interactor ? files[interactor.source] : null,
+    interactorLanguage: interactor ? interactor.language : null,
+    maxQueries: interactor ? interactor.maxQueries : null
+  };
+}
+
+/**
+ * Why a stored problem cannot be written as a package that imports again,
+ * or null: a package needs a validator and a main solution, which only
+ * problems prepared through a package have
+ *
+ * @param {Object[]} problemFiles - from Problem#getFiles()
+ * @returns {string|null}
+ */
+function getExportBlocker(problemFiles) {
+  if (!problemFiles.some(file => file.kind === PROBLEM_FILE_KINDS.VALIDATOR)) {
+    return 'Problem has no validator';
+  }
+  if (!problemFiles.some(file => file.kind === PROBLEM_FILE_KINDS.SOLUTION && file.tag === SOLUTION_TAGS.MAIN)) {
+    return 'Problem has no main solution';
+  }
+  return null;
+}
+
+/**
+ * File name of a program's source in a package, e.g. ("gen", "cpp") -> "gen.cpp"
+ */
+function sourceFileName(name, language) {
+  const languageConfig = getLanguage(language);
+  return `${name}${languageConfig ? path.extname(languageConfig.sourceFile) : '.txt'}`;
+}
+
+/**
+ * Build a package from a stored problem
+ *
+ * @param {Object} problem - Problem instance
+ * @param {Object[]} testCases - from Problem#getTestCases()
+ * @param {Object[]} testGroups - from Problem#getTestGroups()
+ * @param {Object[]} problemFiles - from Problem#getFiles()
+ * @returns {Buffer} the zip file
+ */
+function writePackage(problem, testCases, testGroups, problemFiles) {
+  const zip = new AdmZip();
+  const addFile = (name, content) => zip.addFile(name, Buffer.from(content, 'utf8'));
+
+  const manifest = {
+    title: problem.title,
+    slug: problem.slug,
+    difficulty: problem.difficulty,
+    timeLimit: problem.timeLimit,
+    memoryLimit: problem.memoryLimit,
+    tags: problem.tags,
+    type: problem.problemType,
+    statement: {},
+    checker: { type: problem.checkerType, config: problem.checkerConfig }
+  };
+
+  Object.entries(STATEMENT_SECTIONS).forEach(([section, file]) => {
+    if (problem[section]) {
+      manifest.statement[section] = file;
+      addFile(file, problem[section]);
+    }
+  });
+
+  if (problem.checkerType === CHECKER_TYPES.CUSTOM) {
+    const file = `files/${sourceFileName('checker', problem.checkerLanguage)}`;
+    Object.assign(manifest.checker, { source: file, language: problem.checkerLanguage });
+    addFile(file, problem.checkerSource);
+  }
+
+  if (problem.isInteractive) {
+    const file = `files/${sourceFileName('interactor', problem.interactorLanguage)}`;
+    manifest.interactor = { source: file, language: problem.interactorLanguage, maxQueries: problem.maxQueries };
+    addFile(file, problem.interactorSource);
+  }
+
+  manifest.generators = [];
+  manifest.solutions = [];
+  problemFiles.forEach(file => {
+    const folder = file.kind === PROBLEM_FILE_KINDS.SOLUTION ? 'solutions' : 'files';
+    const fileName = `${folder}/${sourceFileName(file.name, file.language)}`;
+    const entry = { name: file.name, source: fileName, language: file.language };
+    addFile(fileName, file.source);
+
+    if (file.kind === PROBLEM_FILE_KINDS.VALIDATOR) {
+      manifest.validator = { source: fileName, language: file.language };
+    } else if (file.kind === PROBLEM_FILE_KINDS.GENERATOR) {
+      manifest.generators.push(entry);
+    } else {
+      manifest.solutions.push({ ...entry, tag: file.tag });
+    }
+  });
+
+  manifest.groups = testGroups.map(group => ({
+    name: group.name,
+    points: group.points,
+    dependencies: group.dependencies || []
+  }));
+
+  const groupNames = new Map(testGroups.map(group => [group.id, group.name]));
+  const width = Math.max(2, String(testCases.length).length);
+
+  manifest.tests = testCases.map((testCase, index) => {
+    const number = String(index + 1).padStart(width, '0');
+    addFile(`tests/${number}.in`, testCase.input_data);
+    addFile(`tests/${number}.ans`, testCase.expected_output);
+
+    const test = {
+      input: `tests/${number}.in`,
+      answer: `tests/${number}.ans`,
+      sample: testCase.is_sample,
+      points: testCase.points
+    };
+    if (testCase.group_id && groupNames.has(testCase.group_id)) {
+      test.group = groupNames.get(testCase.group_id);
+    }
+    if (testCase.generator) {
+      test.generator = testCase.generator;
+    }
+    return test;
+  });
+
+  addFile(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+  return zip.toBuffer();
+}
+
+module.exports = {
+  readPackage,
+  toProblemData,
+  getExportBlocker,
+  writePackage
+};
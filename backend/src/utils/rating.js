@@ -0,0 +1,108 @@
+const { RATING_DEFAULTS } = require('./constants');
+
+/**
+ * Probability that a participant rated `a` places above one rated `b` (Elo)
+ */
+function winProbability(a, b) {
+  return 1 / (1 + Math.pow(10, (b - a) / RATING_DEFAULTS.ELO_SCALE));
+}
+
+/**
+ * Expected place of a participant rated `rating` among the others:
+ * 1 plus the chance of each other participant placing above them
+ */
+function expectedRank(ratings, rating, self) {
+  let seed = 1;
+  ratings.forEach((other, i) => {
+    if (i !== self) {
+      seed += winProbability(other, rating);
+    }
+  });
+  return seed;
+}
+
+/**
+ * Rating a participant would need for an expected place of `rank`
+ */
+function ratingForRank(ratings, rank, self) {
+  let low = 1;
+  let high = RATING_DEFAULTS.MAX_RATING;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (expectedRank(ratings, mid, self) < rank) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Codeforces rating changes for one contest.
+ *
+ * Each participant's expected place (seed) comes from everyone's current
+ * ratings. Their target rating is the one whose seed is the geometric mean
+ * of their seed and actual place, and the delta moves half way to it.
+ * Deltas are then shifted so they sum to slightly below zero, and the top
+ * rated participants' deltas so they do not sum above zero (inflation control).
+ *
+ * @param {Object[]} participants - { userId, rating, rank }; tied participants share a rank
+ * @returns {Object[]} { userId, oldRating, newRating, delta, rank, seed }
+ */
+function calculateRatingChanges(participants) {
+  const n = participants.length;
+  if (n === 0) {
+    return [];
+  }
+
+  // Tied participants all take the lowest place of their tie
+  const places = new Map();
+  participants.forEach(participant => {
+    places.set(participant.rank, (places.get(participant.rank) || 0) + 1);
+  });
+  const lastPlace = new Map();
+  let placed = 0;
+  [...places.keys()].sort((a, b) => a - b).forEach(rank => {
+    placed += places.get(rank);
+    lastPlace.set(rank, placed);
+  });
+
+  const ratings = participants.map(participant => participant.rating);
+
+  const results = participants.map((participant, i) => {
+    const place = lastPlace.get(participant.rank);
+    const seed = expectedRank(ratings, participant.rating, i);
+    const needRating = ratingForRank(ratings, Math.sqrt(place * seed), i);
+    return {
+      userId: participant.userId,
+      oldRating: participant.rating,
+      rank: place,
+      seed: Math.round(seed * 100) / 100,
+      delta: Math.trunc((needRating - participant.rating) / 2)
+    };
+  });
+
+  // Total change slightly negative, so ratings do not inflate over time
+  const sum = results.reduce((total, result) => total + result.delta, 0);
+  const shift = Math.trunc(-sum / n) - 1;
+  results.forEach(result => { result.delta += shift; });
+
+  // The strongest participants should not gain rating as a group
+  const byRating = [...results].sort((a, b) => b.oldRating - a.oldRating);
+  const topCount = Math.min(n, 4 * Math.round(Math.sqrt(n)));
+  const topSum = byRating.slice(0, topCount).reduce((total, result) => total + result.delta, 0);
+  const topShift = Math.min(Math.max(Math.trunc(-topSum / topCount), -RATING_DEFAULTS.TOP_ADJUSTMENT_CAP), 0);
+  results.forEach(result => { result.delta += topShift; });
+
+  return results.map(result => ({
+    ...result,
+    newRating: Math.max(result.oldRating + result.delta, 0)
+  }));
+}
+
+module.exports = {
+  winProbability,
+  expectedRank,
+  calculateRatingChanges
+};
@@ -0,0 +1,232 @@
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const AdmZip = require('adm-zip');
+const { TEST_ARCHIVE_LIMITS } = require('./constants');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const TEST_FILE_PATTERN = /^(\d+)\.(in|ans)$/;
+const MANIFEST_FILE = 'manifest.json';
+
+// Zip compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Unpack the files of a zip as text. Entries are inflated on the libuv
+ * thread pool rather than the event loop, and the unpacked size is counted
+ * as the data comes out instead of trusting the sizes in the headers, so a
+ * zip bomb stops at `maxSize`.
+ *
+ * @param {Buffer} buffer - the zip file
+ * @param {number} maxSize - bytes allowed once unpacked
+ * @returns {Promise<Object>} `files` ({ name, data }) or an `error` message
+ */
+async function unpackArchive(buffer, maxSize) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+  } catch (error) {
+    return { files: [], error: `Invalid zip archive: ${error.message}` };
+  }
+
+  const files = [];
+  let remaining = maxSize;
+
+  for (const entry of entries) {
+    if (entry.header.encrypted) {
+      return { files: [], error: `${entry.entryName} is encrypted` };
+    }
+
+    let data = entry.getCompressedData();
+    if (entry.header.method === DEFLATED) {
+      try {
+        data = await inflateRaw(data, { maxOutputLength: Math.max(remaining, 1) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          return { files: [], error: 'Archive is too large when unpacked' };
+        }
+        return { files: [], error: `Could not unpack ${entry.entryName}: ${error.message}` };
+      }
+    } else if (entry.header.method !== STORED) {
+      return { files: [], error: `${entry.entryName} uses an unsupported compression method` };
+    }
+
+    if (data.length > remaining) {
+      return { files: [], error: 'Archive is too large when unpacked' };
+    }
+    remaining -= data.length;
+    files.push({ name: entry.entryName, data: data.toString('utf8') });
+  }
+
+  return { files, error: null };
+}
+
+/**
+ * Read a zip of test data.
+ *
+ * Tests are `NN.in` / `NN.ans` pairs, numbered from 1 without gaps, and are
+ * imported in number order. They may sit at the archive root or in a single
+ * directory. An optional `manifest.json` next to them describes test groups
+ * and per-test settings:
+ *
+ *   {
+ *     "groups": [{ "name": "subtask1", "points": 40, "dependencies": [] }],
+ *     "tests": { "1": { "sample": true, "points": 0, "group": "subtask1" } }
+ *   }
+ *
+ * Tests missing from the manifest are non-sample, worth 1 point and ungrouped.
+ *
+ * @param {Buffer} buffer - the zip file
+ * @param {string[]} [existingGroups] - names of groups the problem keeps, which
+ *   the manifest may refer to but not redefine
+ * @returns {Promise<Object>} `tests` ({ number, inputData, expectedOutput, isSample, points, group }),
+ *   `groups`, and `errors` / `warnings` as lists of messages
+ */
+async function parseTestArchive(buffer, existingGroups = []) {
+  const errors = [];
+  const warnings = [];
+
+  const unpacked = await unpackArchive(buffer, TEST_ARCHIVE_LIMITS.MAX_UNPACKED_SIZE);
+  if (unpacked.error) {
+    return { tests: [], groups: [], errors: [unpacked.error], warnings };
+  }
+
+  const files = new Map(); // test number -> { in, ans }
+  let manifest = null;
+
+  for (const entry of unpacked.files) {
+    const name = path.posix.basename(entry.name);
+
+    if (entry.name.startsWith('__MACOSX/') || name.startsWith('.')) {
+      continue;
+    }
+
+    if (name === MANIFEST_FILE) {
+      try {
+        manifest = JSON.parse(entry.data);
+      } catch (error) {
+        errors.push(`${MANIFEST_FILE} is not valid JSON: ${error.message}`);
+      }
+      continue;
+    }
+
+    const match = name.match(TEST_FILE_PATTERN);
+    if (!match) {
+      warnings.push(`Ignored ${entry.name}`);
+      continue;
+    }
+
+    const number = parseInt(match[1]);
+    const pair = files.get(number) || {};
+    if (pair[match[2]] !== undefined) {
+      errors.push(`Test ${number} has more than one .${match[2]} file`);
+      continue;
+    }
+    pair[match[2]] = entry.data;
+    files.set(number, pair);
+  }
+
+  const numbers = [...files.keys()].sort((a, b) => a - b);
+
+  if (numbers.length === 0) {
+    errors.push('Archive contains no tests');
+  }
+  if (numbers.length > TEST_ARCHIVE_LIMITS.MAX_TESTS) {
+    errors.push(`Archive contains more than ${TEST_ARCHIVE_LIMITS.MAX_TESTS} tests`);
+  }
+
+  numbers.forEach((number, index) => {
+    if (number !== index + 1) {
+      errors.push(`Test ${index + 1} is missing, tests must be numbered from 1 without gaps`);
+    }
+    const pair = files.get(number);
+    if (pair.in === undefined) {
+      errors.push(`Test ${number} has no .in file`);
+    }
+    if (pair.ans === undefined) {
+      errors.push(`Test ${number} has no .ans file`);
+    }
+  });
+
+  const { groups, settings } = readManifest(manifest || {}, numbers, existingGroups, errors);
+
+  const tests = numbers.map(number => ({
+    number,
+    inputData: files.get(number).in,
+    expectedOutput: files.get(number).ans,
+    isSample: settings[number]?.sample === true,
+    points: settings[number]?.points ?? 1,
+    group: settings[number]?.group || null
+  }));
+
+  return { tests, groups, errors: [...new Set(errors)], warnings };
+}
+
+/**
+ * Check test group definitions, adding their names to `groupNames`.
+ * A group may only depend on groups already in `groupNames` or defined before it.
+ */
+function checkGroups(groups, groupNames, errors) {
+  groups.forEach((group, index) => {
+    if (!group || typeof group.name !== 'string' || group.name.length === 0) {
+      errors.push(`Group ${index + 1} has no name`);
+      return;
+    }
+    if (groupNames.includes(group.name)) {
+      errors.push(`Group ${group.name} is defined more than once`);
+    }
+    if (group.points !== undefined && !(Number.isInteger(group.points) && group.points >= 0)) {
+      errors.push(`Group ${group.name} must have a non-negative integer number of points`);
+    }
+    const dependencies = group.dependencies === undefined ? [] : group.dependencies;
+    if (!Array.isArray(dependencies) || !dependencies.every(dependency => typeof dependency === 'string')) {
+      errors.push(`Group ${group.name} dependencies must be a list of group names`);
+      groupNames.push(group.name);
+      return;
+    }
+    // Groups are judged in order, so dependencies must come earlier
+    dependencies.forEach(dependency => {
+      if (!groupNames.includes(dependency)) {
+        errors.push(`Group ${group.name} depends on ${dependency}, which is not defined before it`);
+      }
+    });
+    groupNames.push(group.name);
+  });
+}
+
+/**
+ * Check the manifest against the tests found in the archive
+ */
+function readManifest(manifest, numbers, existingGroups, errors) {
+  const groups = Array.isArray(manifest.groups) ? manifest.groups : [];
+  const testEntries = manifest.tests && typeof manifest.tests === 'object' ? Object.entries(manifest.tests) : [];
+  const groupNames = [...existingGroups];
+  const settings = {};
+
+  checkGroups(groups, groupNames, errors);
+
+  testEntries.forEach(([key, test]) => {
+    const number = parseInt(key);
+    if (!numbers.includes(number) || !test || typeof test !== 'object') {
+      errors.push(`${MANIFEST_FILE} refers to test ${key}, which is not in the archive`);
+      return;
+    }
+    settings[number] = test;
+    if (test.points !== undefined && !(Number.isInteger(test.points) && test.points >= 0)) {
+      errors.push(`Test ${number} must have a non-negative integer number of points`);
+    }
+    if (test.group && !groupNames.includes(test.group)) {
+      errors.push(`Test ${number} belongs to unknown group ${test.group}`);
+    }
+  });
+
+  return { groups, settings };
+}
+
+module.exports = {
+  unpackArchive,
+  parseTestArchive,
+  checkGroups
+};
@@ -0,0 +1,107 @@
+const {
+  CHECKER_VERDICTS,
+  createChecker,
+  parseTestlibResult,
+  checkExact,
+  checkTokens,
+  checkFloats
+} = require('../../judge/scripts/checker');
+const { CHECKER_TYPES } = require('../../src/utils/constants');
+
+describe('checkExact', () => {
+  it('ignores trailing whitespace and trailing blank lines', () => {
+    expect(checkExact('a \r\nb\n\n', 'a\nb')).toEqual({ verdict: CHECKER_VERDICTS.OK, message: 'ok 2 lines' });
+  });
+
+  it('compares whitespace inside a line', () => {
+    expect(checkExact('a b', 'a  b')).toEqual({
+      verdict: CHECKER_VERDICTS.WRONG_ANSWER,
+      message: "wrong answer 1st lines differ - expected: 'a  b', found: 'a b'"
+    });
+  });
+});
+
+describe('checkTokens', () => {
+  it('ignores how tokens are separated', () => {
+    expect(checkTokens('1  2\n3\n', '1 2 3')).toEqual({ verdict: CHECKER_VERDICTS.OK, message: 'ok 3 tokens' });
+  });
+
+  it('reports the first differing token', () => {
+    expect(checkTokens('1 2 4', '1 2 3')).toEqual({
+      verdict: CHECKER_VERDICTS.WRONG_ANSWER,
+      message: "wrong answer 3rd tokens differ - expected: '3', found: '4'"
+    });
+  });
+
+  it('reports a missing or extra token', () => {
+    expect(checkTokens('1 2', '1 2 3').message).toBe('wrong answer expected 3 tokens, found 2');
+    expect(checkTokens('1 2 3 4', '1 2 3').message).toBe('wrong answer expected 3 tokens, found 4');
+  });
+
+  it('shortens long tokens in the message', () => {
+    const { message } = checkTokens('b'.repeat(100), 'a'.repeat(100));
+
+    expect(message).toBe(`wrong answer 1st tokens differ - expected: '${'a'.repeat(64)}...', found: '${'b'.repeat(64)}...'`);
+  });
+});
+
+describe('checkFloats', () => {
+  it('accepts numbers within the default tolerance and compares other tokens exactly', () => {
+    expect(checkFloats('1.0000001 abc', '1 abc')).toEqual({ verdict: CHECKER_VERDICTS.OK, message: 'ok 2 numbers' });
+    expect(checkFloats('1.0000001 abd', '1 abc').verdict).toBe(CHECKER_VERDICTS.WRONG_ANSWER);
+  });
+
+  it('reports the error of a number outside the tolerance', () => {
+    expect(checkFloats('1.5', '1')).toEqual({
+      verdict: CHECKER_VERDICTS.WRONG_ANSWER,
+      message: "wrong answer 1st numbers differ - expected: '1', found: '1.5', error = '0.5'"
+    });
+  });
+
+  it('accepts a number within either the absolute or the relative error', () => {
+    expect(checkFloats('0.15', '0.1', { absoluteError: 0.1, relativeError: 0 }).verdict).toBe(CHECKER_VERDICTS.OK);
+    expect(checkFloats('1000000.5', '1000000', { absoluteError: 0, relativeError: 1e-6 }).verdict).toBe(CHECKER_VERDICTS.OK);
+    expect(checkFloats('1000002', '1000000', { absoluteError: 1, relativeError: 1e-6 }).verdict).toBe(CHECKER_VERDICTS.WRONG_ANSWER);
+  });
+
+  it('reads signs, leading dots and exponents', () => {
+    expect(checkFloats('-.5 1e3 +2.', '-0.5 1000 2').verdict).toBe(CHECKER_VERDICTS.OK);
+  });
+
+  it('rejects a non-number where a number is expected', () => {
+    expect(checkFloats('x', '1')).toEqual({
+      verdict: CHECKER_VERDICTS.WRONG_ANSWER,
+      message: "wrong answer 1st numbers differ - expected: '1', found: 'x'"
+    });
+  });
+});
+
+describe('parseTestlibResult', () => {
+  it('maps testlib exit codes to verdicts', () => {
+    expect(parseTestlibResult({ exitCode: 0, stderr: 'ok fine\n', stdout: '' }))
+      .toEqual({ verdict: CHECKER_VERDICTS.OK, message: 'ok fine' });
+    expect(parseTestlibResult({ exitCode: 2, stderr: 'wrong output format', stdout: '' }).verdict)
+      .toBe(CHECKER_VERDICTS.WRONG_ANSWER);
+    expect(parseTestlibResult({ exitCode: 7, stderr: '', stdout: '' }).verdict).toBe(CHECKER_VERDICTS.FAIL);
+  });
+
+  it('fails a judge program that exceeded its limits', () => {
+    expect(parseTestlibResult({ exitCode: 0, timedOut: true, stderr: '', stdout: '' })).toEqual({
+      verdict: CHECKER_VERDICTS.FAIL,
+      message: 'judge program crashed or exceeded its limits'
+    });
+  });
+});
+
+describe('createChecker', () => {
+  it('uses the float checker with the problem configuration', async () => {
+    const check = await createChecker({ type: CHECKER_TYPES.FLOAT, config: { absoluteError: 0.5, relativeError: 0 } });
+
+    expect((await check('', '1.4', '1')).verdict).toBe(CHECKER_VERDICTS.OK);
+    expect((await check('', '1.6', '1')).verdict).toBe(CHECKER_VERDICTS.WRONG_ANSWER);
+  });
+
+  it('rejects an unknown checker type', async () => {
+    await expect(createChecker({ type: 'magic' })).rejects.toThrow('Unknown checker type: magic');
+  });
+});
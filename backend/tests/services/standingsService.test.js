@@ -0,0 +1,24 @@
+const { codeforcesPoints } = require('../../src/services/standingsService');
+
+describe('codeforcesPoints', () => {
+  it('gives the maximum for an acceptance at the start without rejected attempts', () => {
+    expect(codeforcesPoints(500, 0, 0)).toBe(500);
+  });
+
+  it('takes 1/250 of the maximum per minute, rounded down', () => {
+    expect(codeforcesPoints(500, 1, 0)).toBe(498);
+    expect(codeforcesPoints(500, 10, 0)).toBe(480);
+    expect(codeforcesPoints(1000, 7, 0)).toBe(972);
+  });
+
+  it('takes 50 points per rejected attempt', () => {
+    expect(codeforcesPoints(500, 10, 2)).toBe(380);
+    expect(codeforcesPoints(1000, 7, 1)).toBe(922);
+  });
+
+  it('keeps at least 30% of the maximum', () => {
+    expect(codeforcesPoints(500, 200, 3)).toBe(150);
+    expect(codeforcesPoints(500, 0, 20)).toBe(150);
+    expect(codeforcesPoints(1000, 300, 0)).toBe(300);
+  });
+});
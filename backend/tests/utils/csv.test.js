@@ -0,0 +1,44 @@
+const { escapeField, toCsv } = require('../../src/utils/csv');
+
+describe('escapeField', () => {
+  it('leaves plain values as they are', () => {
+    expect(escapeField('tourist')).toBe('tourist');
+    expect(escapeField(42)).toBe('42');
+    expect(escapeField(true)).toBe('true');
+  });
+
+  it('writes missing values as empty fields', () => {
+    expect(escapeField(null)).toBe('');
+    expect(escapeField(undefined)).toBe('');
+  });
+
+  it('quotes separators, quotes and line breaks', () => {
+    expect(escapeField('a,b')).toBe('"a,b"');
+    expect(escapeField('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeField('two\nlines')).toBe('"two\nlines"');
+  });
+
+  it('prefixes text a spreadsheet would read as a formula', () => {
+    expect(escapeField('=SUM(A1:A9)')).toBe("'=SUM(A1:A9)");
+    expect(escapeField('+1')).toBe("'+1");
+    expect(escapeField('-team')).toBe("'-team");
+    expect(escapeField('@cmd')).toBe("'@cmd");
+    expect(escapeField('\tname')).toBe("'\tname");
+    expect(escapeField('\rname')).toBe("\"'\rname\"");
+  });
+
+  it('quotes a prefixed formula that also contains quotes or separators', () => {
+    expect(escapeField('=HYPERLINK("http://x","y")')).toBe('"\'=HYPERLINK(""http://x"",""y"")"');
+  });
+
+  it('does not prefix numbers', () => {
+    expect(escapeField(-15)).toBe('-15');
+  });
+});
+
+describe('toCsv', () => {
+  it('renders the header and rows with CRLF line endings', () => {
+    expect(toCsv(['rank', 'name', 'score'], [[1, 'a,b', -5], [2, '=evil', null]]))
+      .toBe('rank,name,score\r\n1,"a,b",-5\r\n2,\'=evil,\r\n');
+  });
+});
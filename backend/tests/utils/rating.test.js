@@ -0,0 +1,85 @@
+const { winProbability, expectedRank, calculateRatingChanges } = require('../../src/utils/rating');
+
+describe('winProbability', () => {
+  it('is even between equal ratings', () => {
+    expect(winProbability(1500, 1500)).toBe(0.5);
+  });
+
+  it('makes a participant 400 points stronger 10 times likelier to place above', () => {
+    expect(winProbability(1900, 1500)).toBeCloseTo(10 / 11, 10);
+    expect(winProbability(1500, 1900)).toBeCloseTo(1 / 11, 10);
+  });
+});
+
+describe('expectedRank', () => {
+  it('is 1 plus the chance of each other participant placing above', () => {
+    const ratings = [1500, 1500, 1900];
+
+    expect(expectedRank(ratings, 1500, 0)).toBeCloseTo(1 + 0.5 + 10 / 11, 10);
+    expect(expectedRank(ratings, 1900, 2)).toBeCloseTo(1 + 2 / 11, 10);
+  });
+});
+
+describe('calculateRatingChanges', () => {
+  it('returns nothing for a contest without participants', () => {
+    expect(calculateRatingChanges([])).toEqual([]);
+  });
+
+  it('moves equally rated participants apart by their places', () => {
+    const [winner, loser] = calculateRatingChanges([
+      { userId: 1, rating: 1500, rank: 1 },
+      { userId: 2, rating: 1500, rank: 2 }
+    ]);
+
+    expect(winner).toEqual({ userId: 1, oldRating: 1500, newRating: 1596, delta: 96, rank: 1, seed: 1.5 });
+    expect(loser).toEqual({ userId: 2, oldRating: 1500, newRating: 1402, delta: -98, rank: 2, seed: 1.5 });
+  });
+
+  it('puts tied participants on the lowest place of their tie', () => {
+    const results = calculateRatingChanges([
+      { userId: 1, rating: 1500, rank: 1 },
+      { userId: 2, rating: 1500, rank: 1 }
+    ]);
+
+    expect(results.map(result => result.rank)).toEqual([2, 2]);
+    expect(results.map(result => result.delta)).toEqual([-1, -1]);
+  });
+
+  it('rewards beating the seed and penalizes falling behind it', () => {
+    const [favourite, underdog, third] = calculateRatingChanges([
+      { userId: 1, rating: 2400, rank: 2 },
+      { userId: 2, rating: 1200, rank: 1 },
+      { userId: 3, rating: 1500, rank: 3 }
+    ]);
+
+    expect(favourite.seed).toBe(1.01);
+    expect(underdog.seed).toBe(2.85);
+    expect(third.seed).toBe(2.15);
+    expect(favourite.delta).toBe(-386);
+    expect(underdog.delta).toBe(541);
+    expect(third.delta).toBe(-158);
+  });
+
+  it('keeps the total change slightly negative', () => {
+    const participants = [1200, 1350, 1500, 1650, 1800, 2100].map((rating, i) => ({
+      userId: i + 1,
+      rating,
+      rank: 6 - i
+    }));
+
+    const total = calculateRatingChanges(participants).reduce((sum, result) => sum + result.delta, 0);
+
+    expect(total).toBeLessThan(0);
+    expect(total).toBeGreaterThanOrEqual(-2 * participants.length);
+  });
+
+  it('does not take a rating below zero', () => {
+    const [low] = calculateRatingChanges([
+      { userId: 1, rating: 5, rank: 2 },
+      { userId: 2, rating: 3000, rank: 1 }
+    ]);
+
+    expect(low.delta).toBe(-32);
+    expect(low.newRating).toBe(0);
+  });
+});
@@ -0,0 +1,187 @@
+const AdmZip = require('adm-zip');
+const { unpackArchive, parseTestArchive, checkGroups } = require('../../src/utils/testArchive');
+
+/**
+ * Zip the given { name: content } files
+ */
+function zip(files) {
+  const archive = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => archive.addFile(name, Buffer.from(content)));
+  return archive.toBuffer();
+}
+
+describe('unpackArchive', () => {
+  it('unpacks each file as text', async () => {
+    const { files, error } = await unpackArchive(zip({ '1.in': '1 2\n', '1.ans': '3\n' }), 1024);
+
+    expect(error).toBeNull();
+    expect(files).toHaveLength(2);
+    expect(files).toEqual(expect.arrayContaining([
+      { name: '1.in', data: '1 2\n' },
+      { name: '1.ans', data: '3\n' }
+    ]));
+  });
+
+  it('stops at the unpacked size limit whatever the headers say', async () => {
+    const { files, error } = await unpackArchive(zip({ '1.in': '0'.repeat(100000) }), 1000);
+
+    expect(files).toEqual([]);
+    expect(error).toBe('Archive is too large when unpacked');
+  });
+
+  it('rejects data that is not a zip', async () => {
+    const { error } = await unpackArchive(Buffer.from('not a zip'), 1024);
+
+    expect(error).toMatch(/^Invalid zip archive/);
+  });
+});
+
+describe('parseTestArchive', () => {
+  it('reads test pairs in number order, from a single directory', async () => {
+    const { tests, groups, errors, warnings } = await parseTestArchive(zip({
+      'tests/2.in': 'b',
+      'tests/2.ans': 'B',
+      'tests/1.in': 'a',
+      'tests/1.ans': 'A',
+      'tests/readme.txt': 'notes',
+      '__MACOSX/tests/._1.in': ''
+    }));
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(['Ignored tests/readme.txt']);
+    expect(groups).toEqual([]);
+    expect(tests).toEqual([
+      { number: 1, inputData: 'a', expectedOutput: 'A', isSample: false, points: 1, group: null },
+      { number: 2, inputData: 'b', expectedOutput: 'B', isSample: false, points: 1, group: null }
+    ]);
+  });
+
+  it('reports gaps in the numbering and unpaired files', async () => {
+    const { errors } = await parseTestArchive(zip({ '1.in': 'a', '3.in': 'c', '3.ans': 'C' }));
+
+    expect(errors).toEqual([
+      'Test 1 has no .ans file',
+      'Test 2 is missing, tests must be numbered from 1 without gaps'
+    ]);
+  });
+
+  it('rejects an archive without tests', async () => {
+    const { errors } = await parseTestArchive(zip({ 'readme.txt': 'notes' }));
+
+    expect(errors).toEqual(['Archive contains no tests']);
+  });
+
+  it('applies the manifest groups and test settings', async () => {
+    const manifest = {
+      groups: [
+        { name: 'samples', points: 0 },
+        { name: 'subtask1', points: 40, dependencies: ['samples'] }
+      ],
+      tests: {
+        1: { sample: true, points: 0, group: 'samples' },
+        2: { points: 5, group: 'subtask1' }
+      }
+    };
+
+    const { tests, groups, errors } = await parseTestArchive(zip({
+      '1.in': 'a',
+      '1.ans': 'A',
+      '2.in': 'b',
+      '2.ans': 'B',
+      'manifest.json': JSON.stringify(manifest)
+    }));
+
+    expect(errors).toEqual([]);
+    expect(groups).toEqual(manifest.groups);
+    expect(tests.map(({ isSample, points, group }) => ({ isSample, points, group }))).toEqual([
+      { isSample: true, points: 0, group: 'samples' },
+      { isSample: false, points: 5, group: 'subtask1' }
+    ]);
+  });
+
+  it('lets the manifest refer to groups the problem keeps', async () => {
+    const { errors } = await parseTestArchive(zip({
+      '1.in': 'a',
+      '1.ans': 'A',
+      'manifest.json': JSON.stringify({ tests: { 1: { group: 'kept' } } })
+    }), ['kept']);
+
+    expect(errors).toEqual([]);
+  });
+
+  it('reports manifest entries that do not match the archive', async () => {
+    const { errors } = await parseTestArchive(zip({
+      '1.in': 'a',
+      '1.ans': 'A',
+      'manifest.json': JSON.stringify({
+        tests: {
+          1: { points: -1, group: 'missing' },
+          5: { points: 1 }
+        }
+      })
+    }));
+
+    expect(errors).toEqual([
+      'Test 1 must have a non-negative integer number of points',
+      'Test 1 belongs to unknown group missing',
+      'manifest.json refers to test 5, which is not in the archive'
+    ]);
+  });
+
+  it('reports a manifest that is not JSON', async () => {
+    const { errors } = await parseTestArchive(zip({ '1.in': 'a', '1.ans': 'A', 'manifest.json': '{' }));
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^manifest\.json is not valid JSON/);
+  });
+});
+
+describe('checkGroups', () => {
+  it('accepts dependencies on earlier and existing groups', () => {
+    const errors = [];
+    const groupNames = ['kept'];
+
+    checkGroups([
+      { name: 'first', points: 10, dependencies: ['kept'] },
+      { name: 'second', dependencies: ['kept', 'first'] }
+    ], groupNames, errors);
+
+    expect(errors).toEqual([]);
+    expect(groupNames).toEqual(['kept', 'first', 'second']);
+  });
+
+  it('rejects dependencies on later or unknown groups', () => {
+    const errors = [];
+
+    checkGroups([
+      { name: 'first', dependencies: ['second'] },
+      { name: 'second', dependencies: ['nowhere'] }
+    ], [], errors);
+
+    expect(errors).toEqual([
+      'Group first depends on second, which is not defined before it',
+      'Group second depends on nowhere, which is not defined before it'
+    ]);
+  });
+
+  it('rejects unnamed, repeated and malformed groups', () => {
+    const errors = [];
+    const groupNames = [];
+
+    checkGroups([
+      { points: 1 },
+      { name: 'a', points: 1.5 },
+      { name: 'a', dependencies: 'b' },
+      { name: 'c', dependencies: [1] }
+    ], groupNames, errors);
+
+    expect(errors).toEqual([
+      'Group 1 has no name',
+      'Group a must have a non-negative integer number of points',
+      'Group a is defined more than once',
+      'Group a dependencies must be a list of group names',
+      'Group c dependencies must be a list of group names'
+    ]);
+    expect(groupNames).toEqual(['a', 'a', 'c']);
+  });
+});
@@ -1 +1,40 @@
-// LanguageSelector.jsx - Generated file
+import { useEffect } from 'react';
+import { useQuery } from 'react-query';
+import { FormControl, InputLabel, MenuItem, Select } from '@mui/material';
+import { getLanguages } from '../../services/api';
+
+/**
+ * Dropdown of the languages served by /api/languages.
+ * Picks the first language when `value` is empty.
+ */
+const LanguageSelector = ({ value, onChange, disabled = false }) => {
+  const { data: languages = [], isLoading } = useQuery('languages', getLanguages, {
+    staleTime: Infinity
+  });
+
+  useEffect(() => {
+    if (!value && languages.length > 0) {
+      onChange(languages[0].id);
+    }
+  }, [value, languages, onChange]);
+
+  return (
+    <FormControl size="small" sx={{ minWidth: 180 }} disabled={disabled || isLoading}>
+      <InputLabel id="language-selector-label">Language</InputLabel>
+      <Select
+        labelId="language-selector-label"
+        label="Language"
+        value={languages.some(language => language.id === value) ? value : ''}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        {languages.map(language => (
+          <MenuItem key={language.id} value={language.id}>
+            {language.name}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
+
+export default LanguageSelector;
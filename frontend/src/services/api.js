@@ -1 +1,16 @@
-// api.js - Generated file
+import axios from 'axios';
+
+const api = axios.create({
+  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000/api',
+  withCredentials: true
+});
+
+/**
+ * Languages accepted by the judge: [{ id, name, timeMultiplier, memoryOverhead }]
+ */
+export const getLanguages = async () => {
+  const response = await api.get('/languages');
+  return response.data.data.languages;
+};
+
+export default api;